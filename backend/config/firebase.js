@@ -1,12 +1,15 @@
 // Firebase configuration for Tara AI
 const { initializeApp } = require('firebase/app');
-const { getFirestore, collection, doc, setDoc, getDoc, getDocs, query, where, orderBy, limit, addDoc, Timestamp } = require('firebase/firestore');
+const { getFirestore, connectFirestoreEmulator, collection, doc, setDoc, getDoc, getDocs, deleteDoc, query, where, orderBy, limit, addDoc, runTransaction, Timestamp } = require('firebase/firestore');
+
+// Set FIRESTORE_EMULATOR_HOST (e.g. localhost:8080) to use the local emulator instead of a live project
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
 
 // Firebase config - Replace with your Firebase project config
 const firebaseConfig = {
   apiKey: process.env.FIREBASE_API_KEY,
   authDomain: process.env.FIREBASE_AUTH_DOMAIN ,
-  projectId: process.env.FIREBASE_PROJECT_ID ,
+  projectId: process.env.FIREBASE_PROJECT_ID || (emulatorHost ? 'demo-tara' : undefined),
   storageBucket: process.env.FIREBASE_STORAGE_BUCKET ,
   messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
   appId: process.env.FIREBASE_APP_ID
@@ -16,7 +19,13 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 
-console.log('✅ Firebase initialized successfully');
+if (emulatorHost) {
+  const [host, port] = emulatorHost.split(':');
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+  console.log(`✅ Firebase connected to Firestore emulator at ${emulatorHost}`);
+} else {
+  console.log('✅ Firebase initialized successfully');
+}
 
 module.exports = { 
   db, 
@@ -25,10 +34,12 @@ module.exports = {
   setDoc, 
   getDoc, 
   getDocs, 
+  deleteDoc,
   query, 
   where, 
   orderBy, 
   limit, 
   addDoc,
+  runTransaction,
   Timestamp 
 };
@@ -0,0 +1,292 @@
+// Language, subject, grade, pronunciation and model registries, loaded from versioned JSON files
+//
+// REGISTRY_DIR   folder holding languages.json, subjects.json, grades.json, pronunciations.json
+//                and models.json (default: backend/config/registries)
+//
+// Each file is { version, updatedAt, entries }. Files are validated on load - a bad file
+// stops the server at startup, and a bad edit while running is rejected and the previous
+// version kept. Edits on disk are picked up without a restart; admin updates are written
+// back with the version bumped. Emits 'change' (name, registry) after every reload.
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const GRADE_COMPLEXITIES = ['basic', 'intermediate', 'advanced', 'expert'];
+const MODEL_STATUSES = ['candidate', 'active', 'retired', 'rolled-back'];
+
+function isString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isUnicodeScript(value) {
+  try {
+    return isString(value) && Boolean(new RegExp(`\\p{Script=${value}}`, 'u'));
+  } catch {
+    return false;
+  }
+}
+
+// Each validator returns a list of problems for one entry
+const SCHEMAS = {
+  languages: {
+    keyPattern: /^[a-z]{2,3}$/,
+    required: ['hi'], // Fallback language for unknown codes
+    validate(entry) {
+      const problems = [];
+      if (!isString(entry.name)) problems.push('name is required');
+      if (!isString(entry.voice)) problems.push('voice is required');
+      if (!/^[a-z]{2,3}-[A-Z]{2}$/.test(entry.code || '')) problems.push('code must look like "hi-IN"');
+      for (const field of ['nativeName', 'flag', 'localVoice', 'ttsEngine']) {
+        if (entry[field] !== undefined && !isString(entry[field])) problems.push(`${field} must be a string`);
+      }
+      if (entry.speakingRate !== undefined && !(entry.speakingRate >= 0.25 && entry.speakingRate <= 4)) {
+        problems.push('speakingRate must be a number from 0.25 to 4');
+      }
+      if (entry.script !== undefined && !isUnicodeScript(entry.script)) {
+        problems.push('script must be a Unicode script name such as "Devanagari" or "Latin"');
+      }
+      for (const field of ['markers', 'romanizedMarkers', 'culturalMarkers']) {
+        if (entry[field] !== undefined && !(Array.isArray(entry[field]) && entry[field].every(isString))) {
+          problems.push(`${field} must be a list of strings`);
+        }
+      }
+      return problems;
+    }
+  },
+  subjects: {
+    keyPattern: /^[a-z][a-z0-9-]*$/,
+    required: ['general'], // Used when no subject's keywords match
+    validate(entry) {
+      const problems = [];
+      if (!isString(entry.name)) problems.push('name is required');
+      if (!isString(entry.prompt)) problems.push('prompt is required');
+      if (entry.icon !== undefined && !isString(entry.icon)) problems.push('icon must be a string');
+      if (!Array.isArray(entry.keywords) || !entry.keywords.every(isString)) {
+        problems.push('keywords must be a list of strings');
+      }
+      if (entry.localKeywords !== undefined) {
+        const lexicons = Object.entries(entry.localKeywords || {});
+        if (!lexicons.every(([code, words]) => /^[a-z]{2,3}$/.test(code) && Array.isArray(words) && words.every(isString))) {
+          problems.push('localKeywords must map language codes to lists of strings');
+        }
+      }
+      if (entry.answerStructure !== undefined && !isString(entry.answerStructure)) {
+        problems.push('answerStructure must be a string');
+      }
+      if (entry.gradeGuidance !== undefined) {
+        const levels = Object.keys(entry.gradeGuidance || {});
+        if (!levels.every(level => GRADE_COMPLEXITIES.includes(level) && isString(entry.gradeGuidance[level]))) {
+          problems.push(`gradeGuidance must map ${GRADE_COMPLEXITIES.join('/')} to instructions`);
+        }
+      }
+      return problems;
+    }
+  },
+  grades: {
+    keyPattern: /^\d{1,2}$/,
+    required: [],
+    validate(entry) {
+      const problems = [];
+      if (!isString(entry.name)) problems.push('name is required');
+      if (!GRADE_COMPLEXITIES.includes(entry.complexity)) {
+        problems.push(`complexity must be one of: ${GRADE_COMPLEXITIES.join(', ')}`);
+      }
+      return problems;
+    }
+  },
+  // Per language code: written term → spoken form, or { ipa } for a phonetic spelling
+  pronunciations: {
+    keyPattern: /^[a-z]{2,3}$/,
+    required: [],
+    validate(entry) {
+      return Object.entries(entry)
+        .filter(([term, spoken]) => !isString(term) || !(isString(spoken) || isString(spoken?.ipa)))
+        .map(([term]) => `"${term}" must map to a spoken form or { "ipa": "..." }`);
+    }
+  },
+  // Fine-tuned models (see services/modelRollout.js): a candidate gets trafficPercent of the
+  // questions in its languages/subjects, an active model all of them
+  models: {
+    keyPattern: /^[a-z0-9][a-z0-9._-]*$/,
+    required: [],
+    validate(entry) {
+      const problems = [];
+      if (!isString(entry.modelId)) problems.push('modelId is required');
+      if (!isString(entry.baseModel)) problems.push('baseModel is required');
+      if (!MODEL_STATUSES.includes(entry.status)) problems.push(`status must be one of: ${MODEL_STATUSES.join(', ')}`);
+      for (const field of ['provider', 'datasetHash', 'rolloutStartedAt', 'rolledBackAt', 'rollbackReason']) {
+        if (entry[field] !== undefined && !isString(entry[field])) problems.push(`${field} must be a string`);
+      }
+      for (const field of ['languages', 'subjects']) {
+        if (entry[field] !== undefined && !(Array.isArray(entry[field]) && entry[field].every(isString))) {
+          problems.push(`${field} must be a list of codes`);
+        }
+      }
+      if (entry.evalScores !== undefined && !(entry.evalScores && typeof entry.evalScores === 'object' &&
+          Object.values(entry.evalScores).every(Number.isFinite))) {
+        problems.push('evalScores must map metric names to numbers');
+      }
+      if (entry.status === 'candidate' && !(entry.trafficPercent >= 0 && entry.trafficPercent <= 100)) {
+        problems.push('trafficPercent must be a number from 0 to 100 for a candidate');
+      }
+      // Ratings are compared from this moment on
+      if (entry.status === 'candidate' && !(isString(entry.rolloutStartedAt) && !isNaN(Date.parse(entry.rolloutStartedAt)))) {
+        problems.push('rolloutStartedAt must be a date (e.g. 2026-10-18T00:00:00.000Z) for a candidate');
+      }
+      return problems;
+    }
+  }
+};
+
+class RegistryValidationError extends Error {
+  constructor(name, problems) {
+    super(`Invalid ${name} registry: ${problems.join('; ')}`);
+    this.name = 'RegistryValidationError';
+    this.problems = problems;
+  }
+}
+
+// Throws RegistryValidationError listing every problem found
+function validateEntries(name, entries) {
+  const schema = SCHEMAS[name];
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new RegistryValidationError(name, ['entries must be an object keyed by code']);
+  }
+
+  const problems = [];
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!schema.keyPattern.test(key)) {
+      problems.push(`"${key}" is not a valid code`);
+    }
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`"${key}" must be an object`);
+      continue;
+    }
+    problems.push(...schema.validate(entry).map(problem => `"${key}": ${problem}`));
+  }
+  for (const key of schema.required) {
+    if (!entries[key]) problems.push(`"${key}" is required`);
+  }
+
+  if (problems.length) {
+    throw new RegistryValidationError(name, problems);
+  }
+}
+
+class ConfigRegistry extends EventEmitter {
+  constructor({ directory = process.env.REGISTRY_DIR || path.join(__dirname, 'registries') } = {}) {
+    super();
+    this.directory = directory;
+    this.registries = {};
+    this.watcher = null;
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  readFile(name) {
+    const registry = JSON.parse(fs.readFileSync(this.filePath(name), 'utf8'));
+    validateEntries(name, registry.entries);
+    return {
+      version: Number(registry.version) || 1,
+      updatedAt: registry.updatedAt || null,
+      entries: registry.entries
+    };
+  }
+
+  // Loads every registry; throws on the first missing or invalid file
+  load() {
+    for (const name of Object.keys(SCHEMAS)) {
+      this.registries[name] = this.readFile(name);
+    }
+    return this;
+  }
+
+  reload(name) {
+    try {
+      const registry = this.readFile(name);
+      if (registry.version === this.registries[name]?.version &&
+          JSON.stringify(registry.entries) === JSON.stringify(this.registries[name].entries)) {
+        return; // Our own write, or a touch without changes
+      }
+      this.registries[name] = registry;
+      console.log(`🔄 Reloaded ${name} registry (version ${registry.version})`);
+      this.emit('change', name, registry);
+    } catch (error) {
+      console.error(`❌ Ignoring ${name} registry change, keeping version ${this.registries[name]?.version}:`, error.message);
+    }
+  }
+
+  // Hot reload on edits to the registry files
+  watch() {
+    const timers = {};
+    this.watcher = fs.watch(this.directory, (eventType, filename) => {
+      const name = filename && path.basename(filename, '.json');
+      if (!SCHEMAS[name]) return;
+
+      // Editors save in several steps - wait for the file to settle
+      clearTimeout(timers[name]);
+      timers[name] = setTimeout(() => this.reload(name), 200);
+    });
+    this.watcher.unref();
+    return this;
+  }
+
+  close() {
+    this.watcher?.close();
+  }
+
+  get(name) {
+    return this.registries[name];
+  }
+
+  get languages() {
+    return this.registries.languages.entries;
+  }
+
+  get subjects() {
+    return this.registries.subjects.entries;
+  }
+
+  get grades() {
+    return this.registries.grades.entries;
+  }
+
+  get pronunciations() {
+    return this.registries.pronunciations.entries;
+  }
+
+  get models() {
+    return this.registries.models.entries;
+  }
+
+  // Validate, bump the version and write the file (atomically, via rename).
+  // expectedVersion guards against overwriting someone else's edit.
+  update(name, entries, { expectedVersion } = {}) {
+    const current = this.registries[name];
+    if (expectedVersion !== undefined && Number(expectedVersion) !== current.version) {
+      const error = new Error(`${name} registry is at version ${current.version}, not ${expectedVersion}`);
+      error.name = 'RegistryConflictError';
+      throw error;
+    }
+
+    validateEntries(name, entries);
+    const registry = {
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+      entries
+    };
+
+    const tempPath = `${this.filePath(name)}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(registry, null, 2)}\n`);
+    fs.renameSync(tempPath, this.filePath(name));
+
+    this.registries[name] = registry;
+    console.log(`📝 Updated ${name} registry to version ${registry.version}`);
+    this.emit('change', name, registry);
+    return registry;
+  }
+}
+
+module.exports = { ConfigRegistry, RegistryValidationError, validateEntries, REGISTRY_NAMES: Object.keys(SCHEMAS) };
@@ -0,0 +1,52 @@
+// Conversation threads - prior turns per session, so follow-up questions have context
+const { getStore } = require('../storage');
+
+class ConversationModel {
+  constructor(store = getStore()) {
+    this.store = store;
+    this.collectionName = 'conversations';
+  }
+
+  // Get the conversation for a session, or null for a new session
+  async get(sessionId) {
+    try {
+      return await this.store.get(this.collectionName, sessionId);
+    } catch (error) {
+      console.error(`❌ Error getting conversation from ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Replace the stored turns and summary for a session
+  async save(sessionId, { turns, summary }) {
+    try {
+      const existing = await this.store.get(this.collectionName, sessionId);
+      const now = new Date();
+
+      await this.store.set(this.collectionName, sessionId, {
+        sessionId,
+        turns,
+        summary: summary || '',
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ Error saving conversation to ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Forget a session (the student started a new conversation)
+  async delete(sessionId) {
+    try {
+      await this.store.remove(this.collectionName, sessionId);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error deleting conversation from ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationModel;
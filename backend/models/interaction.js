@@ -1,62 +1,149 @@
-// Interaction data model for Firebase self-learning system
-const { db, collection, doc, setDoc, addDoc, getDoc, Timestamp } = require('../config/firebase');
+// Interaction data model for the self-learning system (storage backend chosen by STORAGE_BACKEND)
+const { getStore } = require('../storage');
 
 class InteractionModel {
-  constructor() {
+  constructor(store = getStore()) {
+    this.store = store;
     this.collectionName = 'interactions';
   }
 
-  // Create a new interaction record
-  async create(interactionData) {
+  // Create a new interaction record; pass an id to choose the document ID up front
+  async create(interactionData, id = null) {
     try {
-      // Convert Date objects to Firestore Timestamps
+      const now = new Date();
       const sanitizedData = {
+        retryCount: 0,
+        conceptDifficulty: 'normal',
         ...interactionData,
-        timestamp: interactionData.timestamp ? Timestamp.fromDate(interactionData.timestamp) : Timestamp.now(),
-        createdAt: Timestamp.now(),
-        updatedAt: Timestamp.now()
+        timestamp: interactionData.timestamp || now,
+        createdAt: now,
+        updatedAt: now
       };
       
-      const docRef = await addDoc(collection(db, this.collectionName), sanitizedData);
+      let saved;
+      if (id) {
+        await this.store.set(this.collectionName, id, sanitizedData);
+        saved = { id, ...sanitizedData };
+      } else {
+        saved = await this.store.insert(this.collectionName, sanitizedData);
+      }
       
-      console.log('📊 Interaction saved to Firebase:', docRef.id);
-      return { id: docRef.id, ...sanitizedData };
+      console.log(`📊 Interaction saved to ${this.store.name}:`, saved.id);
+      return saved;
+    } catch (error) {
+      console.error(`❌ Error saving interaction to ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Get interaction by its ID
+  async getById(id) {
+    try {
+      return await this.store.get(this.collectionName, id);
+    } catch (error) {
+      console.error(`❌ Error getting interaction from ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Record an "explain it differently" attempt; repeated retries mark the concept as hard.
+  // One atomic update, so retries arriving together each keep their variant.
+  async recordRetry(id, attempt) {
+    try {
+      const updated = await this.store.update(this.collectionName, id, (interaction) => {
+        const retryCount = (interaction.retryCount || 0) + 1;
+        return {
+          retryCount,
+          conceptDifficulty: retryCount >= 2 ? 'hard' : 'moderate',
+          variants: [...(interaction.variants || []), { ...attempt, timestamp: new Date() }],
+          updatedAt: new Date()
+        };
+      });
+      if (!updated) return null;
+
+      console.log(`🔁 Retry ${updated.retryCount} (${attempt.variant}) recorded for interaction:`, id);
+      return updated;
     } catch (error) {
-      console.error('❌ Error saving interaction to Firebase:', error);
+      console.error(`❌ Error recording retry in ${this.store.name}:`, error);
       throw error;
     }
   }
 
-  // Update interaction with feedback
-  async updateWithFeedback(sessionId, feedbackData) {
+  // Remember which answer variant finally worked for the student ('original' if no retry)
+  async markSatisfied(id, variant) {
     try {
-      const docRef = doc(db, this.collectionName, sessionId);
-      await setDoc(docRef, {
-        ...feedbackData,
-        updatedAt: Timestamp.now()
+      await this.store.set(this.collectionName, id, {
+        satisfiedVariant: variant || 'original',
+        updatedAt: new Date()
       }, { merge: true });
-      
-      console.log('📝 Feedback updated in Firebase for session:', sessionId);
       return true;
     } catch (error) {
-      console.error('❌ Error updating feedback in Firebase:', error);
+      console.error(`❌ Error updating interaction in ${this.store.name}:`, error);
       throw error;
     }
   }
 
-  // Get interaction by session ID
-  async getBySessionId(sessionId) {
+  // Store the judge model's grades next to the heuristic quality metrics
+  async recordJudgement(id, judgement) {
     try {
-      const docRef = doc(db, this.collectionName, sessionId);
-      const docSnap = await getDoc(docRef);
-      
-      if (docSnap.exists()) {
-        return { id: docSnap.id, ...docSnap.data() };
-      } else {
-        return null;
-      }
+      await this.store.set(this.collectionName, id, {
+        judgeScore: judgement.score,
+        judgeMetrics: judgement.metrics,
+        judgeFeedback: judgement.feedback || '',
+        judgeModel: judgement.model || '',
+        judgedAt: new Date(),
+        updatedAt: new Date()
+      }, { merge: true });
+
+      console.log(`⚖️ Judge score ${judgement.score.toFixed(2)} recorded for interaction:`, id);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error recording judgement in ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Add one feedback event to an interaction; returns null for an unknown ID. Every event is
+  // kept in `feedback` (a student may rate the original answer and then a re-ask), and the
+  // latest one is copied to the top-level fields the analytics read. One atomic update, so
+  // feedback sent at the same time doesn't drop events.
+  async addFeedback(id, feedbackData) {
+    try {
+      const event = { ...feedbackData, timestamp: feedbackData.timestamp || new Date() };
+      const updated = await this.store.update(this.collectionName, id, (interaction) => {
+        const feedback = [...(interaction.feedback || []), event];
+        return {
+          feedback,
+          feedbackCount: feedback.length,
+          userRating: event.userRating ?? null,
+          userFeedback: event.userFeedback ?? null,
+          wasHelpful: event.wasHelpful ?? null,
+          flaggedForReview: Boolean(event.flaggedForReview),
+          updatedAt: new Date()
+        };
+      });
+      if (!updated) return null;
+
+      console.log(`📝 Feedback ${updated.feedbackCount} recorded in ${this.store.name} for interaction:`, id);
+      return updated;
+    } catch (error) {
+      console.error(`❌ Error recording feedback in ${this.store.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Interactions of one session, oldest first. Sorted here rather than in the query so
+  // Firestore doesn't need a composite index on sessionId + timestamp.
+  async findBySession(sessionId, { limit = 50 } = {}) {
+    try {
+      const interactions = await this.store.find(this.collectionName, {
+        where: [['sessionId', '==', sessionId]]
+      });
+      return interactions
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-limit);
     } catch (error) {
-      console.error('❌ Error getting interaction from Firebase:', error);
+      console.error(`❌ Error finding interactions in ${this.store.name}:`, error);
       throw error;
     }
   }
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// Export rated interactions as a fine-tuning dataset (OpenAI chat JSONL).
+//
+// Usage: node scripts/exportTrainingData.js [--out=training-data] [--minRating=4] [--minQuality=0.8]
+//          [--minJudgeScore=0.75] [--maxTokens=500] [--language=hi] [--subject=physics] [--grade=8]
+//          [--minLanguageQuality=0.6] [--similarity=0.85] [--split=80/10/10] [--seed=42]
+//
+// Reads the interaction store (STORAGE_BACKEND) through LearningAnalytics.generateTrainingData,
+// then scrubs PII (emails, phone, Aadhaar and PAN numbers, links), drops answers not written in
+// the language's script, removes near-identical questions (keeping the best rated) and splits
+// train/validation/test per language × subject × grade. Writes train.jsonl, validation.jsonl,
+// test.jsonl and report.json (counts at every step, per split and per stratum, and the
+// datasetHash to record in the model registry) to --out.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { getStore } = require('../storage');
+const LearningAnalytics = require('../services/learningAnalytics');
+const { ConfigRegistry } = require('../config/registry');
+const { scrubPII, dedupeQuestions, stratifiedSplit } = require('../services/trainingData');
+
+const DEFAULTS = {
+  out: 'training-data',
+  minRating: 4,
+  minQuality: 0.8,
+  maxTokens: 500,
+  minLanguageQuality: 0.6,
+  similarity: 0.85,
+  split: '80/10/10',
+  seed: 42
+};
+const NUMERIC_OPTIONS = ['minRating', 'minQuality', 'minJudgeScore', 'maxTokens', 'minLanguageQuality', 'similarity', 'seed'];
+
+// --key=value pairs over the defaults
+function parseArgs(args) {
+  const options = { ...DEFAULTS };
+  for (const arg of args) {
+    const match = arg.match(/^--(\w+)=(.*)$/);
+    if (!match || !(match[1] in DEFAULTS || ['minJudgeScore', 'language', 'subject', 'grade'].includes(match[1]))) {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+    const [, key, value] = match;
+    options[key] = NUMERIC_OPTIONS.includes(key) ? Number(value) : value;
+    if (NUMERIC_OPTIONS.includes(key) && !Number.isFinite(options[key])) {
+      throw new Error(`--${key} must be a number`);
+    }
+  }
+
+  const shares = options.split.split('/').map(Number);
+  if (shares.length !== 3 || shares.some(share => !(share >= 0)) || shares[0] === 0) {
+    throw new Error('--split must look like 80/10/10');
+  }
+  const total = shares.reduce((sum, share) => sum + share, 0);
+  options.ratios = { train: shares[0] / total, validation: shares[1] / total, test: shares[2] / total };
+  return options;
+}
+
+function countBy(examples, field) {
+  const counts = {};
+  for (const { metadata } of examples) {
+    const key = metadata[field] || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const registry = new ConfigRegistry().load();
+  const analytics = new LearningAnalytics(getStore(), { getLanguages: () => registry.languages });
+
+  const exported = await analytics.generateTrainingData(options.minRating, options.maxTokens, {
+    language: options.language,
+    subject: options.subject,
+    grade: options.grade,
+    minQuality: options.minQuality,
+    minJudgeScore: options.minJudgeScore ?? null
+  });
+  console.log(`📥 ${exported.length} interaction(s) rated ${options.minRating}+ with quality ${options.minQuality}+`);
+
+  let piiReplacements = 0;
+  const scrubbed = exported.map(example => ({
+    ...example,
+    messages: example.messages.map(message => {
+      const { text, count } = scrubPII(message.content);
+      piiReplacements += count;
+      return { ...message, content: text };
+    })
+  }));
+
+  const languageRejected = [];
+  const valid = scrubbed.filter(example => {
+    const answer = example.messages[2].content;
+    const ok = example.messages[1].content.trim() && answer.trim() &&
+      analytics.assessLanguageQuality(answer, example.metadata.language) >= options.minLanguageQuality;
+    if (!ok) languageRejected.push(example.metadata.interactionId);
+    return ok;
+  });
+  console.log(`🔤 ${languageRejected.length} dropped for empty text or the wrong language/script`);
+
+  const { unique, duplicates } = dedupeQuestions(valid, { threshold: options.similarity });
+  console.log(`🧹 ${duplicates.length} near-duplicate question(s) dropped`);
+
+  const { splits, byStratum } = stratifiedSplit(unique, { ratios: options.ratios, seed: options.seed });
+
+  const outDir = path.resolve(options.out);
+  await fs.mkdir(outDir, { recursive: true });
+  const hash = crypto.createHash('sha256');
+  for (const [split, examples] of Object.entries(splits)) {
+    // OpenAI's format is { messages } per line; metadata stays in the report
+    const lines = examples.map(({ messages }) => JSON.stringify({ messages }));
+    const content = lines.length ? `${lines.join('\n')}\n` : '';
+    hash.update(`${split}\n${content}`);
+    await fs.writeFile(path.join(outDir, `${split}.jsonl`), content);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    datasetHash: `sha256:${hash.digest('hex')}`,
+    options: { ...options, ratios: undefined },
+    counts: {
+      exported: exported.length,
+      languageRejected: languageRejected.length,
+      duplicates: duplicates.length,
+      final: unique.length,
+      ...Object.fromEntries(Object.entries(splits).map(([split, examples]) => [split, examples.length]))
+    },
+    piiReplacements,
+    byLanguage: countBy(unique, 'language'),
+    bySubject: countBy(unique, 'subject'),
+    byGrade: countBy(unique, 'grade'),
+    byStratum,
+    languageRejected,
+    duplicates: duplicates.map(example => example.metadata.interactionId)
+  };
+  await fs.writeFile(path.join(outDir, 'report.json'), `${JSON.stringify(report, null, 2)}\n`);
+
+  console.log(`💾 Wrote ${splits.train.length} train / ${splits.validation.length} validation / ${splits.test.length} test example(s) to ${outDir}`);
+  console.log(`🛡️ ${piiReplacements} PII replacement(s)`);
+}
+
+main().catch(error => {
+  console.error('❌ Export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Build the curriculum index from local textbook chapters.
+//
+// Usage: node scripts/ingestCurriculum.js <folder> [--reset]
+//
+// The folder is laid out as <board>/<class>/<subject>/<chapter file>, e.g.
+//   textbooks/cbse/8/biology/08-cell_structure_and_functions.pdf
+//   textbooks/maharashtra/9/history/01-sources_of_history.txt
+// Subjects use the codes from config/registries/subjects.json. Re-ingesting a file
+// replaces its passages; --reset starts a fresh index. Restart the server (or call
+// POST /api/admin/curriculum/reload) to pick up the new index.
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { extractPages, splitPassages, chapterFromFilename, SUPPORTED_EXTENSIONS } = require('../services/curriculum/textExtract');
+const { readIndexFile, writeIndexFile, DEFAULT_INDEX_PATH } = require('../services/curriculum');
+
+async function findChapterFiles(root) {
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  };
+  await walk(root);
+  return files.sort();
+}
+
+// board/class/subject come from the three folders above the file
+function describeFile(root, filePath) {
+  const source = path.relative(root, filePath).split(path.sep).join('/');
+  const parts = source.split('/');
+  if (parts.length !== 4 || !/^\d{1,2}$/.test(parts[1])) {
+    throw new Error(`Expected <board>/<class>/<subject>/<file>, got "${source}"`);
+  }
+
+  const [board, grade, subject] = parts;
+  return { source, board: board.toLowerCase(), grade: parseInt(grade), subject: subject.toLowerCase(), ...chapterFromFilename(filePath) };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const root = args.find(arg => !arg.startsWith('--'));
+  if (!root) {
+    console.error('Usage: node scripts/ingestCurriculum.js <folder> [--reset]');
+    process.exit(1);
+  }
+
+  const indexPath = process.env.CURRICULUM_INDEX_PATH || DEFAULT_INDEX_PATH;
+  const existing = args.includes('--reset') ? { passages: [] } : readIndexFile(indexPath);
+  const files = await findChapterFiles(path.resolve(root));
+  console.log(`📚 Found ${files.length} chapter file(s) in ${root}`);
+
+  const ingestedSources = new Set();
+  const newPassages = [];
+  for (const filePath of files) {
+    try {
+      const chapter = describeFile(path.resolve(root), filePath);
+      const passages = splitPassages(await extractPages(filePath));
+      newPassages.push(...passages.map(passage => ({ ...chapter, ...passage })));
+      ingestedSources.add(chapter.source);
+      console.log(`✅ ${chapter.source}: ${passages.length} passage(s)`);
+    } catch (error) {
+      console.error(`❌ Skipping ${filePath}:`, error.message);
+    }
+  }
+
+  const passages = [
+    ...existing.passages.filter(passage => !ingestedSources.has(passage.source)),
+    ...newPassages
+  ];
+  writeIndexFile(indexPath, { updatedAt: new Date().toISOString(), passages });
+  console.log(`💾 Wrote ${passages.length} passage(s) to ${indexPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ Ingestion failed:', error);
+  process.exit(1);
+});
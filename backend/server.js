@@ -1,23 +1,43 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
-const textToSpeech = require('@google-cloud/text-to-speech');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const multer = require('multer');
 
-// Self-learning imports with Firebase
+// Self-learning imports (storage backend chosen by STORAGE_BACKEND)
 const LearningAnalytics = require('./services/learningAnalytics');
 const InteractionModel = require('./models/interaction');
+const { getStore } = require('./storage');
+const { LLMRouter } = require('./services/llm');
+const { TTSService } = require('./services/tts');
+const { SpeechChunker } = require('./services/tts/sentenceChunker');
+const { concatAudio } = require('./services/tts/audioConcat');
+const { SpeechVerbalizer } = require('./services/tts/verbalizer');
+const { SsmlBuilder } = require('./services/tts/ssml');
+const { SpeechText } = require('./services/tts/speechText');
+const { ConversationMemory } = require('./services/conversationMemory');
+const { createSTTEngine } = require('./services/stt');
+const { createCaches } = require('./services/cache');
+const { createAudioStore, startAudioSweeper, parseRetentionHours } = require('./services/audioStore');
+const { ConfigRegistry, REGISTRY_NAMES } = require('./config/registry');
+const requireAdmin = require('./utils/requireAdmin');
+const { issueSessionId, isValidSessionId, requireSession } = require('./utils/sessionIds');
+const { CurriculumRetriever, toCitation } = require('./services/curriculum');
+const { SubjectClassifier } = require('./services/subjectClassifier');
+const { QualityJudge } = require('./services/qualityJudge');
+const { ModelRollout } = require('./services/modelRollout');
+const { LanguageDetector } = require('./services/languageDetector');
+const { Transliterator } = require('./services/transliteration');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize learning analytics and interaction model
-const learningAnalytics = new LearningAnalytics();
+// Initialize learning analytics and interaction model - quality scoring reads the language registry
+const learningAnalytics = new LearningAnalytics(getStore(), { getLanguages: () => registry.languages });
 const interactionModel = new InteractionModel();
 
 // CORS configuration
@@ -53,7 +73,7 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Session-Id'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -82,7 +102,6 @@ app.use((err, req, res, next) => {
 // Additional middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/audio', express.static(path.join(__dirname, 'public/audio')));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -128,98 +147,212 @@ const upload = multer({
   }
 });
 
-// Initialize OpenAI
-let openai;
+// Initialize LLM provider layer (openai, local or mock - see services/llm)
+let llmRouter;
 try {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY environment variable is required');
-  }
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-  console.log('✅ OpenAI client initialized successfully');
+  llmRouter = new LLMRouter();
+  console.log(`✅ LLM provider initialized: ${llmRouter.defaultProvider}`);
 } catch (error) {
-  console.error('❌ Failed to initialize OpenAI client:', error.message);
+  console.error('❌ Failed to initialize LLM provider:', error.message);
   process.exit(1);
 }
 
-// Initialize Google Text-to-Speech client
-let ttsClient;
+// Initialize speech-to-text engine (optional - only voice input needs it, see services/stt)
+let sttEngine = null;
+try {
+  sttEngine = createSTTEngine();
+  console.log(`✅ STT engine initialized: ${sttEngine.name}`);
+} catch (error) {
+  console.warn('⚠️ STT engine unavailable - voice transcription is disabled:', error.message);
+}
+
+// Initialize text-to-speech engines (google, local or silent - see services/tts)
+let ttsService;
 try {
-  ttsClient = new textToSpeech.TextToSpeechClient();
-  console.log('✅ Google TTS client initialized successfully');
+  ttsService = new TTSService();
+  console.log(`✅ TTS engine initialized: ${ttsService.defaultEngine}${ttsService.fallback.length ? ` (fallback: ${ttsService.fallback.join(', ')})` : ''}`);
 } catch (error) {
-  console.error('❌ Failed to initialize Google TTS client:', error.message);
-  console.error('Please check your Google Cloud credentials at:', process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  console.error('❌ Failed to initialize TTS engine:', error.message);
   process.exit(1);
 }
 
-// Language configurations for Indian languages
-const LANGUAGE_CONFIG = {
-  hi: { name: 'Hindi', voice: 'hi-IN-Wavenet-A', code: 'hi-IN' },
-  ta: { name: 'Tamil', voice: 'ta-IN-Wavenet-A', code: 'ta-IN' },
-  bn: { name: 'Bengali', voice: 'bn-IN-Wavenet-A', code: 'bn-IN' },
-  te: { name: 'Telugu', voice: 'te-IN-Standard-A', code: 'te-IN' },
-  mr: { name: 'Marathi', voice: 'mr-IN-Wavenet-A', code: 'mr-IN' },
-  gu: { name: 'Gujarati', voice: 'gu-IN-Wavenet-A', code: 'gu-IN' },
-  kn: { name: 'Kannada', voice: 'kn-IN-Wavenet-A', code: 'kn-IN' },
-  ml: { name: 'Malayalam', voice: 'ml-IN-Wavenet-A', code: 'ml-IN' },
-  en: { name: 'English', voice: 'en-IN-Wavenet-A', code: 'en-IN' }
-};
+// Math, formulas and units are read out as words; the answer text keeps its notation
+const speechVerbalizer = new SpeechVerbalizer();
+
+// Initialize audio store (local disk or S3-compatible - see services/audioStore)
+let audioStore;
+try {
+  audioStore = createAudioStore();
+  console.log(`✅ Audio store initialized: ${audioStore.name}`);
+} catch (error) {
+  console.error('❌ Failed to initialize audio store:', error.message);
+  process.exit(1);
+}
+
+// Behind a reverse proxy, trust X-Forwarded-* so audio links use the public host and protocol
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Local audio files (signed links are checked first when AUDIO_URL_SECRET is set)
+app.use('/audio', audioStore.verifyMiddleware(), express.static(audioStore.directory || path.join(__dirname, 'public/audio')));
+
+// Textbook passages for grounding answers (optional - see services/curriculum)
+let curriculum = null;
+try {
+  curriculum = new CurriculumRetriever();
+  console.log(curriculum.size
+    ? `✅ Curriculum index loaded: ${curriculum.size} passages`
+    : '⚠️ No curriculum index - answers are not grounded in textbooks (see scripts/ingestCurriculum.js)');
+} catch (error) {
+  console.warn('⚠️ Curriculum index unavailable - answers are not grounded in textbooks:', error.message);
+}
+
+// Answer and audio caches (see services/cache)
+const caches = createCaches();
+console.log(caches.enabled ? '✅ Answer/audio cache enabled' : '⚠️ Answer/audio cache disabled (CACHE_ENABLED=false)');
+
+// Conversation memory - older turns are summarized by the same LLM that answers
+const conversationMemory = new ConversationMemory({
+  summarize: async (previousSummary, turns, language) => {
+    const transcript = turns.map(turn => `Student: ${turn.question}\nTara: ${turn.answer}`).join('\n\n');
+    const completion = await llmRouter.complete({
+      language,
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize this tutoring conversation in 3-5 short sentences: the topics covered, what the student understood and what they struggled with. Keep the language of the conversation.'
+        },
+        {
+          role: 'user',
+          content: `${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}${transcript}`
+        }
+      ],
+      maxTokens: 300,
+      temperature: 0.3
+    });
+    return completion.content.trim();
+  }
+});
+
+// Languages, subjects, grades and pronunciations live in config/registries/*.json (see config/registry.js).
+// Languages: `localVoice` is the espeak-ng voice; set `ttsEngine` to pin a language to one TTS engine
+let registry;
+try {
+  registry = new ConfigRegistry().load().watch();
+  console.log(`✅ Registries loaded: ${REGISTRY_NAMES.map(name => `${name} v${registry.get(name).version}`).join(', ')}`);
+} catch (error) {
+  console.error('❌ Failed to load registries:', error.message);
+  process.exit(1);
+}
+
+// Prompts depend on the subject and grade registries, and answers on the registry models
+// (a rolled-back candidate's answers shouldn't outlive it) - don't serve answers built from old ones
+registry.on('change', name => {
+  if (['subjects', 'grades', 'models'].includes(name)) caches.answers.clear();
+});
+
+// Fine-tuned models from the model registry: candidates get a share of traffic, and are
+// rolled back when students rate them below the incumbent
+const modelRollout = new ModelRollout({
+  getModels: () => registry.models,
+  updateModel: (code, entry) => registry.update('models', { ...registry.models, [code]: entry })
+});
+
+// Spoken answers are sent as SSML: step pauses, subject keywords emphasized, the pronunciation lexicon
+const ssmlBuilder = new SsmlBuilder({
+  getLexicon: language => registry.pronunciations[language],
+  getKeyTerms: language => Object.values(registry.subjects)
+    .flatMap(config => [...config.keywords, ...(config.localKeywords?.[language] || [])])
+});
+
+// Language detection for "auto" and code-mixed questions - scripts and marker words from the language registry
+const languageDetector = new LanguageDetector({ getLanguages: () => registry.languages });
+
+// Romanized questions are rewritten in native script; English subject terms stay as typed
+const transliterator = new Transliterator({
+  getLanguages: () => registry.languages,
+  getKeepWords: () => [
+    ...Object.values(registry.subjects).flatMap(config => config.keywords),
+    ...(registry.languages.en?.markers || [])
+  ]
+});
+
+// Subject detection - keyword lexicons from the subject registry, the LLM when they aren't conclusive
+const subjectClassifier = new SubjectClassifier({
+  getSubjects: () => registry.subjects,
+  classifyWithLLM: async (question, subjects, language) => {
+    const options = Object.entries(subjects).map(([code, config]) => `${code}: ${config.name}`).join('\n');
+    const completion = await llmRouter.complete({
+      language,
+      messages: [
+        {
+          role: 'system',
+          content: `Classify a school student's question (in any Indian language or English) into one of these subjects:\n${options}\nUse "general" if none fits. Reply with JSON only: {"subject": "<code>", "confidence": <0 to 1>}`
+        },
+        { role: 'user', content: question }
+      ],
+      maxTokens: 50,
+      temperature: 0
+    });
+    const json = completion.content.match(/\{[\s\S]*\}/);
+    if (!json) throw new Error('no JSON in the reply');
+    return JSON.parse(json[0]);
+  }
+});
+
+// Optional judge model grading answers against a rubric, after the response has gone out
+let qualityJudge = null;
+try {
+  qualityJudge = new QualityJudge({
+    getLanguages: () => registry.languages,
+    getSubjects: () => registry.subjects,
+    getGrades: () => registry.grades
+  });
+  if (qualityJudge.enabled) {
+    console.log(`✅ Quality judge enabled: ${qualityJudge.provider.name} (${qualityJudge.model})`);
+  }
+} catch (error) {
+  console.warn('⚠️ Quality judge unavailable - answers are only scored heuristically:', error.message);
+}
 
-// Subject configurations for specialized tutoring
-const SUBJECT_CONFIG = {
-  math: {
-    name: 'Mathematics',
-    icon: '🔢',
-    prompt: 'You are Tara, a warm and encouraging Indian female math teacher from Mumbai. You have a gentle way of making complex problems feel simple and always use relatable Indian examples.',
-    keywords: ['math', 'algebra', 'geometry', 'calculus', 'trigonometry', 'arithmetic', 'equation', 'formula', 'theorem', 'proof']
+// "Explain it differently" variants for re-asking an answer
+const REASK_VARIANTS = {
+  simpler: {
+    name: 'Simpler',
+    instruction: 'Explain it again much more simply: everyday words, short sentences and one clear analogy. The student found your previous explanation too hard.'
   },
-  physics: {
-    name: 'Physics',
-    icon: '⚗️',
-    prompt: 'You are Tara, an enthusiastic Indian female physics teacher who grew up in Bangalore. You love connecting physics to everyday Indian life - from street food to cricket to Bollywood.',
-    keywords: ['physics', 'force', 'energy', 'motion', 'electricity', 'magnetism', 'waves', 'optics', 'thermodynamics', 'mechanics']
+  examples: {
+    name: 'More examples',
+    instruction: 'Explain it again through 2-3 new worked examples from Indian daily life, different from the ones you used before.'
   },
-  chemistry: {
-    name: 'Chemistry',
-    icon: '🧪',
-    prompt: 'You are Tara, a passionate Indian female chemistry teacher from Delhi. You make chemistry come alive with examples from Indian cooking, festivals, and traditions.',
-    keywords: ['chemistry', 'element', 'compound', 'reaction', 'bond', 'molecule', 'atom', 'periodic', 'acid', 'base']
+  shorter: {
+    name: 'Shorter',
+    instruction: 'Give a much shorter answer: only the key idea in 3-4 sentences.'
   },
-  general: {
-    name: 'General Studies',
-    icon: '📚',
-    prompt: 'You are Tara, a knowledgeable and caring Indian female teacher. You are like a supportive elder sister who always has time to explain things with patience and warmth.',
-    keywords: []
+  'step-by-step': {
+    name: 'Step by step',
+    instruction: 'Explain it again as numbered steps, one small idea per step, and end by checking that the student followed every step.'
   }
 };
 
-// Grade level configurations
-const GRADE_CONFIG = {
-  6: { name: 'Class 6', complexity: 'basic' },
-  7: { name: 'Class 7', complexity: 'basic' },
-  8: { name: 'Class 8', complexity: 'intermediate' },
-  9: { name: 'Class 9', complexity: 'intermediate' },
-  10: { name: 'Class 10', complexity: 'advanced' },
-  11: { name: 'Class 11', complexity: 'advanced' },
-  12: { name: 'Class 12', complexity: 'expert' }
-};
-
-// Create audio directory if it doesn't exist
+// Create the upload directory if it doesn't exist
 const createAudioDir = async () => {
   try {
-    await fs.mkdir(path.join(__dirname, 'public/audio'), { recursive: true });
     await fs.mkdir(path.join(__dirname, 'uploads'), { recursive: true });
   } catch (error) {
     console.log('Directories already exist or error creating them:', error.message);
   }
 };
 
-// Convert speech to text using OpenAI Whisper
+// Convert speech to text using the configured STT engine
 async function speechToText(audioFilePath, language) {
   try {
     console.log(`Processing audio file: ${audioFilePath}`);
+
+    if (!sttEngine) {
+      throw new Error('No speech-to-text engine is configured');
+    }
     
     // Check if file exists
     const fileExists = await fs.access(audioFilePath).then(() => true).catch(() => false);
@@ -231,12 +364,7 @@ async function speechToText(audioFilePath, language) {
     const stats = await fs.stat(audioFilePath);
     console.log(`File size: ${stats.size} bytes`);
 
-    const transcription = await openai.audio.transcriptions.create({
-      file: require('fs').createReadStream(audioFilePath),
-      model: 'whisper-1',
-      language: language, // Force the selected language
-      response_format: 'text'
-    });
+    const transcription = await sttEngine.transcribe({ audioFilePath, language });
 
     console.log('Transcription successful:', transcription);
 
@@ -245,48 +373,67 @@ async function speechToText(audioFilePath, language) {
 
     return transcription.trim();
   } catch (error) {
-    console.error('Whisper API error:', error);
+    console.error(`${sttEngine ? sttEngine.name : 'STT'} error:`, error);
     // Clean up the uploaded file even on error
     await fs.unlink(audioFilePath).catch(console.error);
     throw new Error('Failed to transcribe audio');
   }
 }
 
-// Detect subject from question content
+// Detect subject from question content (keywords only - see classifySubject)
 function detectSubject(question) {
-  const lowerQuestion = question.toLowerCase();
-  
-  for (const [subject, config] of Object.entries(SUBJECT_CONFIG)) {
-    if (subject === 'general') continue;
-    
-    const hasKeyword = config.keywords.some(keyword => 
-      lowerQuestion.includes(keyword)
-    );
-    
-    if (hasKeyword) {
-      return subject;
-    }
+  return subjectClassifier.classifyByKeywords(question).subject;
+}
+
+// Subject for a question with how sure we are: the student's choice when they picked one,
+// otherwise the classifier's best guess and the runners-up
+async function classifySubject(question, language, subject, conversation) {
+  if (subject) {
+    return { subject, confidence: 1, alternatives: [], method: 'selected' };
   }
-  
-  return 'general';
+  const previousTurn = conversation?.turns?.[conversation.turns.length - 1];
+  return subjectClassifier.classify(question, { language, previousSubject: previousTurn?.subject });
 }
 
-// Generate answer using OpenAI GPT
-async function generateAnswer(question, language, subject = null, grade = null) {
-  console.log('🤖 Starting answer generation...');
-  const languageName = LANGUAGE_CONFIG[language]?.name || 'Hindi';
+// How a romanized or code-mixed question was written, for the prompt (null for plain questions)
+function describeInputStyle(detection) {
+  if (!detection?.language || !(detection.romanized || detection.codeMixed)) return null;
+
+  const name = code => registry.languages[code]?.name || code;
+  const isLatin = code => registry.languages[code]?.script === 'Latin';
+  if (detection.romanized) {
+    return `${name(detection.language)} typed in English letters${detection.codeMixed ? ', mixed with English words' : ''}`;
+  }
+  if (isLatin(detection.language)) {
+    const other = detection.alternatives.find(alternative => !isLatin(alternative.language));
+    return other ? `English mixed with ${name(other.language)} words` : null;
+  }
+  return `${name(detection.language)} mixed with English words`;
+}
+
+// Build Tara's prompts for a question, with earlier turns of the conversation as history.
+// reask ({ variant, previousAnswer }) asks for a different explanation of an earlier answer;
+// board picks whose textbooks ground the answer (the citations come back with the prompts);
+// languageDetection (see languageDetector) flags romanized and code-mixed questions;
+// originalQuestion is what the student typed when `question` was transliterated from it.
+function buildAnswerPrompts(question, language, subject = null, grade = null, { conversation = null, reask = null, board = null, languageDetection = null, originalQuestion = null } = {}) {
+  const languageName = registry.languages[language]?.name || 'Hindi';
+  const previousTurn = conversation?.turns?.[conversation.turns.length - 1];
   
-  // Auto-detect subject if not provided
+  // Routes classify the subject up front (classifySubject); keywords are the fallback
   const detectedSubject = subject || detectSubject(question);
-  const subjectConfig = SUBJECT_CONFIG[detectedSubject] || SUBJECT_CONFIG.general;
+  const subjectConfig = registry.subjects[detectedSubject] || registry.subjects.general;
   
   // Get grade complexity if provided
-  const gradeInfo = grade ? GRADE_CONFIG[grade] : null;
+  const gradeInfo = grade ? registry.grades[grade] : null;
   const complexityLevel = gradeInfo?.complexity || 'intermediate';
+
+  // Textbook passages for this board, class and subject, if the curriculum index has any
+  const passages = curriculum ? curriculum.retrieve(question, { board, grade, subject: detectedSubject }) : [];
   
   // Detect if user's question has casual/humorous tone
   const casualIndicators = ['yaar', 'bhai', 'dude', 'kya', 'arre', 'hai na', 'samjha', 'pls', 'please', 'help', 'confused', 'nahi samjh', 'difficult', 'hard'];
-  const questionLower = question.toLowerCase();
+  const questionLower = (originalQuestion || question).toLowerCase();
   const isCasualTone = casualIndicators.some(indicator => questionLower.includes(indicator));
   
   let systemPrompt = `${subjectConfig.prompt} 
@@ -309,7 +456,21 @@ CRITICAL RESPONSE REQUIREMENTS:
 - Use simple Hindi words that sound natural when spoken by TTS
 - Avoid complex English words mixed in Hindi that TTS cannot pronounce properly
 - ENSURE your response has a clear beginning, middle, and proper ending
-- Include 1-2 relatable Indian examples (food, family, festivals, movies, daily life)`;
+- Include 1-2 relatable Indian examples (food, family, festivals, movies, daily life)
+
+FORMATTING (the answer is shown with Markdown and math rendering; the voice reads a plain version):
+- Write every formula, equation and calculation in LaTeX between dollar signs: $x^2 + 3x = 10$ inline, $$x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}$$ on its own line for a worked step
+- Chemical formulas and units go in math too: $\\mathrm{H_2SO_4}$, $9.8\\,\\text{m/s}^2$
+- Only math goes between the dollar signs - the explanation around it stays in ${languageName}
+- Use Markdown for structure: numbered steps (1. 2. 3.), "-" bullet lists and **bold** for the one or two key terms. No headings or tables`;
+
+  // Hinglish, Tanglish... - read the question as written, answer in the language's own script
+  const inputStyle = describeInputStyle(languageDetection);
+  if (inputStyle) {
+    systemPrompt += `
+- The student wrote in ${inputStyle}. Understand it that way, but reply in ${languageName} written in its own script
+- Keep the English technical terms the student used (like "photosynthesis") in English so they recognise them`;
+  }
 
   if (isCasualTone) {
     systemPrompt += `
@@ -326,6 +487,42 @@ CRITICAL RESPONSE REQUIREMENTS:
   
   if (gradeInfo) {
     systemPrompt += ` Adjust the explanation for ${gradeInfo.name} level (${complexityLevel} complexity).`;
+    if (subjectConfig.gradeGuidance?.[complexityLevel]) {
+      systemPrompt += ` ${subjectConfig.gradeGuidance[complexityLevel]}`;
+    }
+  }
+
+  // Subject-specific shape of the answer (timelines for history, code blocks for CS...)
+  if (subjectConfig.answerStructure) {
+    systemPrompt += `
+
+ANSWER STRUCTURE FOR ${subjectConfig.name.toUpperCase()}:
+${subjectConfig.answerStructure}`;
+  }
+
+  if (reask) {
+    systemPrompt += `
+- The student asked you to explain this again. Your previous answer was:
+"""${reask.previousAnswer}"""
+- ${REASK_VARIANTS[reask.variant].instruction}
+- Do not repeat the previous explanation word for word`;
+  }
+
+  if (passages.length) {
+    systemPrompt += `
+
+TEXTBOOK EXCERPTS (from the student's own textbook):
+${passages.map(passage => `[${passage.index}] Class ${passage.grade} ${passage.subject}, ${passage.chapter}${passage.page ? `, page ${passage.page}` : ''}:
+${passage.text}`).join('\n\n')}
+
+- Base your answer on these excerpts where they answer the question, and use the textbook's own terms and definitions
+- Don't contradict the textbook; if the excerpts don't cover the question, answer from your own knowledge
+- Don't read out the excerpt numbers - the student sees the chapter and page references separately`;
+  }
+
+  if (previousTurn) {
+    systemPrompt += `
+- This is a follow-up in an ongoing conversation. Questions like "explain that again" or "what about the second step?" refer to your earlier answers - use them as context and don't repeat the whole explanation unless asked`;
   }
   
   const userPrompt = `You are Tara, a beloved Indian female teacher who makes learning feel like chatting with your favorite sister or aunt. A student has asked you a question in ${languageName}.
@@ -356,104 +553,279 @@ RESPONSE REQUIREMENTS:
   'Explain clearly with appropriate examples.'}
 8. End your response with an encouraging conclusion that shows you've finished explaining
 
-Student's Question: ${question}
+Student's Question: ${question}${originalQuestion ? `
+(Typed in English letters as: ${originalQuestion})` : ''}
 
 Respond as Tara would - warm, knowledgeable, and uniquely Indian in your approach:`;
 
+  return {
+    messages: [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      ...conversationMemory.buildHistoryMessages(conversation),
+      {
+        role: 'user',
+        content: userPrompt
+      }
+    ],
+    detectedSubject,
+    subjectConfig,
+    gradeInfo,
+    citations: passages.map(toCitation)
+  };
+}
+
+// Patch up answers that were cut off mid-thought
+function completeAnswer(answer) {
+  // Check if response seems incomplete (ends with incomplete sentence indicators)
+  const incompleteIndicators = ['...', '।।', 'और', 'तो', 'लेकिन', 'इसलिए', 'क्योंकि'];
+  
+  // If response seems incomplete, add a completion
+  if (incompleteIndicators.some(indicator => answer.endsWith(indicator)) || 
+      answer.length > 500 && !answer.endsWith('।') && !answer.endsWith('.') && !answer.endsWith('!')) {
+    console.log('⚠️ Response appears incomplete, attempting to complete...');
+    return answer + ` उम्मीद है कि अब आपको यह समझ आ गया होगा। अगर कोई और सवाल है तो पूछिए!`;
+  }
+  return answer;
+}
+
+// Generate answer using the configured LLM provider (options: conversation, reask)
+async function generateAnswer(question, language, subject = null, grade = null, options = {}) {
+  console.log('🤖 Starting answer generation...');
+  const { messages, detectedSubject, subjectConfig, gradeInfo, citations } = buildAnswerPrompts(question, language, subject, grade, options);
+
   try {
-    console.log('📡 Calling OpenAI API...');
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      max_tokens: 1200, // Increased for complete responses
-      temperature: 0.7,
-      stop: null // Ensure no artificial stopping
+    // A registry model when one is rolled out for this language/subject (see modelRollout.js);
+    // routes choose it up front to look up the cache on the same side
+    const rollout = options.rollout !== undefined
+      ? options.rollout
+      : modelRollout.choose({ language, subject: detectedSubject, sessionId: options.sessionId });
+    const { provider, model } = llmRouter.resolve({ language, subject: detectedSubject, provider: rollout?.provider, model: rollout?.model });
+    console.log(`📡 Calling ${provider.name} (${model})${rollout?.arm ? ` as rollout ${rollout.arm}` : ''}...`);
+    const completion = await llmRouter.complete({
+      language,
+      subject: detectedSubject,
+      provider: rollout?.provider,
+      model: rollout?.model,
+      messages,
+      maxTokens: 1200, // Increased for complete responses
+      temperature: 0.7
     });
 
-    console.log('✅ OpenAI response received');
-    
-    let answer = response.choices[0].message.content.trim();
+    console.log(`✅ ${completion.provider} response received`);
     
-    // Check if response seems incomplete (ends with incomplete sentence indicators)
-    const incompleteIndicators = ['...', '।।', 'और', 'तो', 'लेकिन', 'इसलिए', 'क्योंकि'];
-    const lastWords = answer.split(' ').slice(-3).join(' ').toLowerCase();
-    
-    // If response seems incomplete, add a completion
-    if (incompleteIndicators.some(indicator => answer.endsWith(indicator)) || 
-        answer.length > 500 && !answer.endsWith('।') && !answer.endsWith('.') && !answer.endsWith('!')) {
-      console.log('⚠️ Response appears incomplete, attempting to complete...');
-      answer += ` उम्मीद है कि अब आपको यह समझ आ गया होगा। अगर कोई और सवाल है तो पूछिए!`;
+    return {
+      answer: completeAnswer(completion.content.trim()),
+      subject: detectedSubject,
+      subjectName: subjectConfig.name,
+      grade: gradeInfo?.name || null,
+      citations, // Textbook chapters/pages the answer was grounded in
+      provider: completion.provider,
+      model: completion.model,
+      modelVersion: rollout?.modelVersion || null,
+      rolloutArm: rollout?.arm || null,
+      rolloutCandidate: rollout?.candidate || null
+    };
+  } catch (error) {
+    console.error('❌ LLM provider error:', error);
+    throw new Error('Failed to generate answer');
+  }
+}
+
+// Stream answer tokens through onToken as they arrive; resolves like generateAnswer.
+// isCancelled lets the caller stop reading when the client goes away.
+async function streamAnswer(question, language, subject, grade, { conversation = null, board = null, languageDetection = null, originalQuestion = null, sessionId = null, rollout: chosenRollout, onToken, isCancelled = () => false }) {
+  console.log('🤖 Starting streamed answer generation...');
+  const { messages, detectedSubject, subjectConfig, gradeInfo, citations } = buildAnswerPrompts(question, language, subject, grade, { conversation, board, languageDetection, originalQuestion });
+
+  try {
+    const rollout = chosenRollout !== undefined
+      ? chosenRollout
+      : modelRollout.choose({ language, subject: detectedSubject, sessionId });
+    const stream = llmRouter.stream({
+      language,
+      subject: detectedSubject,
+      provider: rollout?.provider,
+      model: rollout?.model,
+      messages,
+      maxTokens: 1200,
+      temperature: 0.7
+    });
+    console.log(`📡 Streaming from ${stream.provider} (${stream.model})...`);
+
+    let answer = '';
+    for await (const token of stream.tokens) {
+      if (isCancelled()) break;
+      answer += token;
+      onToken(token);
     }
-    
+
+    console.log(`✅ ${stream.provider} stream finished`);
+
+    // Anything appended to finish a cut-off answer is streamed as a last token
+    const trimmed = answer.trim();
+    const completed = completeAnswer(trimmed);
+    if (completed !== trimmed && !isCancelled()) {
+      onToken(completed.slice(trimmed.length));
+    }
+
     return {
-      answer: answer,
+      answer: completed,
       subject: detectedSubject,
       subjectName: subjectConfig.name,
-      grade: gradeInfo?.name || null
+      grade: gradeInfo?.name || null,
+      citations,
+      provider: stream.provider,
+      model: stream.model,
+      modelVersion: rollout?.modelVersion || null,
+      rolloutArm: rollout?.arm || null,
+      rolloutCandidate: rollout?.candidate || null
     };
   } catch (error) {
-    console.error('❌ OpenAI API error:', error);
+    console.error('❌ LLM provider error:', error);
     throw new Error('Failed to generate answer');
   }
 }
 
-// Convert text to speech using Google TTS
-async function convertTextToSpeech(text, language) {
-  console.log('🎵 Starting text-to-speech conversion...');
-  const languageConfig = LANGUAGE_CONFIG[language] || LANGUAGE_CONFIG.hi;
-  
-  const request = {
-    input: { text: text },
-    voice: {
-      languageCode: languageConfig.code,
-      name: languageConfig.voice,
-      ssmlGender: 'FEMALE',
-    },
-    audioConfig: {
-      audioEncoding: 'MP3',
-      speakingRate: 0.9,
-      pitch: 0.0,
-    },
+// Write synthesized audio to the audio store and return its key
+async function saveAudio(audioContent, extension, prefix = 'answer') {
+  // Generate unique filename
+  const filename = `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${extension}`;
+  return audioStore.save(filename, audioContent);
+}
+
+// Turns audio keys into links clients can fetch: AUDIO_PUBLIC_BASE_URL, or the
+// address this request came in on (signed/presigned when the store is configured to)
+function audioUrlResolver(req) {
+  const fallbackBaseUrl = `${req.protocol}://${req.get('host')}/audio`;
+  return audioKey => audioKey ? audioStore.url(audioKey, { fallbackBaseUrl }) : null;
+}
+
+async function publicAudio(req, audio) {
+  const toUrl = audioUrlResolver(req);
+  return {
+    audioUrl: await toUrl(audio.audioKey),
+    audioPlaylist: await Promise.all(audio.audioPlaylist.map(toUrl)) // Sentence chunks, in playback order
   };
+}
+
+// Cached audio is only reused while the store still has the file
+async function cachedAudio(cacheKey) {
+  const cached = caches.audio.get(cacheKey);
+  if (!cached) return null;
+
+  if (await audioStore.exists(cached.audioKey)) {
+    return cached;
+  }
+  caches.audio.delete(cacheKey);
+  return null;
+}
+
+// Sentence-by-sentence TTS: push text as it arrives, each sentence is stripped of Markdown
+// and LaTeX, verbalized, marked up as SSML, synthesized and saved in order and reported
+// through onChunk({ index, text, audioKey })
+function createSpeechChunker(language, onChunk) {
+  const voiceLanguage = registry.languages[language] ? language : 'hi';
+  const languageConfig = registry.languages[voiceLanguage];
+  const speechText = new SpeechText();
+
+  return new SpeechChunker({
+    toSpeech: text => speechText.convert(text),
+    synthesizeChunk: async (text, index) => {
+      const spoken = ssmlBuilder.build(speechVerbalizer.verbalize(text, voiceLanguage), voiceLanguage);
+      const cacheKey = caches.enabled ? caches.audio.key(spoken.ssml || spoken.text, languageConfig) : null;
+      const cached = cacheKey && await cachedAudio(cacheKey);
+      if (cached) {
+        console.log(`⚡ Reusing cached audio for sentence ${index + 1}: ${cached.audioKey}`);
+        return { ...cached, cached: true };
+      }
 
+      console.log(`🎤 Synthesizing ${languageConfig.name} sentence ${index + 1}...`);
+      const { audioContent, extension, engine } = await ttsService.synthesize(spoken.text, languageConfig, { ssml: spoken.ssml });
+      const audioKey = await saveAudio(audioContent, extension, `answer_part${index}`);
+      console.log(`💾 Saved ${engine} audio chunk: ${audioKey}`);
+
+      if (cacheKey) caches.audio.set(cacheKey, { audioKey, audioContent, extension });
+      return { audioKey, audioContent, extension, cacheKey };
+    },
+    onChunk
+  });
+}
+
+// One file for the whole answer, reused from the audio cache when the same answer was voiced before
+async function combinedAudioKey(chunks, language) {
+  const languageConfig = registry.languages[language] || registry.languages.hi;
+  const cacheKey = caches.enabled && chunks.length > 1
+    ? caches.audio.key(chunks.map(chunk => chunk.text).join(' '), languageConfig)
+    : null;
+  const cached = cacheKey && await cachedAudio(cacheKey);
+  if (cached) return cached.audioKey;
+
+  if (chunks.length === 1) return chunks[0].audioKey;
+
+  const combined = concatAudio(chunks);
+  if (!combined) return chunks[0]?.audioKey || null;
+
+  const audioKey = await saveAudio(combined.audioContent, combined.extension);
+  if (cacheKey) caches.audio.set(cacheKey, { ...combined, audioKey });
+  return audioKey;
+}
+
+// Wait for the remaining sentences; resolves with the ordered playlist plus one
+// stitched file (when the chunks share a format) for clients that want a single URL
+async function finishSpeech(chunker, language) {
   try {
-    console.log(`🎤 Calling Google TTS for ${languageConfig.name}...`);
-    const [response] = await ttsClient.synthesizeSpeech(request);
-    
-    // Generate unique filename
-    const filename = `answer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.mp3`;
-    const filepath = path.join(__dirname, 'public/audio', filename);
-    
-    console.log(`💾 Saving audio file: ${filename}`);
-    // Save audio file
-    await fs.writeFile(filepath, response.audioContent, 'binary');
-    
-    console.log('✅ Audio file saved successfully');
-    return `/audio/${filename}`;
+    const chunks = await chunker.finish();
+    const audioKey = await combinedAudioKey(chunks, language);
+
+    console.log(`✅ Audio ready: ${chunks.length} sentence chunk(s)`);
+    return {
+      audioKey,
+      audioPlaylist: chunks.map(chunk => chunk.audioKey)
+    };
   } catch (error) {
-    console.error('❌ Google TTS error:', error);
+    console.error('❌ TTS error:', error);
     console.error('TTS Error details:', error.message);
     throw new Error('Failed to generate audio');
   }
 }
 
+// A stream that ends before its audio is delivered leaves sentence files nobody will
+// play - delete the ones it voiced (shared cached files stay for other answers)
+async function discardSpeech(chunker) {
+  try {
+    const chunks = await chunker.abort();
+    const orphaned = chunks.filter(chunk => !chunk.cached);
+    for (const chunk of orphaned) {
+      if (chunk.cacheKey) caches.audio.delete(chunk.cacheKey);
+      await audioStore.remove(chunk.audioKey);
+    }
+    if (orphaned.length) {
+      console.log(`🧹 Removed ${orphaned.length} undelivered audio chunk(s)`);
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to remove undelivered audio:', error.message);
+  }
+}
+
+// Convert text to speech using the configured TTS engine
+async function convertTextToSpeech(text, language, onChunk) {
+  console.log('🎵 Starting text-to-speech conversion...');
+  const chunker = createSpeechChunker(language, onChunk);
+  chunker.push(text);
+  return finishSpeech(chunker, language);
+}
+
 // Routes
 app.get('/', (req, res) => {
   res.json({ 
     message: 'Regional Language AI Tutor API', 
     version: '1.0.0',
-    supportedLanguages: Object.keys(LANGUAGE_CONFIG).map(key => ({
+    supportedLanguages: Object.keys(registry.languages).map(key => ({
       code: key,
-      name: LANGUAGE_CONFIG[key].name
+      name: registry.languages[key].name
     }))
   });
 });
@@ -476,19 +848,21 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: 'Audio file is required' });
     }
 
-    const { language = 'hi' } = req.body;
+    const { language: requestedLanguage = 'hi' } = req.body;
 
-    if (!LANGUAGE_CONFIG[language]) {
-      console.log('Unsupported language:', language);
+    if (requestedLanguage !== 'auto' && !registry.languages[requestedLanguage]) {
+      console.log('Unsupported language:', requestedLanguage);
+      await fs.unlink(req.file.path).catch(() => {});
       return res.status(400).json({ error: 'Unsupported language' });
     }
 
-    console.log(`Transcribing audio in ${LANGUAGE_CONFIG[language].name}`);
+    console.log(`Transcribing audio in ${requestedLanguage === 'auto' ? 'an auto-detected language' : registry.languages[requestedLanguage].name}`);
     console.log('File path:', req.file.path);
     console.log('File size:', req.file.size);
 
-    // Convert speech to text
-    const transcribedText = await speechToText(req.file.path, language);
+    // Convert speech to text - with "auto" the STT engine works out the spoken language itself
+    const transcribedText = await speechToText(req.file.path, requestedLanguage === 'auto' ? null : requestedLanguage);
+    const { language, detection: languageDetection } = languageDetector.resolve(transcribedText, requestedLanguage);
 
     console.log('Transcription result:', transcribedText);
 
@@ -503,7 +877,8 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
       success: true,
       transcription: transcribedText,
       language,
-      languageName: LANGUAGE_CONFIG[language].name,
+      languageName: registry.languages[language].name,
+      languageDetection,
       timestamp: new Date().toISOString()
     });
 
@@ -527,28 +902,239 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
   }
 });
 
+// Romanized text → native script, e.g. "kya hai" → "क्या है". `suggestions` (up to 8) adds other
+// ways to write each converted word, for picking while typing.
+app.post('/api/transliterate', (req, res) => {
+  try {
+    const { text, language, suggestions = 0 } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+    if (!registry.languages[language]) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    if (!transliterator.supports(language)) {
+      return res.status(400).json({
+        error: 'Transliteration not supported',
+        message: `There are no transliteration rules for ${registry.languages[language].name}`
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(suggestions) || 0, 0), 8);
+    const result = transliterator.transliterate(text, language);
+
+    res.json({
+      success: true,
+      text: result.text,
+      language,
+      words: result.words.map(word => ({
+        ...word,
+        suggestions: limit ? transliterator.suggest(word.input, language, limit) : []
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error transliterating text:', error);
+    res.status(500).json({
+      error: 'Failed to transliterate text',
+      message: error.message
+    });
+  }
+});
+
+// Reuse the client's session ID so the conversation continues, or start a new one. Only
+// IDs this server issued are accepted (see utils/sessionIds.js).
+function resolveSessionId(req) {
+  const sessionId = req.headers['x-session-id'];
+  return isValidSessionId(sessionId) ? sessionId : issueSessionId();
+}
+
+// Load the conversation so far; a storage hiccup shouldn't block the answer
+async function loadConversation(sessionId) {
+  try {
+    return await conversationMemory.load(sessionId);
+  } catch (error) {
+    console.error('⚠️ Failed to load conversation, answering without history:', error.message);
+    return null;
+  }
+}
+
+// Standalone questions can be answered from the cache; follow-ups depend on the
+// conversation so far and are always generated. Answers are cached per rollout side
+// (see modelRollout.js), so candidate answers never reach incumbent sessions or the
+// other way round. Returns the cache key params or null.
+function answerCacheParams({ question, language, subject, grade, board, rollout, conversation, bypassCache }) {
+  if (!caches.enabled || bypassCache || conversation?.turns?.length) {
+    return null;
+  }
+  return { question, language, subject, grade, board, modelVersion: rollout?.modelVersion || null, rolloutArm: rollout?.arm || null };
+}
+
+// Shared by /api/ask and /api/ask/stream - return an error message or null. The question
+// is checked before language detection, so only non-empty strings reach the detector.
+function validateQuestion(question) {
+  if (typeof question !== 'string' || !question.trim()) {
+    return 'Question is required';
+  }
+  return null;
+}
+
+function validateAskRequest({ language, grade }) {
+  if (!registry.languages[language]) {
+    return 'Unsupported language';
+  }
+
+  if (grade && !registry.grades[grade]) {
+    return 'Unsupported grade level';
+  }
+
+  return null;
+}
+
+// Score the answer and queue the interaction for learning; resolves with the new
+// interaction's ID (for re-asks and feedback) and its quality score
+async function recordInteraction({ req, sessionId, question, language, grade, board, result, startTime }) {
+  const interactionId = crypto.randomUUID();
+
+  // Calculate response time and quality score
+  const responseTime = Date.now() - startTime;
+  // Romanized questions are scored in the script the answer is written in
+  const qualityScore = await learningAnalytics.scoreResponseQuality(
+    result.normalizedQuestion || question, result.answer, language
+  );
+
+  // Store interaction data for learning (sanitize all values for the store)
+  const interactionData = {
+    sessionId: sessionId || '',
+    question: question || '',
+    normalizedQuestion: result.normalizedQuestion || '',
+    language: language || 'en',
+    requestedLanguage: result.languageDetection?.requested || language || 'en',
+    romanized: Boolean(result.languageDetection?.romanized),
+    codeMixed: Boolean(result.languageDetection?.codeMixed),
+    subject: result.subject || 'general',
+    subjectConfidence: result.subjectDetection?.confidence ?? null,
+    subjectDetection: result.subjectDetection?.method || '',
+    grade: grade || '',
+    board: board || '',
+    citations: result.citations || [],
+    inputMethod: 'text', // Will be 'voice' if from transcription
+    answer: result.answer || '',
+    llmProvider: result.provider || '',
+    model: result.model || '',
+    modelVersion: result.modelVersion || '', // Model registry entry, when a rollout picked the model
+    rolloutArm: result.rolloutArm || '',
+    rolloutCandidate: result.rolloutCandidate || '', // The candidate an incumbent answer is compared with
+    cacheHit: Boolean(result.cached),
+    responseTime: responseTime || 0,
+    tokensUsed: Math.ceil((result.answer?.length || 0) / 4), // Rough estimate
+    confidence: Number(qualityScore?.overallScore || 0),
+    responseQuality: Number(qualityScore?.overallScore || 0),
+    languageAccuracy: Number(qualityScore?.metrics?.languageQuality || 0),
+    culturalRelevance: Number(qualityScore?.metrics?.culturalContext || 0),
+    qualityMetrics: qualityScore?.metrics || {}, // Heuristic metrics, compared with judgeMetrics
+    deviceType: req.headers['user-agent'] || 'unknown',
+    timestamp: new Date()
+  };
+
+  // Store interaction, then have the judge grade it (fire and forget - don't block response)
+  interactionModel.create(interactionData, interactionId).then(() => {
+    if (!qualityJudge?.shouldJudge()) return;
+    qualityJudge.judge({
+      question: result.normalizedQuestion || question,
+      answer: result.answer,
+      language,
+      subject: result.subject,
+      grade
+    })
+      .then(judgement => interactionModel.recordJudgement(interactionId, judgement))
+      .catch(error => console.error('⚠️ Quality judge failed:', error.message));
+  }, error => {
+    console.error('⚠️ Failed to store interaction:', error.message);
+  });
+
+  // Remember the turn before answering, so an immediate follow-up sees it
+  await conversationMemory.remember(sessionId, {
+    question,
+    answer: result.answer,
+    language,
+    subject: result.subject,
+    timestamp: new Date()
+  }).catch(error => {
+    console.error('⚠️ Failed to update conversation:', error.message);
+  });
+
+  console.log('📊 Interaction data queued for storage:', {
+    interactionId,
+    sessionId,
+    language,
+    subject: result.subject,
+    qualityScore: qualityScore.overallScore
+  });
+
+  return { interactionId, qualityScore };
+}
+
+// How the subject was picked, for responses: confidence (null for follow-ups that inherit the
+// previous subject), runner-up subjects and the method (selected | keywords | llm | conversation)
+function subjectDetectionFields(detection) {
+  if (!detection) return {};
+  return {
+    subjectConfidence: detection.confidence,
+    subjectAlternatives: detection.alternatives.map(({ subject, confidence }) => ({
+      subject,
+      subjectName: registry.subjects[subject]?.name || subject,
+      confidence
+    })),
+    subjectDetection: detection.method
+  };
+}
+
+// `audio` holds public links ({ audioUrl, audioPlaylist }) - see publicAudio
+function buildAskResponse({ interactionId, sessionId, question, language, result, audio, qualityScore }) {
+  return {
+    success: true,
+    interactionId, // Needed to re-ask ("explain it differently") and for feedback
+    question,
+    normalizedQuestion: result.normalizedQuestion || null, // Native-script form of a romanized question
+    answer: result.answer,
+    language,
+    languageName: registry.languages[language].name,
+    languageDetection: result.languageDetection || null, // What "auto" found; flags romanized/code-mixed input
+    subject: result.subject,
+    subjectName: result.subjectName,
+    ...subjectDetectionFields(result.subjectDetection),
+    grade: result.grade,
+    citations: result.citations || [], // Textbook chapter/page references
+    audioUrl: audio.audioUrl,
+    audioPlaylist: audio.audioPlaylist, // Sentence chunks, in playback order
+    sessionId, // Include session ID for frontend feedback collection
+    cached: Boolean(result.cached), // Answer came from the answer cache
+    qualityMetrics: qualityScore.metrics, // For debugging/monitoring
+    timestamp: new Date().toISOString()
+  };
+}
+
 // Main API endpoint for asking questions
 app.post('/api/ask', async (req, res) => {
   let timeoutHandle;
   const startTime = Date.now();
-  const sessionId = req.headers['x-session-id'] || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const sessionId = resolveSessionId(req);
   
   try {
-    const { question, language = 'hi', subject = null, grade = null } = req.body;
-
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+    const { question, language: requestedLanguage = 'hi', subject = null, grade = null, board = null, bypassCache = false } = req.body;
+    const questionError = validateQuestion(question);
+    if (questionError) {
+      return res.status(400).json({ error: questionError });
     }
 
-    if (!LANGUAGE_CONFIG[language]) {
-      return res.status(400).json({ error: 'Unsupported language' });
+    const { language, detection: languageDetection } = languageDetector.resolve(question, requestedLanguage);
+    const validationError = validateAskRequest({ language, grade });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    if (grade && !GRADE_CONFIG[grade]) {
-      return res.status(400).json({ error: 'Unsupported grade level' });
-    }
-
-    console.log(`Processing ${subject || 'auto-detected'} question in ${LANGUAGE_CONFIG[language].name}: ${question}`);
+    console.log(`Processing ${subject || 'auto-detected'} question in ${registry.languages[language].name}: ${question}`);
 
     // Set a timeout for the entire request
     timeoutHandle = setTimeout(() => {
@@ -561,52 +1147,42 @@ app.post('/api/ask', async (req, res) => {
       }
     }, 60000); // 60 second timeout
 
-    // Generate answer using OpenAI with subject intelligence
+    // Generate answer with subject intelligence and the conversation so far
     console.log('🤖 Generating answer...');
-    const result = await generateAnswer(question, language, subject, grade);
-    console.log('✅ Answer generated successfully');
+    const conversation = await loadConversation(sessionId);
+    // Romanized questions are classified, cached and answered in their native-script form
+    const normalizedQuestion = transliterator.normalizeQuestion(question, languageDetection);
+    const askedQuestion = normalizedQuestion || question;
+    const detection = await classifySubject(askedQuestion, language, subject, conversation);
+    const rollout = modelRollout.choose({ language, subject: detection.subject, sessionId });
+    const cacheParams = answerCacheParams({ question: askedQuestion, language, subject: detection.subject, grade, board, rollout, conversation, bypassCache });
+    const cachedResult = cacheParams && caches.answers.get(cacheParams);
+
+    let result;
+    if (cachedResult) {
+      // Same model and side; counted against the candidate being rolled out now
+      result = { ...cachedResult, rolloutCandidate: rollout?.candidate || null, cached: true };
+      console.log('⚡ Answer served from cache');
+    } else {
+      result = await generateAnswer(askedQuestion, language, detection.subject, grade, {
+        conversation,
+        board,
+        languageDetection,
+        originalQuestion: normalizedQuestion && question,
+        sessionId,
+        rollout
+      });
+      if (cacheParams) caches.answers.set(cacheParams, result);
+      console.log('✅ Answer generated successfully');
+    }
+    result = { ...result, subjectDetection: detection, languageDetection, normalizedQuestion };
 
     // Convert answer to speech
     console.log('🎵 Converting to speech...');
-    const audioUrl = await convertTextToSpeech(result.answer, language);
+    const audio = await publicAudio(req, await convertTextToSpeech(result.answer, language));
     console.log('✅ Audio conversion completed');
 
-    // Calculate response time and quality score
-    const responseTime = Date.now() - startTime;
-    const qualityScore = await learningAnalytics.scoreResponseQuality(
-      question, result.answer, language, result.subject
-    );
-
-    // Store interaction data for learning (sanitize all values for Firestore)
-    const interactionData = {
-      sessionId: sessionId || '',
-      question: question || '',
-      language: language || 'en',
-      subject: result.subject || 'general',
-      grade: grade || '',
-      inputMethod: 'text', // Will be 'voice' if from transcription
-      answer: result.answer || '',
-      responseTime: responseTime || 0,
-      tokensUsed: Math.ceil((result.answer?.length || 0) / 4), // Rough estimate
-      confidence: Number(qualityScore?.overallScore || 0),
-      responseQuality: Number(qualityScore?.overallScore || 0),
-      languageAccuracy: Number(qualityScore?.metrics?.languageQuality || 0),
-      culturalRelevance: Number(qualityScore?.metrics?.culturalContext || 0),
-      deviceType: req.headers['user-agent'] || 'unknown',
-      timestamp: new Date()
-    };
-
-    // Store interaction in Firebase (fire and forget - don't block response)
-    interactionModel.create(interactionData).catch(error => {
-      console.error('⚠️ Failed to store interaction:', error.message);
-    });
-
-    console.log('📊 Interaction data queued for Firebase storage:', {
-      sessionId,
-      language,
-      subject: result.subject,
-      qualityScore: qualityScore.overallScore
-    });
+    const { interactionId, qualityScore } = await recordInteraction({ req, sessionId, question, language, grade, board, result, startTime });
 
     // Clear the timeout since we completed successfully
     if (timeoutHandle) {
@@ -616,20 +1192,7 @@ app.post('/api/ask', async (req, res) => {
 
     // Send response immediately
     if (!res.headersSent) {
-      const response = {
-        success: true,
-        question,
-        answer: result.answer,
-        language,
-        languageName: LANGUAGE_CONFIG[language].name,
-        subject: result.subject,
-        subjectName: result.subjectName,
-        grade: result.grade,
-        audioUrl: `http://localhost:${PORT}${audioUrl}`,
-        sessionId, // Include session ID for frontend feedback collection
-        qualityMetrics: qualityScore.metrics, // For debugging/monitoring
-        timestamp: new Date().toISOString()
-      };
+      const response = buildAskResponse({ interactionId, sessionId, question, language, result, audio, qualityScore });
       
       console.log('📤 Sending response to frontend...');
       res.json(response);
@@ -654,11 +1217,263 @@ app.post('/api/ask', async (req, res) => {
   }
 });
 
-// Feedback collection endpoint for learning
+// Streaming variant of /api/ask over Server-Sent Events.
+// Events, in order: `token` ({ text }) while the answer is generated, interleaved with
+// `audio-chunk` ({ index, text, audioUrl }) as each sentence is synthesized, `metadata`
+// (subject/grade/language), `audio` ({ audioUrl, audioPlaylist }), then `done` with the
+// full /api/ask response. Failures send `error` ({ error, message }) and close the stream.
+app.post('/api/ask/stream', async (req, res) => {
+  let timeoutHandle;
+  let closed = false;
+  let speech = null;
+  let audioDelivered = false;
+  const startTime = Date.now();
+  const sessionId = resolveSessionId(req);
+
+  const { question, language: requestedLanguage = 'hi', subject = null, grade = null, board = null, bypassCache = false } = req.body;
+  const questionError = validateQuestion(question);
+  if (questionError) {
+    return res.status(400).json({ error: questionError });
+  }
+
+  // Errors before the stream opens are answered as plain JSON
+  let language;
+  let languageDetection;
+  try {
+    ({ language, detection: languageDetection } = languageDetector.resolve(question, requestedLanguage));
+  } catch (error) {
+    console.error('❌ Error detecting question language:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+
+  const validationError = validateAskRequest({ language, grade });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx/proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const endStream = () => {
+    if (timeoutHandle) {
+      clearTimeout(timeoutHandle);
+      timeoutHandle = null;
+    }
+    if (!closed) {
+      closed = true;
+      res.end();
+    }
+  };
+
+  // res 'close' (not req) fires when the client disconnects mid-stream
+  res.on('close', () => {
+    if (!closed) {
+      console.log('🔌 Client closed the answer stream');
+      closed = true;
+    }
+  });
+
+  try {
+    console.log(`Streaming ${subject || 'auto-detected'} question in ${registry.languages[language].name}: ${question}`);
+
+    timeoutHandle = setTimeout(() => {
+      console.log('⏰ Stream timed out after 60 seconds');
+      sendEvent('error', {
+        error: 'Request timeout',
+        message: 'The request took too long to process. Please try again.'
+      });
+      endStream();
+    }, 60000); // 60 second timeout
+
+    // Sentences are voiced while the rest of the answer is still being written.
+    // Links can be presigned (async), so events are chained to keep them in order.
+    // Each link settles on its own: a failed link skips that chunk (the full audio still
+    // follows) instead of leaving a rejection behind when the stream ends early.
+    const toUrl = audioUrlResolver(req);
+    let chunkEvents = Promise.resolve();
+    speech = createSpeechChunker(language, chunk => {
+      chunkEvents = chunkEvents
+        .then(async () => sendEvent('audio-chunk', {
+          index: chunk.index,
+          text: chunk.text,
+          audioUrl: await toUrl(chunk.audioKey)
+        }))
+        .catch(error => {
+          console.error(`⚠️ Failed to send audio chunk ${chunk.index}:`, error.message);
+        });
+    });
+
+    const conversation = await loadConversation(sessionId);
+    // Romanized questions are classified, cached and answered in their native-script form
+    const normalizedQuestion = transliterator.normalizeQuestion(question, languageDetection);
+    const askedQuestion = normalizedQuestion || question;
+    const detection = await classifySubject(askedQuestion, language, subject, conversation);
+    const rollout = modelRollout.choose({ language, subject: detection.subject, sessionId });
+    const cacheParams = answerCacheParams({ question: askedQuestion, language, subject: detection.subject, grade, board, rollout, conversation, bypassCache });
+    const cachedResult = cacheParams && caches.answers.get(cacheParams);
+
+    let result;
+    if (cachedResult) {
+      // A cached answer arrives as a single token
+      result = { ...cachedResult, rolloutCandidate: rollout?.candidate || null, cached: true };
+      console.log('⚡ Answer served from cache');
+      sendEvent('token', { text: result.answer });
+      speech.push(result.answer);
+    } else {
+      result = await streamAnswer(askedQuestion, language, detection.subject, grade, {
+        conversation,
+        board,
+        languageDetection,
+        originalQuestion: normalizedQuestion && question,
+        sessionId,
+        rollout,
+        onToken: text => {
+          sendEvent('token', { text });
+          speech.push(text);
+        },
+        isCancelled: () => closed
+      });
+      if (closed) return; // Don't cache an answer cut short by the client
+      if (cacheParams) caches.answers.set(cacheParams, result);
+    }
+    result = { ...result, subjectDetection: detection, languageDetection, normalizedQuestion };
+
+    sendEvent('metadata', {
+      sessionId,
+      language,
+      languageName: registry.languages[language].name,
+      languageDetection,
+      subject: result.subject,
+      subjectName: result.subjectName,
+      ...subjectDetectionFields(detection),
+      grade: result.grade,
+      citations: result.citations || []
+    });
+
+    console.log('🎵 Finishing speech...');
+    const audio = await publicAudio(req, await finishSpeech(speech, language));
+    await chunkEvents;
+    if (closed) return;
+    sendEvent('audio', audio);
+    audioDelivered = true;
+
+    const { interactionId, qualityScore } = await recordInteraction({ req, sessionId, question, language, grade, board, result, startTime });
+    sendEvent('done', buildAskResponse({ interactionId, sessionId, question, language, result, audio, qualityScore }));
+    console.log('✅ Stream completed successfully');
+  } catch (error) {
+    console.error('❌ Error processing streamed request:', error);
+    sendEvent('error', { error: 'Internal server error', message: error.message });
+  } finally {
+    endStream();
+    if (speech && !audioDelivered) {
+      discardSpeech(speech);
+    }
+  }
+});
+
+// "Explain it differently" - regenerate an earlier answer in another style.
+// Each re-ask increments the interaction's retryCount; the response keeps the same
+// interactionId plus the variant, so feedback can record which variant finally worked.
+app.post('/api/ask/:interactionId/reask', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { interactionId } = req.params;
+    const { variant } = req.body;
+
+    if (!REASK_VARIANTS[variant]) {
+      return res.status(400).json({
+        error: 'Unsupported variant',
+        message: `Variant must be one of: ${Object.keys(REASK_VARIANTS).join(', ')}`
+      });
+    }
+
+    const interaction = await interactionModel.getById(interactionId);
+    if (!interaction) {
+      return res.status(404).json({ error: 'Interaction not found' });
+    }
+
+    const { question, language, subject, grade, board, sessionId } = interaction;
+    const previousAnswer = interaction.variants?.length
+      ? interaction.variants[interaction.variants.length - 1].answer
+      : interaction.answer;
+
+    console.log(`🔁 Re-asking interaction ${interactionId} as "${variant}"`);
+    const answer = await generateAnswer(interaction.normalizedQuestion || question, language, subject, grade || null, {
+      board: board || null,
+      reask: { variant, previousAnswer },
+      originalQuestion: interaction.normalizedQuestion ? question : null,
+      sessionId
+    });
+    // Same subject as the original answer, so report how that one was detected
+    const result = {
+      ...answer,
+      subjectDetection: {
+        confidence: interaction.subjectConfidence ?? null,
+        alternatives: [],
+        method: interaction.subjectDetection || 'selected'
+      }
+    };
+    const audio = await publicAudio(req, await convertTextToSpeech(result.answer, language));
+    const qualityScore = await learningAnalytics.scoreResponseQuality(
+      interaction.normalizedQuestion || question, result.answer, language
+    );
+
+    const updated = await interactionModel.recordRetry(interactionId, {
+      variant,
+      answer: result.answer,
+      llmProvider: result.provider || '',
+      model: result.model || '',
+      modelVersion: result.modelVersion || '',
+      responseTime: Date.now() - startTime,
+      responseQuality: Number(qualityScore?.overallScore || 0)
+    });
+
+    // Follow-up questions should build on the explanation the student is now reading
+    await conversationMemory.remember(sessionId, {
+      question,
+      answer: result.answer,
+      language,
+      subject: result.subject,
+      timestamp: new Date()
+    }).catch(error => {
+      console.error('⚠️ Failed to update conversation:', error.message);
+    });
+
+    res.json({
+      ...buildAskResponse({ interactionId, sessionId, question, language, result, audio, qualityScore }),
+      variant,
+      variantName: REASK_VARIANTS[variant].name,
+      retryCount: updated.retryCount
+    });
+  } catch (error) {
+    console.error('❌ Error re-asking question:', error);
+    res.status(500).json({ 
+      error: 'Failed to explain differently', 
+      message: error.message 
+    });
+  }
+});
+
+// Feedback collection endpoint for learning - attached to the answer's interaction ID
+// from /api/ask; each submission is kept as its own feedback event
 app.post('/api/feedback', async (req, res) => {
   try {
     const { 
       sessionId, 
+      interactionId,
+      variant,
       userRating, 
       userFeedback, 
       wasHelpful, 
@@ -667,43 +1482,57 @@ app.post('/api/feedback', async (req, res) => {
       voiceInterrupted 
     } = req.body;
 
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
+    if (!interactionId) {
+      return res.status(400).json({ error: 'Interaction ID is required' });
+    }
+    if (userRating !== undefined && userRating !== 0 && !(Number.isInteger(userRating) && userRating >= 1 && userRating <= 5)) {
+      return res.status(400).json({ error: 'userRating must be a whole number from 1 to 5' });
     }
 
     console.log('📝 Received user feedback:', {
-      sessionId,
+      interactionId,
       rating: userRating,
       helpful: wasHelpful,
       feedback: userFeedback ? 'provided' : 'none'
     });
 
-    // Store feedback data for learning in Firebase
+    // Store feedback data for learning
     const feedbackData = {
-      userRating,
-      userFeedback,
-      wasHelpful,
-      timeSpentReading,
-      audioPlayedToEnd,
-      voiceInterrupted,
-      flaggedForReview: userRating <= 2 || !wasHelpful,
+      sessionId: sessionId || null,
+      variant: variant || 'original',
+      userRating: userRating || null,
+      userFeedback: userFeedback || null,
+      wasHelpful: typeof wasHelpful === 'boolean' ? wasHelpful : null,
+      timeSpentReading: timeSpentReading ?? null,
+      audioPlayedToEnd: audioPlayedToEnd ?? null,
+      voiceInterrupted: voiceInterrupted ?? null,
+      flaggedForReview: (userRating > 0 && userRating <= 2) || wasHelpful === false,
       timestamp: new Date()
     };
 
-    // Update interaction with feedback in Firebase
-    interactionModel.updateWithFeedback(sessionId, feedbackData).catch(error => {
-      console.error('⚠️ Failed to update feedback:', error.message);
-    });
+    const interaction = await interactionModel.addFeedback(interactionId, feedbackData);
+    if (!interaction) {
+      return res.status(404).json({ error: 'Interaction not found', interactionId });
+    }
+
+    // A happy student tells us which explanation style finally worked
+    if (userRating >= 4 || wasHelpful === true) {
+      interactionModel.markSatisfied(interactionId, variant).catch(error => {
+        console.error('⚠️ Failed to record satisfied variant:', error.message);
+      });
+    }
 
     // Check if this feedback indicates need for improvement
-    if (userRating <= 2 || !wasHelpful) {
-      console.log('⚠️ Low satisfaction detected - flagged for review:', sessionId);
+    if (feedbackData.flaggedForReview) {
+      console.log('⚠️ Low satisfaction detected - flagged for review:', interactionId);
     }
 
     res.json({
       success: true,
       message: 'Feedback recorded successfully',
-      sessionId
+      interactionId,
+      sessionId: interaction.sessionId || sessionId || null,
+      feedbackCount: interaction.feedbackCount
     });
 
   } catch (error) {
@@ -715,22 +1544,92 @@ app.post('/api/feedback', async (req, res) => {
   }
 });
 
+// One answer with its feedback, judge grades and re-asks
+app.get('/api/interactions/:interactionId', async (req, res) => {
+  try {
+    const interaction = await interactionModel.getById(req.params.interactionId);
+    if (!interaction) {
+      return res.status(404).json({ error: 'Interaction not found', interactionId: req.params.interactionId });
+    }
+    res.json({ success: true, interaction });
+  } catch (error) {
+    console.error('❌ Error fetching interaction:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch interaction', 
+      message: error.message 
+    });
+  }
+});
+
+// The stored answers of a session, oldest first
+app.get('/api/sessions/:sessionId/interactions', requireSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const interactions = await interactionModel.findBySession(req.params.sessionId, { limit });
+    res.json({ success: true, sessionId: req.params.sessionId, interactions });
+  } catch (error) {
+    console.error('❌ Error fetching session interactions:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch interactions', 
+      message: error.message 
+    });
+  }
+});
+
+// Conversation history for a session
+app.get('/api/sessions/:sessionId', requireSession, async (req, res) => {
+  try {
+    const conversation = await conversationMemory.load(req.params.sessionId);
+    res.json({
+      success: true,
+      sessionId: req.params.sessionId,
+      summary: conversation.summary,
+      turns: conversation.turns
+    });
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch conversation', 
+      message: error.message 
+    });
+  }
+});
+
+// Start over - forget the conversation for a session
+app.delete('/api/sessions/:sessionId', requireSession, async (req, res) => {
+  try {
+    await conversationMemory.forget(req.params.sessionId);
+    res.json({ success: true, sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('❌ Error deleting conversation:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete conversation', 
+      message: error.message 
+    });
+  }
+});
+
 // Learning analytics endpoint for monitoring
 app.get('/api/analytics/learning', async (req, res) => {
   try {
-    const { timeRange = 7 } = req.query;
+    const { timeRange = 7, language, subject, grade } = req.query;
+    const days = parseInt(timeRange) || 7;
+    const filters = { language, subject, grade: grade ? parseInt(grade) : undefined };
     
     // Get learning analytics data
-    const analytics = await learningAnalytics.analyzeUserFeedback(parseInt(timeRange));
-    const knowledgeGaps = await learningAnalytics.identifyKnowledgeGaps();
+    const analytics = await learningAnalytics.analyzeUserFeedback(days, filters);
+    const knowledgeGaps = await learningAnalytics.identifyKnowledgeGaps({ timeRange: days, ...filters });
     const shouldTune = await learningAnalytics.shouldFineTune();
+    const qualityComparison = await learningAnalytics.compareQualityScores({ timeRange: days, ...filters });
     
     res.json({
       success: true,
-      timeRange: parseInt(timeRange),
+      timeRange: days,
+      filters,
       analytics,
       knowledgeGaps: knowledgeGaps.slice(0, 10), // Top 10 gaps
       fineTuningRecommendation: shouldTune,
+      qualityComparison,
       timestamp: new Date().toISOString()
     });
 
@@ -746,9 +1645,12 @@ app.get('/api/analytics/learning', async (req, res) => {
 // Get supported languages
 app.get('/api/languages', (req, res) => {
   res.json({
-    languages: Object.keys(LANGUAGE_CONFIG).map(key => ({
+    languages: Object.keys(registry.languages).map(key => ({
       code: key,
-      name: LANGUAGE_CONFIG[key].name
+      name: registry.languages[key].name,
+      nativeName: registry.languages[key].nativeName || registry.languages[key].name,
+      flag: registry.languages[key].flag || null,
+      transliteration: transliterator.supports(key) // Romanized typing can be converted
     }))
   });
 });
@@ -756,10 +1658,10 @@ app.get('/api/languages', (req, res) => {
 // Get supported subjects
 app.get('/api/subjects', (req, res) => {
   res.json({
-    subjects: Object.keys(SUBJECT_CONFIG).map(key => ({
+    subjects: Object.keys(registry.subjects).map(key => ({
       code: key,
-      name: SUBJECT_CONFIG[key].name,
-      icon: SUBJECT_CONFIG[key].icon
+      name: registry.subjects[key].name,
+      icon: registry.subjects[key].icon
     }))
   });
 });
@@ -767,30 +1669,148 @@ app.get('/api/subjects', (req, res) => {
 // Get supported grade levels
 app.get('/api/grades', (req, res) => {
   res.json({
-    grades: Object.keys(GRADE_CONFIG).map(key => ({
+    grades: Object.keys(registry.grades).map(key => ({
       code: parseInt(key),
-      name: GRADE_CONFIG[key].name,
-      complexity: GRADE_CONFIG[key].complexity
+      name: registry.grades[key].name,
+      complexity: registry.grades[key].complexity
     }))
   });
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+// Admin API for the registries (Authorization: Bearer <ADMIN_API_TOKEN>).
+// Updates are validated, bumped to a new version and written back to the registry files.
+function registryErrorResponse(res, error) {
+  if (error.name === 'RegistryValidationError') {
+    return res.status(400).json({ error: 'Invalid registry', message: error.message, problems: error.problems });
+  }
+  if (error.name === 'RegistryConflictError') {
+    return res.status(409).json({ error: 'Version conflict', message: error.message });
+  }
+  console.error('Error updating registry:', error);
+  return res.status(500).json({ error: 'Failed to update registry', message: error.message });
+}
+
+app.param('registryName', (req, res, next, name) => {
+  if (!REGISTRY_NAMES.includes(name)) {
+    return res.status(404).json({ error: `Unknown registry "${name}"`, message: `Expected one of: ${REGISTRY_NAMES.join(', ')}` });
+  }
+  next();
 });
 
-// Global error handlers
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  console.error('Stack:', error.stack);
-  process.exit(1);
+app.get('/api/admin/registries/:registryName', requireAdmin, (req, res) => {
+  res.json(registry.get(req.params.registryName));
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  console.error('Stack:', reason?.stack);
-  process.exit(1);
+// Replace every entry; send the `version` you edited to avoid overwriting a newer one
+app.put('/api/admin/registries/:registryName', requireAdmin, (req, res) => {
+  try {
+    const { entries, version } = req.body;
+    res.json(registry.update(req.params.registryName, entries, { expectedVersion: version }));
+  } catch (error) {
+    registryErrorResponse(res, error);
+  }
+});
+
+// Add or replace a single entry, e.g. PUT /api/admin/registries/languages/pa
+app.put('/api/admin/registries/:registryName/:code', requireAdmin, (req, res) => {
+  try {
+    const { registryName, code } = req.params;
+    const entries = { ...registry.get(registryName).entries, [code]: req.body };
+    res.json(registry.update(registryName, entries));
+  } catch (error) {
+    registryErrorResponse(res, error);
+  }
+});
+
+app.delete('/api/admin/registries/:registryName/:code', requireAdmin, (req, res) => {
+  try {
+    const { registryName, code } = req.params;
+    const { [code]: removed, ...entries } = registry.get(registryName).entries;
+    if (!removed) {
+      return res.status(404).json({ error: `No "${code}" in the ${registryName} registry` });
+    }
+    res.json(registry.update(registryName, entries));
+  } catch (error) {
+    registryErrorResponse(res, error);
+  }
+});
+
+// Reload the curriculum index after running scripts/ingestCurriculum.js
+app.post('/api/admin/curriculum/reload', requireAdmin, (req, res) => {
+  if (!curriculum) {
+    return res.status(503).json({ error: 'Curriculum retrieval is unavailable' });
+  }
+
+  try {
+    const passages = curriculum.load();
+    console.log(`🔄 Reloaded curriculum index: ${passages} passages`);
+    caches.answers.clear(); // Cached answers were grounded in the old index
+    res.json({ success: true, passages });
+  } catch (error) {
+    console.error('Error reloading curriculum index:', error);
+    res.status(500).json({ error: 'Failed to reload curriculum index', message: error.message });
+  }
+});
+
+// How each candidate model is rated against its incumbent - nothing is changed
+app.get('/api/admin/models/rollout', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, candidates: await modelRollout.evaluate({ dryRun: true }) });
+  } catch (error) {
+    console.error('Error comparing model ratings:', error);
+    res.status(500).json({ error: 'Failed to compare model ratings', message: error.message });
+  }
+});
+
+// Run the rollback check now instead of waiting for the next interval
+app.post('/api/admin/models/rollout/check', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, candidates: await modelRollout.evaluate() });
+  } catch (error) {
+    console.error('Error checking model rollout:', error);
+    res.status(500).json({ error: 'Failed to check model rollout', message: error.message });
+  }
+});
+
+// Run the audio retention sweep now instead of waiting for the next interval
+app.post('/api/audio/sweep', requireAdmin, async (req, res) => {
+  let retentionHours;
+  try {
+    retentionHours = parseRetentionHours(req.body.retentionHours ?? process.env.AUDIO_RETENTION_HOURS);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid retentionHours', message: error.message });
+  }
+
+  try {
+    const removed = await audioStore.sweep(new Date(Date.now() - retentionHours * 60 * 60 * 1000));
+    console.log(`🧹 Manual audio sweep removed ${removed} file(s)`);
+    res.json({ success: true, removed, retentionHours });
+  } catch (error) {
+    console.error('Error sweeping audio:', error);
+    res.status(500).json({ error: 'Failed to sweep audio', message: error.message });
+  }
+});
+
+// Cache hit rates and sizes for monitoring
+app.get('/api/cache/stats', (req, res) => {
+  res.json({
+    enabled: caches.enabled,
+    answers: caches.answers.getStats(),
+    audio: caches.audio.getStats()
+  });
+});
+
+// Drop every cached answer and audio clip, e.g. after a prompt change
+app.delete('/api/cache', requireAdmin, (req, res) => {
+  caches.answers.clear();
+  caches.audio.clear();
+  console.log('🧹 Answer/audio cache cleared');
+  res.json({ success: true });
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
 });
 
 // Start server
@@ -798,10 +1818,15 @@ const startServer = async () => {
   try {
     await createAudioDir();
     console.log('✅ Audio directories created/verified');
+
+    // Fails fast on a missing bucket or unwritable directory
+    await audioStore.init();
+    startAudioSweeper(audioStore);
+    modelRollout.start();
     
     const server = app.listen(PORT, () => {
       console.log(`🚀 Regional Language AI Tutor API running on port ${PORT}`);
-      console.log(`📝 Supported languages: ${Object.values(LANGUAGE_CONFIG).map(l => l.name).join(', ')}`);
+      console.log(`📝 Supported languages: ${Object.values(registry.languages).map(l => l.name).join(', ')}`);
       console.log(`🌐 Server ready to accept requests at http://localhost:${PORT}`);
     });
 
@@ -820,6 +1845,22 @@ const startServer = async () => {
   }
 };
 
-startServer();
+// Started with `node server.js`; tests require the app without listening
+if (require.main === module) {
+  // Global error handlers
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    console.error('Stack:', reason?.stack);
+    process.exit(1);
+  });
+
+  startServer();
+}
 
 module.exports = app;
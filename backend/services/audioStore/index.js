@@ -0,0 +1,64 @@
+// Audio store - where synthesized answers are kept and how clients reach them
+//
+// AUDIO_STORE              local | s3 (default: local)
+// AUDIO_LOCAL_DIR          local store: folder for the audio files (default: backend/public/audio)
+// AUDIO_PUBLIC_BASE_URL    URL prefix audio is served under, e.g. https://tara.example.com/audio;
+//                          local default is the address each request came in on
+// AUDIO_URL_SECRET         local store: sign links so they expire (unset = plain links)
+// AUDIO_URL_TTL            seconds a signed/presigned link stays valid (default: 3600)
+// AUDIO_RETENTION_HOURS    audio older than this is deleted by the sweeper (default: 24)
+// AUDIO_SWEEP_INTERVAL_MINUTES  how often the sweeper runs (default: 60)
+//
+// Stores expose init/save/exists/remove/url/sweep and verifyMiddleware for the /audio route.
+const LocalAudioStore = require('./localAudioStore');
+const S3AudioStore = require('./s3AudioStore');
+
+const AUDIO_STORES = {
+  local: LocalAudioStore,
+  s3: S3AudioStore
+};
+
+function createAudioStore(name = process.env.AUDIO_STORE || 'local', options = {}) {
+  const Store = AUDIO_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown audio store "${name}". Expected one of: ${Object.keys(AUDIO_STORES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+// Hours of audio to keep, from AUDIO_RETENTION_HOURS or a request. Zero or a negative
+// window would delete everything just written, so only positive numbers are accepted.
+function parseRetentionHours(value, fallback = 24) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    throw new Error(`Audio retention must be a positive number of hours, got "${value}"`);
+  }
+  return hours;
+}
+
+// Periodically delete audio past the retention window; the first sweep runs right away so
+// files left over from before a restart are cleaned up too. Returns a stop function.
+function startAudioSweeper(store, {
+  retentionHours = parseRetentionHours(process.env.AUDIO_RETENTION_HOURS),
+  intervalMinutes = parseFloat(process.env.AUDIO_SWEEP_INTERVAL_MINUTES) || 60
+} = {}) {
+  retentionHours = parseRetentionHours(retentionHours);
+  const sweep = async () => {
+    try {
+      const removed = await store.sweep(new Date(Date.now() - retentionHours * 60 * 60 * 1000));
+      if (removed) {
+        console.log(`🧹 Removed ${removed} audio file(s) older than ${retentionHours}h`);
+      }
+    } catch (error) {
+      console.error('⚠️ Audio sweep failed:', error.message);
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMinutes * 60 * 1000);
+  timer.unref(); // Don't keep the process alive just for the sweeper
+  return () => clearInterval(timer);
+}
+
+module.exports = { createAudioStore, startAudioSweeper, parseRetentionHours, AUDIO_STORES };
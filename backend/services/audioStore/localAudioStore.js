@@ -0,0 +1,101 @@
+// Audio files on local disk under backend/public/audio (or AUDIO_LOCAL_DIR), served by the API at /audio.
+// With AUDIO_URL_SECRET set, links are HMAC-signed and expire after AUDIO_URL_TTL seconds.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+class LocalAudioStore {
+  constructor({
+    directory = process.env.AUDIO_LOCAL_DIR || path.join(__dirname, '../../public/audio'),
+    publicBaseUrl = process.env.AUDIO_PUBLIC_BASE_URL,
+    urlSecret = process.env.AUDIO_URL_SECRET,
+    urlTtlSeconds = parseInt(process.env.AUDIO_URL_TTL) || 3600
+  } = {}) {
+    this.name = 'local';
+    this.directory = directory;
+    this.publicBaseUrl = publicBaseUrl;
+    this.urlSecret = urlSecret;
+    this.urlTtlSeconds = urlTtlSeconds;
+  }
+
+  async init() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  // Keys are generated file names; never let one point outside the directory
+  filePath(key) {
+    if (!/^[A-Za-z0-9_.-]+$/.test(key)) {
+      throw new Error(`Invalid audio key "${key}"`);
+    }
+    return path.join(this.directory, key);
+  }
+
+  async save(key, audioContent) {
+    await fs.writeFile(this.filePath(key), audioContent);
+    return key;
+  }
+
+  async exists(key) {
+    return fs.access(this.filePath(key)).then(() => true).catch(() => false);
+  }
+
+  async remove(key) {
+    await fs.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.urlSecret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  // fallbackBaseUrl is where the request came in, used when AUDIO_PUBLIC_BASE_URL isn't set
+  async url(key, { fallbackBaseUrl } = {}) {
+    const url = `${(this.publicBaseUrl || fallbackBaseUrl).replace(/\/$/, '')}/${key}`;
+    if (!this.urlSecret) return url;
+
+    const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+    return `${url}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  // Express middleware in front of the static /audio route - rejects unsigned or
+  // expired links when signing is on
+  verifyMiddleware() {
+    return (req, res, next) => {
+      if (!this.urlSecret) return next();
+
+      const key = path.basename(req.path);
+      const expires = parseInt(req.query.expires);
+      const signature = Buffer.from(String(req.query.signature || ''));
+      const expected = Buffer.from(Number.isFinite(expires) ? this.sign(key, expires) : '');
+
+      // timingSafeEqual throws on buffers of different byte lengths (e.g. a multibyte signature)
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(signature, expected) &&
+        expires > Date.now() / 1000;
+
+      if (!valid) {
+        return res.status(403).json({ error: 'Audio link is invalid or has expired' });
+      }
+      next();
+    };
+  }
+
+  // Delete files last written before `olderThan`; resolves with the number removed
+  async sweep(olderThan) {
+    const names = await fs.readdir(this.directory).catch(() => []);
+    let removed = 0;
+
+    for (const name of names) {
+      const filePath = path.join(this.directory, name);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats?.isFile() && stats.mtime < olderThan) {
+        await fs.unlink(filePath).catch(() => {});
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = LocalAudioStore;
@@ -0,0 +1,123 @@
+// Audio files in an S3-compatible bucket (AWS S3, MinIO, R2...).
+//
+// AUDIO_S3_BUCKET     bucket name (required)
+// AUDIO_S3_REGION     region (default: us-east-1)
+// AUDIO_S3_ENDPOINT   custom endpoint, e.g. http://localhost:9000 for MinIO (path-style addressing)
+// AUDIO_S3_PREFIX     key prefix inside the bucket (default: audio/)
+// Credentials come from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY chain.
+//
+// Links are presigned and expire after AUDIO_URL_TTL seconds, unless AUDIO_PUBLIC_BASE_URL
+// points at a public bucket or CDN - then they are plain `<base>/<prefix><key>` URLs.
+const path = require('path');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg'
+};
+
+class S3AudioStore {
+  constructor({
+    bucket = process.env.AUDIO_S3_BUCKET,
+    region = process.env.AUDIO_S3_REGION || 'us-east-1',
+    endpoint = process.env.AUDIO_S3_ENDPOINT,
+    prefix = process.env.AUDIO_S3_PREFIX ?? 'audio/',
+    publicBaseUrl = process.env.AUDIO_PUBLIC_BASE_URL,
+    urlTtlSeconds = parseInt(process.env.AUDIO_URL_TTL) || 3600
+  } = {}) {
+    if (!bucket) {
+      throw new Error('AUDIO_S3_BUCKET is required for the s3 audio store');
+    }
+
+    this.s3 = require('@aws-sdk/client-s3');
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.publicBaseUrl = publicBaseUrl;
+    this.urlTtlSeconds = urlTtlSeconds;
+    this.client = new this.s3.S3Client({
+      region,
+      ...(endpoint && { endpoint, forcePathStyle: true })
+    });
+  }
+
+  async init() {
+    await this.client.send(new this.s3.HeadBucketCommand({ Bucket: this.bucket }));
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async save(key, audioContent) {
+    const extension = path.extname(key).slice(1);
+    await this.client.send(new this.s3.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: audioContent,
+      ContentType: CONTENT_TYPES[extension] || 'application/octet-stream'
+    }));
+    return key;
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new this.s3.HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.client.send(new this.s3.DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async url(key) {
+    if (this.publicBaseUrl) {
+      return `${this.publicBaseUrl.replace(/\/$/, '')}/${this.objectKey(key)}`;
+    }
+
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    return getSignedUrl(
+      this.client,
+      new this.s3.GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: this.urlTtlSeconds }
+    );
+  }
+
+  // Presigned links are checked by the bucket itself
+  verifyMiddleware() {
+    return (req, res, next) => next();
+  }
+
+  // Delete objects under the prefix last modified before `olderThan`
+  async sweep(olderThan) {
+    let removed = 0;
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new this.s3.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const expired = (page.Contents || []).filter(object => object.LastModified < olderThan);
+      if (expired.length) {
+        await this.client.send(new this.s3.DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: expired.map(object => ({ Key: object.Key })), Quiet: true }
+        }));
+        removed += expired.length;
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return removed;
+  }
+}
+
+module.exports = S3AudioStore;
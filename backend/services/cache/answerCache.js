@@ -0,0 +1,111 @@
+// Answer cache keyed on the normalized question + language + subject + grade (+ textbook board)
+// + the model rollout side (modelVersion/rolloutArm), so a candidate's answers only reach
+// the sessions routed to it.
+// With a similarity threshold set, near-duplicates in the same language/subject/grade
+// also hit (word-set Jaccard similarity, e.g. "What is photosynthesis" vs "what is photosynthesis?"),
+// as long as their numbers and formulas are identical.
+const TTLCache = require('./ttlCache');
+
+// Math symbols change the question ("5/3" vs "5*3"), so they stay in the key; spaces
+// around them don't ("x + 1" is "x+1")
+const OPERATORS = '+\\-*/^=<>×÷√π±≤≥∞%()\\[\\]{}|';
+const AROUND_OPERATOR = new RegExp(`\\s*([${OPERATORS}])\\s*`, 'g');
+
+// Case, sentence punctuation (incl. the Devanagari danda) and spacing don't change the
+// question; digits and operators do. "." "," and ":" are kept between digits (2.5, 1,000, 3:4).
+function normalizeQuestion(question) {
+  return (question || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\u2212/g, '-') // Unicode minus sign
+    .replace(/(?<!\d)[.,:]|[.,:](?!\d)/g, ' ')
+    .replace(/[?¿¡;"“”‘’`…।॥]+/g, ' ')
+    .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1') // Quotes, not the apostrophe in f'(x) or Newton's
+    .replace(/(?<![\d)])!+/g, ' ') // Exclamation marks, not 5! or (n+1)! (factorial)
+    .replace(AROUND_OPERATOR, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Words holding digits or operators - near-duplicates must have exactly the same ones
+function formulaTokens(normalized) {
+  return normalized.split(' ').filter(word => /[\d+\-*/^=<>×÷√π±≤≥∞%!]/.test(word)).sort().join(' ');
+}
+
+function similarity(a, b) {
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+class AnswerCache {
+  constructor({ ttlMs, maxEntries, similarityThreshold = 0 } = {}) {
+    this.cache = new TTLCache({ ttlMs, maxEntries });
+    this.similarityThreshold = similarityThreshold; // 0 turns near-duplicate matching off
+    this.nearHits = 0;
+  }
+
+  bucket({ language, subject, grade, board, modelVersion, rolloutArm }) {
+    return `${language}|${subject || 'general'}|${grade || 'any'}|${board || 'default'}|${modelVersion || 'default'}|${rolloutArm || 'none'}`;
+  }
+
+  key(params) {
+    return `${this.bucket(params)}|${normalizeQuestion(params.question)}`;
+  }
+
+  // Live cached questions in the same bucket at or above the threshold, closest first.
+  // Only questions with the same numbers and formulas qualify.
+  findNearDuplicates(params) {
+    const bucket = `${this.bucket(params)}|`;
+    const normalized = normalizeQuestion(params.question);
+    const formulas = formulaTokens(normalized);
+
+    return this.cache.keys()
+      .filter(key => key.startsWith(bucket))
+      .map(key => ({ key, question: key.slice(bucket.length) }))
+      .filter(({ question }) => formulaTokens(question) === formulas)
+      .map(({ key, question }) => ({ key, score: similarity(normalized, question) }))
+      .filter(({ score }) => score >= this.similarityThreshold)
+      .sort((a, b) => b.score - a.score)
+      .map(({ key }) => key);
+  }
+
+  // Returns the cached answer result or undefined. An expired near-duplicate is skipped
+  // for the next closest one; nearHits only counts answers actually returned.
+  get(params) {
+    const key = this.key(params);
+    if (this.similarityThreshold > 0 && this.cache.peek(key) === undefined) {
+      for (const nearKey of this.findNearDuplicates(params)) {
+        if (this.cache.peek(nearKey) === undefined) continue; // Expired (peek drops it)
+        const value = this.cache.get(nearKey);
+        if (value !== undefined) {
+          this.nearHits++;
+          return value;
+        }
+      }
+    }
+    return this.cache.get(key);
+  }
+
+  set(params, result) {
+    this.cache.set(this.key(params), result);
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.cache.getStats(),
+      nearHits: this.nearHits,
+      similarityThreshold: this.similarityThreshold
+    };
+  }
+}
+
+module.exports = { AnswerCache, normalizeQuestion, similarity, formulaTokens };
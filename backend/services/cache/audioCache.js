@@ -0,0 +1,54 @@
+// Synthesized audio keyed by a hash of the spoken text and the voice settings, so the
+// same sentence in the same voice is only sent to the TTS engine once.
+// Entries are { audioKey, audioContent, extension } - the audio store key, not a URL, since links
+// can be signed or presigned per request and are built when the entry is read. Size limits
+// count audio bytes.
+const crypto = require('crypto');
+const TTLCache = require('./ttlCache');
+
+class AudioCache {
+  constructor({ ttlMs, maxBytes } = {}) {
+    this.cache = new TTLCache({
+      ttlMs,
+      maxEntries: Infinity,
+      maxBytes,
+      sizeOf: entry => entry.audioContent?.length || 0
+    });
+  }
+
+  key(text, languageConfig) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        text.normalize('NFC').trim(),
+        languageConfig.code,
+        languageConfig.voice,
+        languageConfig.localVoice,
+        languageConfig.ttsEngine || '',
+        languageConfig.speakingRate || null
+      ]))
+      .digest('hex');
+  }
+
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  set(key, entry) {
+    this.cache.set(key, entry);
+  }
+
+  delete(key) {
+    this.cache.delete(key);
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  getStats() {
+    return this.cache.getStats();
+  }
+}
+
+module.exports = AudioCache;
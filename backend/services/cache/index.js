@@ -0,0 +1,33 @@
+// Answer and audio caches, configured from env
+//
+// CACHE_ENABLED              set to false to turn both caches off (default: true)
+// ANSWER_CACHE_TTL           seconds a cached answer stays valid (default: 86400)
+// ANSWER_CACHE_MAX_ENTRIES   answers kept before the least recently used is dropped (default: 1000)
+// ANSWER_CACHE_SIMILARITY    0-1 word overlap for near-duplicate questions to hit; 0 = exact only (default: 0)
+// AUDIO_CACHE_TTL            seconds synthesized audio is reused (default: 86400)
+// AUDIO_CACHE_MAX_MB         audio kept in memory before the least recently used is dropped (default: 100)
+const TTLCache = require('./ttlCache');
+const { AnswerCache, normalizeQuestion } = require('./answerCache');
+const AudioCache = require('./audioCache');
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function createCaches() {
+  return {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    answers: new AnswerCache({
+      ttlMs: readNumber('ANSWER_CACHE_TTL', 86400) * 1000,
+      maxEntries: readNumber('ANSWER_CACHE_MAX_ENTRIES', 1000),
+      similarityThreshold: readNumber('ANSWER_CACHE_SIMILARITY', 0)
+    }),
+    audio: new AudioCache({
+      ttlMs: readNumber('AUDIO_CACHE_TTL', 86400) * 1000,
+      maxBytes: readNumber('AUDIO_CACHE_MAX_MB', 100) * 1024 * 1024
+    })
+  };
+}
+
+module.exports = { createCaches, TTLCache, AnswerCache, AudioCache, normalizeQuestion };
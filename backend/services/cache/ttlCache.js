@@ -0,0 +1,98 @@
+// In-memory cache with a TTL per entry and LRU eviction by entry count and/or size.
+// Keeps hit/miss/eviction counters for the cache stats endpoint.
+class TTLCache {
+  constructor({
+    ttlMs = 24 * 60 * 60 * 1000,
+    maxEntries = 1000,
+    maxBytes = Infinity,
+    sizeOf = () => 0 // Bytes an entry counts against maxBytes
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    this.entries = new Map(); // Insertion order doubles as LRU order
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Looks a key up without touching the hit/miss counters
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (this.isExpired(entry)) {
+      this.delete(key);
+      this.stats.expirations++;
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  get(key) {
+    const value = this.peek(key);
+    if (value === undefined) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Move to the back so it is evicted last
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return value;
+  }
+
+  set(key, value) {
+    const size = this.sizeOf(value);
+    if (size > this.maxBytes) return false; // Would evict everything else and still not fit
+
+    this.delete(key);
+    this.entries.set(key, { value, size, expiresAt: Date.now() + this.ttlMs });
+    this.bytes += size;
+    this.stats.sets++;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.delete(oldestKey);
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      ttlSeconds: Math.round(this.ttlMs / 1000)
+    };
+  }
+}
+
+module.exports = TTLCache;
@@ -0,0 +1,130 @@
+// Multi-turn memory: turns the stored conversation into chat history that fits a token budget
+//
+// CONVERSATION_TOKEN_BUDGET  tokens of history sent with each question (default: 1500)
+// CONVERSATION_MAX_TURNS     turns kept verbatim; older ones are folded into a summary (default: 10)
+const ConversationModel = require('../models/conversation');
+
+const MAX_ANSWER_CHARS = 800; // Long answers are clipped in history, the student saw them in full
+const MAX_SUMMARY_CHARS = 1500;
+
+// Same rough estimate used for tokensUsed on interactions
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function clip(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars).trim()}…` : text;
+}
+
+// Summaries grow at the end, so when they overflow drop the oldest part
+function clipOldest(text, maxChars) {
+  return text.length > maxChars ? `…${text.slice(-maxChars).trim()}` : text;
+}
+
+// Fallback when no summarizer is configured or it fails: keep what was asked
+function extractiveSummary(turns) {
+  return turns.map(turn => `- ${turn.question}`).join('\n');
+}
+
+class ConversationMemory {
+  constructor({
+    conversationModel = new ConversationModel(),
+    summarize = null, // async (previousSummary, turns, language) => summary text
+    tokenBudget = parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 1500,
+    maxStoredTurns = parseInt(process.env.CONVERSATION_MAX_TURNS) || 10
+  } = {}) {
+    this.conversationModel = conversationModel;
+    this.summarize = summarize;
+    this.tokenBudget = tokenBudget;
+    this.maxStoredTurns = maxStoredTurns;
+    this.writes = new Map(); // sessionId => last queued write
+  }
+
+  // Writes for one session run one after another, so turns sent close together are all kept
+  queue(sessionId, write) {
+    const queued = (this.writes.get(sessionId) || Promise.resolve()).catch(() => {}).then(write);
+    this.writes.set(sessionId, queued);
+    queued.catch(() => {}).finally(() => {
+      if (this.writes.get(sessionId) === queued) this.writes.delete(sessionId);
+    });
+    return queued;
+  }
+
+  async load(sessionId) {
+    return (await this.conversationModel.get(sessionId)) || { sessionId, turns: [], summary: '' };
+  }
+
+  // Chat messages for the prior turns: newest turns verbatim while they fit the budget,
+  // everything older as a single summary message
+  buildHistoryMessages(conversation) {
+    const turns = conversation?.turns || [];
+    const included = [];
+    let used = estimateTokens(conversation?.summary);
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+      const turn = turns[i];
+      const answer = clip(turn.answer, MAX_ANSWER_CHARS);
+      const cost = estimateTokens(turn.question) + estimateTokens(answer);
+      if (used + cost > this.tokenBudget) break;
+
+      used += cost;
+      included.unshift(
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: answer }
+      );
+    }
+
+    const omitted = turns.slice(0, turns.length - included.length / 2);
+    const summaryParts = [
+      conversation?.summary,
+      omitted.length ? `Earlier questions from the student:\n${extractiveSummary(omitted)}` : ''
+    ].filter(Boolean);
+
+    if (summaryParts.length === 0) return included;
+
+    return [
+      {
+        role: 'system',
+        content: `Summary of the conversation so far:\n${clipOldest(summaryParts.join('\n\n'), MAX_SUMMARY_CHARS)}`
+      },
+      ...included
+    ];
+  }
+
+  // Append a finished turn; once too many turns pile up the oldest are summarized away
+  remember(sessionId, turn) {
+    return this.queue(sessionId, () => this.appendTurn(sessionId, turn));
+  }
+
+  async appendTurn(sessionId, turn) {
+    const conversation = await this.load(sessionId);
+    let turns = [...conversation.turns, turn];
+    let summary = conversation.summary;
+
+    if (turns.length > this.maxStoredTurns) {
+      const overflow = turns.slice(0, turns.length - this.maxStoredTurns);
+      turns = turns.slice(-this.maxStoredTurns);
+      summary = await this.summarizeTurns(summary, overflow, turn.language);
+    }
+
+    await this.conversationModel.save(sessionId, { turns, summary });
+  }
+
+  async summarizeTurns(previousSummary, turns, language) {
+    if (this.summarize) {
+      try {
+        return clipOldest(await this.summarize(previousSummary, turns, language), MAX_SUMMARY_CHARS);
+      } catch (error) {
+        console.warn('⚠️ Conversation summary failed, keeping questions only:', error.message);
+      }
+    }
+
+    return clipOldest([previousSummary, extractiveSummary(turns)].filter(Boolean).join('\n'), MAX_SUMMARY_CHARS);
+  }
+
+  forget(sessionId) {
+    return this.queue(sessionId, () => this.conversationModel.delete(sessionId));
+  }
+}
+
+module.exports = { ConversationMemory, estimateTokens };
@@ -0,0 +1,73 @@
+// BM25 keyword index over textbook passages - no model or network needed, and works for
+// any script (Devanagari, Tamil...) as long as question and textbook share a language
+const K1 = 1.5;
+const B = 0.75;
+
+// Common English words that would otherwise dominate short questions
+const STOPWORDS = new Set([
+  'the', 'is', 'are', 'was', 'were', 'of', 'and', 'or', 'to', 'in', 'on', 'at', 'for', 'a', 'an',
+  'what', 'why', 'how', 'when', 'which', 'who', 'does', 'do', 'did', 'it', 'its', 'this', 'that',
+  'with', 'by', 'as', 'be', 'from', 'me', 'explain', 'tell', 'about', 'please'
+]);
+
+// Words are runs of letters, combining marks (Indic vowel signs) and digits
+function tokenize(text) {
+  return (text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+class BM25Index {
+  // passages: [{ text, ...metadata }]
+  constructor(passages = []) {
+    this.passages = passages;
+    this.termFrequencies = passages.map(passage => {
+      const counts = new Map();
+      for (const token of tokenize(passage.text)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+      return counts;
+    });
+    this.lengths = this.termFrequencies.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+    this.averageLength = this.lengths.reduce((sum, n) => sum + n, 0) / (passages.length || 1);
+
+    this.documentFrequencies = new Map();
+    for (const counts of this.termFrequencies) {
+      for (const token of counts.keys()) {
+        this.documentFrequencies.set(token, (this.documentFrequencies.get(token) || 0) + 1);
+      }
+    }
+  }
+
+  idf(token) {
+    const n = this.documentFrequencies.get(token) || 0;
+    return Math.log(1 + (this.passages.length - n + 0.5) / (n + 0.5));
+  }
+
+  // Best passages for the query among those accepted by `filter`, highest score first
+  search(query, { filter = () => true, limit = 3, minScore = 0 } = {}) {
+    const tokens = [...new Set(tokenize(query))];
+    if (!tokens.length) return [];
+
+    const results = [];
+    this.passages.forEach((passage, i) => {
+      if (!filter(passage)) return;
+
+      const counts = this.termFrequencies[i];
+      let score = 0;
+      for (const token of tokens) {
+        const frequency = counts.get(token);
+        if (!frequency) continue;
+        const norm = K1 * (1 - B + B * this.lengths[i] / this.averageLength);
+        score += this.idf(token) * (frequency * (K1 + 1)) / (frequency + norm);
+      }
+
+      if (score > minScore) {
+        results.push({ passage, score });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = { BM25Index, tokenize };
@@ -0,0 +1,73 @@
+// Curriculum retrieval - textbook passages for grounding answers, with citations
+//
+// CURRICULUM_INDEX_PATH   index built by scripts/ingestCurriculum.js
+//                         (default: backend/data/curriculum/index.json)
+// CURRICULUM_TOP_K        passages added to the prompt (default: 3)
+// CURRICULUM_MIN_SCORE    BM25 score a passage needs to be used (default: 1)
+// CURRICULUM_DEFAULT_BOARD  board when the request doesn't name one (default: cbse)
+//
+// Without an index file, answers are generated from the model alone as before.
+const fs = require('fs');
+const path = require('path');
+const { BM25Index } = require('./bm25Index');
+
+const DEFAULT_INDEX_PATH = path.join(__dirname, '../../data/curriculum/index.json');
+
+function readIndexFile(indexPath) {
+  if (!fs.existsSync(indexPath)) {
+    return { passages: [] };
+  }
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+function writeIndexFile(indexPath, data) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(data));
+}
+
+class CurriculumRetriever {
+  constructor({
+    indexPath = process.env.CURRICULUM_INDEX_PATH || DEFAULT_INDEX_PATH,
+    topK = parseInt(process.env.CURRICULUM_TOP_K) || 3,
+    minScore = parseFloat(process.env.CURRICULUM_MIN_SCORE) || 1,
+    defaultBoard = process.env.CURRICULUM_DEFAULT_BOARD || 'cbse'
+  } = {}) {
+    this.indexPath = indexPath;
+    this.topK = topK;
+    this.minScore = minScore;
+    this.defaultBoard = defaultBoard;
+    this.load();
+  }
+
+  load() {
+    const { passages } = readIndexFile(this.indexPath);
+    this.index = new BM25Index(passages);
+    return passages.length;
+  }
+
+  get size() {
+    return this.index.passages.length;
+  }
+
+  // Passages from the student's board, class and subject (any subject for general questions),
+  // numbered for citation: [{ index, text, board, grade, subject, chapter, chapterNumber, page, source }]
+  retrieve(question, { board, grade, subject } = {}) {
+    if (!this.size) return [];
+
+    const wantedBoard = board || this.defaultBoard;
+    const filter = passage => passage.board === wantedBoard &&
+      (!grade || passage.grade === Number(grade)) &&
+      (!subject || subject === 'general' || passage.subject === subject);
+
+    return this.index
+      .search(question, { filter, limit: this.topK, minScore: this.minScore })
+      .map(({ passage }, i) => ({ index: i + 1, ...passage }));
+  }
+}
+
+// What the response returns for each passage used (everything but the text)
+function toCitation({ index, board, grade, subject, chapter, chapterNumber, page, source }) {
+  return { index, board, grade, subject, chapter, chapterNumber, page, source };
+}
+
+module.exports = { CurriculumRetriever, toCitation, readIndexFile, writeIndexFile, DEFAULT_INDEX_PATH };
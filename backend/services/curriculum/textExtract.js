@@ -0,0 +1,64 @@
+// Turns textbook files into pages of plain text and pages into passages for the index.
+// PDFs go through poppler's `pdftotext` (PDFTOTEXT_BIN); .txt/.md files are read as is,
+// with form feeds (\f) marking page breaks when present.
+const fs = require('fs').promises;
+const path = require('path');
+const runCommand = require('../../utils/runCommand');
+
+const SUPPORTED_EXTENSIONS = ['.pdf', '.txt', '.md'];
+const PASSAGE_WORDS = 180; // Roughly a paragraph or two of a textbook page
+const PASSAGE_OVERLAP_WORDS = 40; // So an idea split across passages is still found
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'of', 'the', 'in', 'on', 'to', 'for']); // Kept lowercase in chapter titles
+
+// Resolves with [{ page, text }]; page is null for text files without page breaks
+async function extractPages(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let text;
+
+  if (extension === '.pdf') {
+    const binary = process.env.PDFTOTEXT_BIN || 'pdftotext';
+    text = await runCommand(binary, ['-layout', '-enc', 'UTF-8', filePath, '-'], { timeout: 120000 });
+  } else if (SUPPORTED_EXTENSIONS.includes(extension)) {
+    text = await fs.readFile(filePath, 'utf8');
+  } else {
+    throw new Error(`Unsupported textbook file type "${extension}" (expected ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+
+  const pages = text.split('\f');
+  const hasPages = pages.length > 1;
+  return pages
+    .map((pageText, i) => ({ page: hasPages ? i + 1 : null, text: pageText.replace(/\s+/g, ' ').trim() }))
+    .filter(page => page.text);
+}
+
+// Overlapping word windows, each remembering the page it came from
+function splitPassages(pages) {
+  const passages = [];
+  for (const { page, text } of pages) {
+    const words = text.split(' ');
+    for (let start = 0; start < words.length; start += PASSAGE_WORDS - PASSAGE_OVERLAP_WORDS) {
+      passages.push({ page, text: words.slice(start, start + PASSAGE_WORDS).join(' ') });
+      if (start + PASSAGE_WORDS >= words.length) break;
+    }
+  }
+  return passages;
+}
+
+// "08-cell_structure.pdf" -> { chapterNumber: 8, chapter: "Cell Structure" }
+function chapterFromFilename(filePath) {
+  const base = path.basename(filePath, path.extname(filePath));
+  const match = base.match(/^(\d+)[\s._-]*(.*)$/);
+  const title = (match ? match[2] : base).replace(/[_-]+/g, ' ').trim();
+
+  const chapter = title
+    .split(/\s+/)
+    .map((word, i) => i > 0 && SMALL_WORDS.has(word) ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+  return {
+    chapterNumber: match ? parseInt(match[1]) : null,
+    chapter: chapter || base
+  };
+}
+
+module.exports = { extractPages, splitPassages, chapterFromFilename, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,102 @@
+// Language detection for typed and transcribed questions - script first, then marker words
+//
+// LANGUAGE_AUTO_DEFAULT   answer language when nothing can be detected, e.g. "2 + 2 = ?" (default: hi)
+//
+// Uses the language registry: `script` (Unicode script the language is written in), `markers`
+// (common words in that script, to tell apart languages sharing one - Hindi and Marathi) and
+// `romanizedMarkers` (common words typed in Latin letters, for Hinglish, Tanglish and the like).
+//
+// Scoring: every word in a language's script counts 1 for it; a marker word counts 2 for its
+// language(s) instead. Latin words that aren't a romanized marker count for the Latin-script
+// language (English), since students mix in English terms like "photosynthesis".
+const MARKER_WEIGHT = 2;
+
+const scriptPatterns = {};
+function scriptPattern(script) {
+  if (!scriptPatterns[script]) {
+    scriptPatterns[script] = new RegExp(`^\\p{Script=${script}}`, 'u');
+  }
+  return scriptPatterns[script];
+}
+
+// Non-strings (a number or object in a JSON body) have no words
+function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return text.normalize('NFC').toLowerCase().replace(/[\u200c\u200d]/g, '').match(/[\p{L}\p{M}]+/gu) || [];
+}
+
+class LanguageDetector {
+  constructor({
+    getLanguages, // () => language registry entries
+    defaultLanguage = process.env.LANGUAGE_AUTO_DEFAULT || 'hi'
+  } = {}) {
+    this.getLanguages = getLanguages;
+    this.defaultLanguage = defaultLanguage;
+  }
+
+  // { language, confidence, script, romanized, codeMixed, alternatives: [{ language, confidence }] }
+  // language is null when the text has no letters in a known script.
+  // romanized: an Indian language typed in Latin letters; codeMixed: more than one language's words.
+  detect(text) {
+    const languages = Object.entries(this.getLanguages()).filter(([, config]) => config.script);
+    const scores = {};
+    const scriptWords = {};
+    let romanizedWords = 0;
+    const add = (code, points) => { scores[code] = (scores[code] || 0) + points; };
+
+    for (const word of tokenize(text)) {
+      const speakers = languages.filter(([, config]) => scriptPattern(config.script).test(word));
+      if (!speakers.length) continue;
+
+      const script = speakers[0][1].script;
+      scriptWords[script] = (scriptWords[script] || 0) + 1;
+
+      const markedBy = languages.filter(([, config]) =>
+        config.markers?.includes(word) || (script === 'Latin' && config.romanizedMarkers?.includes(word)));
+      if (markedBy.length) {
+        markedBy.forEach(([code]) => add(code, MARKER_WEIGHT));
+        if (script === 'Latin' && markedBy.some(([, config]) => config.script !== 'Latin')) romanizedWords++;
+      } else {
+        speakers.forEach(([code]) => add(code, 1));
+      }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (!ranked.length) {
+      return { language: null, confidence: 0, script: null, romanized: false, codeMixed: false, alternatives: [] };
+    }
+
+    const [language, top] = ranked[0];
+    const second = ranked[1]?.[1] || 0;
+    const script = this.getLanguages()[language].script;
+    const writtenIn = Object.entries(scriptWords).sort((a, b) => b[1] - a[1])[0][0];
+    const latinScore = scores[languages.find(([, config]) => config.script === 'Latin')?.[0]] || 0;
+
+    return {
+      language,
+      confidence: round(top / (top + second)),
+      script: writtenIn,
+      romanized: script !== 'Latin' && writtenIn === 'Latin',
+      codeMixed: Object.keys(scriptWords).length > 1 || (romanizedWords > 0 && latinScore > 0),
+      alternatives: ranked.slice(1, 3).map(([code, score]) => ({ language: code, confidence: round(score / (top + score)) }))
+    };
+  }
+
+  // Answer language policy: a language the student picked always wins - they may ask in
+  // English and want the answer in Hindi. With "auto", answer in the language detected,
+  // in its own script (romanized and code-mixed questions are answered in the base language),
+  // falling back to LANGUAGE_AUTO_DEFAULT when nothing is detected.
+  resolve(text, requested) {
+    const detection = this.detect(text);
+    const language = requested && requested !== 'auto'
+      ? requested
+      : detection.language || this.defaultLanguage;
+    return { language, detection: { requested: requested || 'auto', ...detection } };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { LanguageDetector, tokenize };
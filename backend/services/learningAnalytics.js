@@ -1,102 +1,230 @@
-// Self-learning analytics and improvement system for Firebase
-const { db, collection, getDocs, query, where, orderBy, limit } = require('../config/firebase');
+// Self-learning analytics and improvement system
+//
+// Answer quality is scored per language from the language registry: `script` (share of the
+// answer's letters written in it), `markers` (common function words) and `culturalMarkers`.
+const { getStore } = require('../storage');
+const { normalizeText } = require('./subjectClassifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRIGRAM_COVERAGE = 0.6; // Share of a question word's trigrams the answer needs to cover it
+const MIN_STEM_LENGTH = 3;
+
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (numbers.length === 0) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+// Pearson correlation; null when either side doesn't vary
+function correlation(xs, ys) {
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+// Math, code and Markdown aren't language - left out before counting scripts and words
+function proseOf(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/\$\$[\s\S]*?\$\$|\$[^$\n]+\$/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/[*_#>|~]/g, ' ');
+}
+
+function wordsOf(text) {
+  return normalizeText(proseOf(text)).match(/[\p{L}\p{M}]+/gu) || [];
+}
+
+// Character trigrams, so "प्रकाशसंश्लेषण" still matches inside "प्रकाशसंश्लेषणाची" or a compound
+function trigrams(word) {
+  const letters = [...word];
+  if (letters.length <= 3) return [word];
+  return letters.slice(0, -2).map((letter, index) => letters.slice(index, index + 3).join(''));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Indic case endings run on after the stem (குடும்பம் → குடும்பத்தில், त्योहार → त्योहारों): the
+// marker matches any word starting with it minus its final vowel sign and, if long, last letter.
+// English only adds plurals, and short markers (माँ, চা) must be whole words.
+function markerPattern(marker) {
+  const word = normalizeText(marker);
+  const end = '(?![\\p{L}\\p{M}])';
+  if (/^\p{Script=Latin}+$/u.test(word)) {
+    return new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(word)}(?:e?s)?${end}`, 'u');
+  }
+  const letters = [...word.replace(/\p{M}+$/u, '')];
+  const stem = letters.length >= 5 ? letters.slice(0, -1) : letters;
+  return stem.length >= MIN_STEM_LENGTH
+    ? new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(stem.join(''))}`, 'u')
+    : new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(word)}${end}`, 'u');
+}
 
 class LearningAnalytics {
+  constructor(store = getStore(), { getLanguages = () => ({}) } = {}) {
+    this.store = store;
+    this.getLanguages = getLanguages; // () => language registry entries
+    this.collectionName = 'interactions';
+  }
+
+  // Load interactions in a time range, optionally narrowed by language/subject/grade.
+  // timeRange is in days; startDate/endDate override it when given.
+  async fetchInteractions({ timeRange, startDate, endDate, language, subject, grade } = {}) {
+    const where = [];
+
+    const from = startDate || (timeRange ? new Date(Date.now() - timeRange * DAY_MS) : null);
+    if (from) where.push(['timestamp', '>=', from]);
+    if (endDate) where.push(['timestamp', '<=', endDate]);
+    if (language) where.push(['language', '==', language]);
+    if (subject) where.push(['subject', '==', subject]);
+    if (grade) where.push(['grade', '==', grade]);
+
+    return this.store.find(this.collectionName, { where });
+  }
+
+  groupBy(interactions, keyFields) {
+    const groups = new Map();
+
+    for (const interaction of interactions) {
+      const id = Object.fromEntries(keyFields.map(field => [field, interaction[field] || null]));
+      const key = JSON.stringify(id);
+      if (!groups.has(key)) {
+        groups.set(key, { _id: id, interactions: [] });
+      }
+      groups.get(key).interactions.push(interaction);
+    }
+
+    return [...groups.values()];
+  }
   
-  // Analyze user feedback patterns
-  async analyzeUserFeedback(timeRange = 30) {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - timeRange);
+  // Analyze user feedback patterns per language/subject/grade
+  async analyzeUserFeedback(timeRange = 30, filters = {}) {
+    const interactions = await this.fetchInteractions({ timeRange, ...filters });
     
-    const analytics = await Interaction.aggregate([
-      { $match: { timestamp: { $gte: startDate } } },
-      {
-        $group: {
-          _id: {
-            language: '$language',
-            subject: '$subject',
-            grade: '$grade'
-          },
-          avgRating: { $avg: '$userRating' },
-          totalInteractions: { $sum: 1 },
-          positiveCount: { $sum: { $cond: [{ $gte: ['$userRating', 4] }, 1, 0] } },
-          negativeCount: { $sum: { $cond: [{ $lte: ['$userRating', 2] }, 1, 0] } },
-          avgResponseTime: { $avg: '$responseTime' },
-          avgTokensUsed: { $avg: '$tokensUsed' },
-          commonIssues: { $push: '$userFeedback' }
-        }
-      },
-      { $sort: { avgRating: 1 } } // Lowest rated first for improvement
-    ]);
-    
-    return analytics;
+    const analytics = this.groupBy(interactions, ['language', 'subject', 'grade']).map(({ _id, interactions: group }) => {
+      const ratings = group.map(i => i.userRating).filter(rating => typeof rating === 'number' && rating > 0);
+
+      return {
+        _id,
+        avgRating: average(ratings),
+        totalInteractions: group.length,
+        ratedInteractions: ratings.length,
+        positiveCount: ratings.filter(rating => rating >= 4).length,
+        negativeCount: ratings.filter(rating => rating <= 2).length,
+        avgResponseTime: average(group.map(i => i.responseTime)),
+        avgTokensUsed: average(group.map(i => i.tokensUsed)),
+        avgRetries: average(group.map(i => i.retryCount || 0)),
+        commonIssues: group.map(i => i.userFeedback).filter(Boolean)
+      };
+    });
+
+    // Lowest rated first for improvement, unrated groups last
+    return analytics.sort((a, b) => (a.avgRating ?? Infinity) - (b.avgRating ?? Infinity));
   }
   
-  // Identify knowledge gaps
-  async identifyKnowledgeGaps() {
-    const gaps = await Interaction.aggregate([
-      {
-        $match: {
-          $or: [
-            { userRating: { $lte: 2 } },
-            { retryCount: { $gte: 2 } },
-            { flaggedForReview: true }
-          ]
-        }
-      },
-      {
-        $group: {
-          _id: {
-            subject: '$subject',
-            language: '$language',
-            conceptDifficulty: '$conceptDifficulty'
-          },
-          count: { $sum: 1 },
-          questions: { $push: '$question' },
-          avgRetries: { $avg: '$retryCount' }
-        }
-      },
-      { $sort: { count: -1 } }
-    ]);
+  // Identify knowledge gaps: low ratings, repeated retries or flagged answers
+  async identifyKnowledgeGaps(filters = {}) {
+    const interactions = await this.fetchInteractions(filters);
+    const problematic = interactions.filter(i =>
+      (typeof i.userRating === 'number' && i.userRating > 0 && i.userRating <= 2) ||
+      (i.retryCount || 0) >= 2 ||
+      i.flaggedForReview === true
+    );
+
+    const gaps = this.groupBy(problematic, ['subject', 'language', 'conceptDifficulty']).map(({ _id, interactions: group }) => ({
+      _id,
+      count: group.length,
+      questions: group.map(i => i.question),
+      avgRetries: average(group.map(i => i.retryCount || 0))
+    }));
     
-    return gaps;
+    return gaps.sort((a, b) => b.count - a.count);
   }
   
-  // Generate training data for fine-tuning
-  async generateTrainingData(minRating = 4, maxTokens = 500) {
-    const trainingData = await Interaction.find({
-      userRating: { $gte: minRating },
-      tokensUsed: { $lte: maxTokens },
-      responseQuality: { $gte: 0.8 }
-    }).select('question answer language subject grade userRating');
+  // Generate training data for fine-tuning. filters: language, subject, grade, minQuality
+  // (heuristic responseQuality, default 0.8) and minJudgeScore (only judged answers when set)
+  async generateTrainingData(minRating = 4, maxTokens = 500, filters = {}) {
+    const { minQuality = 0.8, minJudgeScore = null } = filters;
+    const rated = await this.store.find(this.collectionName, {
+      where: [['userRating', '>=', minRating]]
+    });
+
+    const trainingData = rated.filter(interaction =>
+      (interaction.tokensUsed || 0) <= maxTokens &&
+      (interaction.responseQuality || 0) >= minQuality &&
+      (minJudgeScore === null || (interaction.judgeScore ?? -1) >= minJudgeScore) &&
+      (!filters.language || interaction.language === filters.language) &&
+      (!filters.subject || interaction.subject === filters.subject) &&
+      (!filters.grade || String(interaction.grade) === String(filters.grade))
+    );
     
     // Format for fine-tuning
-    const formattedData = trainingData.map(interaction => ({
-      messages: [
-        {
-          role: "system",
-          content: `You are Tara, an Indian female AI tutor teaching ${interaction.subject} in ${interaction.language}.`
-        },
-        {
-          role: "user", 
-          content: interaction.question
-        },
-        {
-          role: "assistant",
-          content: interaction.answer
+    const formattedData = trainingData.map(interaction => {
+      // Train on the explanation that worked when the student was happy with a re-ask
+      const satisfied = interaction.satisfiedVariant && interaction.satisfiedVariant !== 'original'
+        ? (interaction.variants || []).filter(attempt => attempt.variant === interaction.satisfiedVariant).pop()
+        : null;
+
+      return {
+        messages: [
+          {
+            role: "system",
+            content: `You are Tara, an Indian female AI tutor teaching ${interaction.subject} in ${(this.getLanguages() || {})[interaction.language]?.name || interaction.language}.`
+          },
+          {
+            role: "user", 
+            content: interaction.normalizedQuestion || interaction.question
+          },
+          {
+            role: "assistant",
+            content: satisfied?.answer || interaction.answer
+          }
+        ],
+        metadata: {
+          interactionId: interaction.id,
+          rating: interaction.userRating,
+          responseQuality: interaction.responseQuality ?? null,
+          judgeScore: interaction.judgeScore ?? null,
+          variant: satisfied ? interaction.satisfiedVariant : 'original',
+          subject: interaction.subject,
+          language: interaction.language,
+          grade: interaction.grade
         }
-      ],
-      metadata: {
-        rating: interaction.userRating,
-        subject: interaction.subject,
-        language: interaction.language,
-        grade: interaction.grade
-      }
-    }));
+      };
+    });
     
     return formattedData;
   }
   
+  // Heuristic scores against the judge model's, per language, for answers the judge graded
+  async compareQualityScores(filters = {}) {
+    const interactions = await this.fetchInteractions(filters);
+    const judged = interactions.filter(i => typeof i.judgeScore === 'number' && typeof i.responseQuality === 'number');
+
+    return this.groupBy(judged, ['language']).map(({ _id, interactions: group }) => {
+      const heuristic = group.map(i => i.responseQuality);
+      const judge = group.map(i => i.judgeScore);
+      return {
+        _id,
+        judgedInteractions: group.length,
+        avgHeuristicScore: average(heuristic),
+        avgJudgeScore: average(judge),
+        meanAbsoluteDifference: average(group.map(i => Math.abs(i.responseQuality - i.judgeScore))),
+        correlation: correlation(heuristic, judge)
+      };
+    }).sort((a, b) => b.judgedInteractions - a.judgedInteractions);
+  }
+
   // Predict when fine-tuning is needed
   async shouldFineTune() {
     const recentData = await this.analyzeUserFeedback(7); // Last 7 days
@@ -111,7 +239,8 @@ class LearningAnalytics {
     let reasons = [];
     
     for (const data of recentData) {
-      const lowRatingRatio = data.negativeCount / data.totalInteractions;
+      if (data.ratedInteractions === 0) continue;
+      const lowRatingRatio = data.negativeCount / data.ratedInteractions;
       
       if (lowRatingRatio > criteria.lowRatingThreshold && 
           data.totalInteractions > criteria.volumeThreshold) {
@@ -129,11 +258,11 @@ class LearningAnalytics {
   }
   
   // Real-time quality scoring
-  async scoreResponseQuality(question, answer, language, subject) {
+  async scoreResponseQuality(question, answer, language) {
     try {
       // Implement various quality metrics
       const metrics = {
-        relevance: await this.calculateRelevance(question || '', answer || ''),
+        relevance: await this.calculateRelevance(question || '', answer || '', language || 'en'),
         languageQuality: await this.assessLanguageQuality(answer || '', language || 'en'),
         culturalContext: await this.assessCulturalRelevance(answer || '', language || 'en'),
         completeness: this.assessCompleteness(answer || ''),
@@ -169,63 +298,81 @@ class LearningAnalytics {
   }
   
   // Helper methods for quality assessment
-  calculateRelevance(question, answer) {
+  languageConfig(language) {
+    const languages = this.getLanguages() || {};
+    return languages[language] || languages.en || {};
+  }
+
+  // Share of the question's content words the answer covers. Words are compared by character
+  // trigrams, so inflected forms and words run together without spaces still count.
+  calculateRelevance(question, answer, language = 'en') {
     try {
       if (!question || !answer) return 0;
-      
-      // Simple keyword overlap for now - can be enhanced with embeddings
-      const questionWords = question.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-      const answerWords = answer.toLowerCase().split(/\s+/);
-      
+
+      const languages = this.getLanguages() || {};
+      const functionWords = new Set([language, 'en']
+        .flatMap(code => languages[code]?.markers || [])
+        .map(normalizeText));
+      const questionWords = [...new Set(wordsOf(question))]
+        .filter(word => [...word].length >= 3 && !functionWords.has(word));
       if (questionWords.length === 0) return 0;
-      
-      const overlap = questionWords.filter(word => answerWords.includes(word)).length;
-      const relevance = overlap / questionWords.length;
-      
-      return Math.min(Math.max(relevance, 0), 1);
+
+      const answerTrigrams = new Set(wordsOf(answer).flatMap(trigrams));
+      const covered = questionWords.filter(word => {
+        const grams = trigrams(word);
+        return grams.filter(gram => answerTrigrams.has(gram)).length / grams.length >= TRIGRAM_COVERAGE;
+      }).length;
+
+      return Math.min(Math.max(covered / questionWords.length, 0), 1);
     } catch (error) {
       console.error('Error calculating relevance:', error);
       return 0;
     }
   }
-  
+
+  // Written in the language's script (60%) and using its everyday function words (40%)
   assessLanguageQuality(answer, language) {
     try {
       if (!answer) return 0;
-      
-      // Basic language-specific checks
-      const checks = {
-        hi: ['है', 'हैं', 'को', 'में', 'का'], // Common Hindi words
-        en: ['the', 'is', 'are', 'to', 'of'],
-        ta: ['உள்ளது', 'என்று', 'அது', 'இது'], // Tamil
-        // Add more languages
-      };
-      
-      const expectedWords = checks[language] || checks.en;
-      const hasExpectedWords = expectedWords.some(word => answer.includes(word));
-      
-      return hasExpectedWords ? 0.8 : 0.4;
+
+      const config = this.languageConfig(language);
+      const prose = proseOf(answer);
+
+      // 90%+ of letters in the script scores full marks - English terms in an Indic answer are fine
+      let scriptScore = 1;
+      if (config.script) {
+        const letters = prose.match(/\p{L}/gu) || [];
+        if (letters.length === 0) return 0;
+        const scriptLetter = new RegExp(`\\p{Script=${config.script}}`, 'u');
+        const inScript = letters.filter(letter => scriptLetter.test(letter)).length;
+        scriptScore = Math.min(Math.max((inScript / letters.length - 0.5) / 0.4, 0), 1);
+      }
+
+      const words = new Set(wordsOf(answer));
+      const functionWords = new Set((config.markers || []).map(normalizeText));
+      const found = [...functionWords].filter(word => words.has(word)).length;
+      const functionWordScore = functionWords.size ? Math.min(found / 3, 1) : scriptScore;
+
+      return 0.6 * scriptScore + 0.4 * functionWordScore;
     } catch (error) {
       console.error('Error assessing language quality:', error);
       return 0;
     }
   }
 
+  // Everyday Indian references in the answer's language, or in English terms mixed into it
   assessCulturalRelevance(answer, language) {
     try {
       if (!answer) return 0;
-      
-      const culturalMarkers = {
-        hi: ['भारत', 'गांव', 'शहर', 'त्योहार', 'पारिवारिक', 'बॉलीवुड', 'क्रिकेट'],
-        en: ['India', 'family', 'festival', 'cricket', 'Bollywood'],
-        // Add more
-      };
-      
-      const markers = culturalMarkers[language] || [];
-      const relevantMarkers = markers.filter(marker => 
-        answer.toLowerCase().includes(marker.toLowerCase())
-      ).length;
-      
+
+      const languages = this.getLanguages() || {};
+      const markers = new Set([
+        ...(this.languageConfig(language).culturalMarkers || []),
+        ...(languages.en?.culturalMarkers || [])
+      ]);
+      const text = normalizeText(proseOf(answer));
+      const relevantMarkers = [...markers].filter(marker => markerPattern(marker).test(text)).length;
+
       return Math.min(Math.max(relevantMarkers / 2, 0), 1); // Normalize to 0-1
     } catch (error) {
       console.error('Error assessing cultural relevance:', error);
@@ -0,0 +1,100 @@
+// LLM provider layer - picks a provider/model per request from env config
+//
+// LLM_PROVIDER   default provider: openai | local | mock (default: openai)
+// LLM_MODEL      default model for that provider
+// LLM_ROUTES     JSON overrides keyed by "language:subject", subject or language, e.g.
+//                {"ta": {"provider": "local", "model": "llama3"}, "hi:math": {"model": "gpt-4o"}}
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+function createProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+function parseRoutes(rawRoutes) {
+  if (!rawRoutes) return {};
+
+  let routes;
+  try {
+    routes = JSON.parse(rawRoutes);
+  } catch (error) {
+    throw new Error(`LLM_ROUTES is not valid JSON: ${error.message}`);
+  }
+
+  for (const [key, route] of Object.entries(routes)) {
+    if (route.provider && !PROVIDERS[route.provider]) {
+      throw new Error(`LLM_ROUTES["${key}"] uses unknown provider "${route.provider}"`);
+    }
+  }
+  return routes;
+}
+
+class LLMRouter {
+  constructor({
+    provider = process.env.LLM_PROVIDER || 'openai',
+    model = process.env.LLM_MODEL,
+    routes = parseRoutes(process.env.LLM_ROUTES)
+  } = {}) {
+    this.defaultProvider = provider;
+    this.defaultModel = model;
+    this.routes = routes;
+    this.providers = {};
+
+    // Fail fast on the default provider so a bad config shows up at boot
+    this.getProvider(this.defaultProvider);
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = createProvider(name);
+    }
+    return this.providers[name];
+  }
+
+  // Most specific route wins: language+subject, then subject, then language. An explicit
+  // provider/model (a registry model picked by the rollout) overrides the routes.
+  resolve({ language, subject, provider: providerOverride, model: modelOverride } = {}) {
+    const route = this.routes[`${language}:${subject}`] ||
+      this.routes[subject] ||
+      this.routes[language] ||
+      {};
+
+    const providerName = providerOverride || route.provider || this.defaultProvider;
+    const provider = this.getProvider(providerName);
+    const fallbackModel = providerName === this.defaultProvider ? this.defaultModel : null;
+
+    return {
+      provider,
+      model: modelOverride || route.model || fallbackModel || provider.model
+    };
+  }
+
+  async complete({ language, subject, provider: providerOverride, model: modelOverride, ...options }) {
+    const { provider, model } = this.resolve({ language, subject, provider: providerOverride, model: modelOverride });
+    const result = await provider.complete({ ...options, model, language });
+    return { ...result, provider: provider.name };
+  }
+
+  // Returns the resolved provider/model up front and an async iterable of tokens
+  stream({ language, subject, provider: providerOverride, model: modelOverride, ...options }) {
+    const { provider, model } = this.resolve({ language, subject, provider: providerOverride, model: modelOverride });
+    return {
+      provider: provider.name,
+      model,
+      tokens: provider.stream({ ...options, model, language })
+    };
+  }
+}
+
+module.exports = { LLMRouter, createProvider, PROVIDERS };
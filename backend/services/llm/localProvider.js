@@ -0,0 +1,16 @@
+// OpenAI-compatible local endpoint (llama.cpp server, Ollama, vLLM, LM Studio)
+const OpenAIProvider = require('./openaiProvider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor({
+    baseURL = process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    model = process.env.LOCAL_LLM_MODEL || 'llama3',
+    apiKey = process.env.LOCAL_LLM_API_KEY || 'local'
+  } = {}) {
+    // Local servers ignore the key, but the OpenAI SDK refuses to start without one
+    super({ apiKey, baseURL, model });
+    this.name = 'local';
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,50 @@
+// Deterministic provider for offline development and tests - never calls the network
+const MOCK_ANSWERS = {
+  hi: 'अच्छा सवाल है! मैं आपको आसान शब्दों में समझाती हूं।',
+  ta: 'நல்ல கேள்வி! நான் உங்களுக்கு எளிமையாக விளக்குகிறேன்.',
+  bn: 'ভালো প্রশ্ন! আমি তোমাকে সহজ করে বুঝিয়ে বলছি।',
+  te: 'మంచి ప్రశ్న! నేను మీకు సులభంగా వివరిస్తాను.',
+  mr: 'छान प्रश्न! मी तुम्हाला सोप्या शब्दांत समजावते.',
+  gu: 'સરસ પ્રશ્ન! હું તમને સરળ રીતે સમજાવું છું.',
+  kn: 'ಒಳ್ಳೆಯ ಪ್ರಶ್ನೆ! ನಾನು ನಿಮಗೆ ಸರಳವಾಗಿ ವಿವರಿಸುತ್ತೇನೆ.',
+  ml: 'നല്ല ചോദ്യം! ഞാൻ നിങ്ങൾക്ക് ലളിതമായി വിശദീകരിക്കാം.',
+  en: 'Good question! Let me explain it simply.'
+};
+
+class MockProvider {
+  constructor({ model = 'mock-tara', response = process.env.MOCK_LLM_RESPONSE } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.response = response;
+  }
+
+  async complete({ messages, model, language = 'hi' }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const question = this.extractQuestion(lastUserMessage?.content || '');
+
+    const content = this.response ||
+      `${MOCK_ANSWERS[language] || MOCK_ANSWERS.en} (${question})`;
+
+    return {
+      content,
+      model: model || this.model,
+      usage: { prompt_tokens: 0, completion_tokens: Math.ceil(content.length / 4), total_tokens: Math.ceil(content.length / 4) }
+    };
+  }
+
+  // Replays the canned answer word by word
+  async *stream(options) {
+    const { content } = await this.complete(options);
+    for (const token of content.match(/\S+\s*/g) || []) {
+      yield token;
+    }
+  }
+
+  // Pull the student's question out of the full tutoring prompt
+  extractQuestion(prompt) {
+    const match = prompt.match(/Student's Question:\s*(.+)/);
+    return (match ? match[1] : prompt).trim();
+  }
+}
+
+module.exports = MockProvider;
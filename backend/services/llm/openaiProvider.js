@@ -0,0 +1,48 @@
+// OpenAI chat completions provider
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, model = 'gpt-4' } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  // Run a chat completion and return the assistant message
+  async complete({ messages, model, maxTokens = 1200, temperature = 0.7 }) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return {
+      content: response.choices[0].message.content || '',
+      model: response.model || model || this.model,
+      usage: response.usage || null
+    };
+  }
+
+  // Yield content tokens as the model produces them
+  async *stream({ messages, model, maxTokens = 1200, temperature = 0.7 }) {
+    const stream = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true
+    });
+
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) yield token;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,140 @@
+// Staged rollout of fine-tuned models from the model registry (config/registries/models.json)
+//
+// ROLLOUT_MIN_RATINGS          ratings each side needs before a candidate is judged (default: 30)
+// ROLLOUT_ROLLBACK_MARGIN      stars the candidate's average may trail the incumbent's (default: 0.2)
+// ROLLOUT_CHECK_INTERVAL_MINUTES   how often candidates are checked (default: 15)
+//
+// A candidate answers trafficPercent of the sessions asking in its languages/subjects (none
+// listed means all); the same session always lands on the same side, so a conversation doesn't
+// switch models halfway. The rest go to the incumbent: the active registry model for that
+// language/subject, or the LLM_ROUTES/LLM_MODEL default. Interactions record modelVersion,
+// rolloutArm and rolloutCandidate (the candidate the session was bucketed against), and a
+// candidate whose average rating falls below its own incumbent sessions' since its
+// rolloutStartedAt is marked rolled-back.
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function inScope(entry, language, subject) {
+  return (!entry.languages?.length || entry.languages.includes(language)) &&
+    (!entry.subjects?.length || entry.subjects.includes(subject));
+}
+
+// Narrower entries win: language and subject, then either, then everything
+function specificity(entry) {
+  return (entry.languages?.length ? 1 : 0) + (entry.subjects?.length ? 1 : 0);
+}
+
+// 0-99, fixed per session and candidate
+function bucket(sessionId, code) {
+  if (!sessionId) return Math.floor(Math.random() * 100);
+  return crypto.createHash('sha1').update(`${code}:${sessionId}`).digest().readUInt32BE(0) % 100;
+}
+
+class ModelRollout {
+  constructor({
+    getModels, // () => model registry entries
+    updateModel, // (code, entry) => writes the entry back to the registry
+    store = getStore(),
+    minRatings = parseInt(process.env.ROLLOUT_MIN_RATINGS) || 30,
+    rollbackMargin = parseFloat(process.env.ROLLOUT_ROLLBACK_MARGIN)
+  } = {}) {
+    this.getModels = getModels;
+    this.updateModel = updateModel;
+    this.store = store;
+    this.collectionName = 'interactions';
+    this.minRatings = minRatings;
+    this.rollbackMargin = Number.isFinite(rollbackMargin) ? rollbackMargin : 0.2;
+  }
+
+  // Registry models with the given status covering this language/subject, most specific first
+  modelsFor(status, language, subject) {
+    return Object.entries(this.getModels() || {})
+      .filter(([, entry]) => entry.status === status && inScope(entry, language, subject))
+      .sort(([a, x], [b, y]) => specificity(y) - specificity(x) || a.localeCompare(b));
+  }
+
+  // { provider, model, modelVersion, arm, candidate } for llmRouter, or null to use the routes
+  // as they are. `candidate` is the registry code of the candidate being rolled out, if any.
+  choose({ language, subject, sessionId = null }) {
+    const [candidate] = this.modelsFor('candidate', language, subject);
+    const [incumbent] = this.modelsFor('active', language, subject);
+    const candidateCode = candidate ? candidate[0] : null;
+
+    if (candidate && bucket(sessionId, candidateCode) < candidate[1].trafficPercent) {
+      return this.route(candidate, 'candidate', candidateCode);
+    }
+    if (incumbent) {
+      return this.route(incumbent, candidate ? 'incumbent' : null, candidateCode);
+    }
+    // No active registry model here - the default route is what the candidate competes with
+    return candidate ? { modelVersion: null, arm: 'incumbent', candidate: candidateCode } : null;
+  }
+
+  route([code, entry], arm, candidate) {
+    return { provider: entry.provider, model: entry.modelId, modelVersion: code, arm, candidate };
+  }
+
+  // Ratings for one candidate and the incumbent sessions bucketed against it (so overlapping
+  // rollouts don't share a baseline), in its scope since its rollout started
+  async compare(code, entry) {
+    const since = new Date(entry.rolloutStartedAt);
+    const interactions = await this.store.find(this.collectionName, {
+      where: [['timestamp', '>=', since]]
+    });
+    const rated = interactions.filter(i =>
+      typeof i.userRating === 'number' && i.userRating > 0 && inScope(entry, i.language, i.subject));
+
+    const summarize = (group) => ({
+      ratings: group.length,
+      avgRating: average(group.map(i => i.userRating))
+    });
+    return {
+      candidate: summarize(rated.filter(i => i.modelVersion === code)),
+      incumbent: summarize(rated.filter(i => i.rolloutArm === 'incumbent' && i.rolloutCandidate === code))
+    };
+  }
+
+  // Checks every candidate; rolls back the ones rated below their incumbent unless dryRun
+  async evaluate({ dryRun = false } = {}) {
+    const results = [];
+    for (const [code, entry] of Object.entries(this.getModels() || {})) {
+      if (entry.status !== 'candidate') continue;
+
+      const { candidate, incumbent } = await this.compare(code, entry);
+      let action = 'waiting'; // Not enough ratings on one side yet
+      if (candidate.ratings >= this.minRatings && incumbent.ratings >= this.minRatings) {
+        action = candidate.avgRating < incumbent.avgRating - this.rollbackMargin ? 'rollback' : 'keep';
+      }
+
+      if (action === 'rollback' && !dryRun) {
+        const reason = `Average rating ${candidate.avgRating.toFixed(2)} over ${candidate.ratings} ratings, incumbent ${incumbent.avgRating.toFixed(2)} over ${incumbent.ratings}`;
+        await this.updateModel(code, {
+          ...entry,
+          status: 'rolled-back',
+          trafficPercent: 0,
+          rolledBackAt: new Date().toISOString(),
+          rollbackReason: reason
+        });
+        console.log(`⏪ Rolled back model ${code}: ${reason}`);
+      }
+      results.push({ model: code, modelId: entry.modelId, trafficPercent: entry.trafficPercent, candidate, incumbent, action });
+    }
+    return results;
+  }
+
+  // Periodic evaluate(); returns a function that stops it
+  start({ intervalMinutes = parseFloat(process.env.ROLLOUT_CHECK_INTERVAL_MINUTES) || 15 } = {}) {
+    const check = () => this.evaluate().catch(error => {
+      console.error('⚠️ Model rollout check failed:', error.message);
+    });
+    const timer = setInterval(check, intervalMinutes * 60 * 1000);
+    timer.unref(); // Don't keep the process alive just for the check
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = { ModelRollout };
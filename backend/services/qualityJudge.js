@@ -0,0 +1,105 @@
+// LLM-as-judge answer scoring - a second opinion next to the heuristic metrics in learningAnalytics.js
+//
+// QUALITY_JUDGE               grade answers with the judge model (default: false)
+// QUALITY_JUDGE_PROVIDER      LLM provider for the judge: openai | local | mock (default: LLM_PROVIDER)
+// QUALITY_JUDGE_MODEL         judge model (default: the provider's default model)
+// QUALITY_JUDGE_SAMPLE_RATE   share of answers sent to the judge, 0 to 1 (default: 1)
+// MOCK_JUDGE_RESPONSE         reply of the mock judge (default: a fixed grade of 4 on every criterion)
+//
+// Grading runs after the response has gone out and costs a model call per answer, so it is
+// off by default. Each criterion is graded 1-5 against the rubric and scaled to 0-1.
+const { createProvider } = require('./llm');
+
+const RUBRIC = {
+  factualAccuracy: 'Facts, formulas, numbers and worked steps are correct. 5: no errors; 3: a minor slip that does not change the result; 1: wrong or misleading.',
+  gradeAppropriateness: 'Depth, vocabulary and examples suit a student of this class. 5: pitched right; 3: somewhat too hard or too basic; 1: far off.',
+  languageCorrectness: 'Written in the requested language and script, grammatical and natural; English technical terms are fine. 5: fluent; 3: understandable with mistakes; 1: wrong language or broken.',
+  completeness: 'Answers every part of the question and ends properly. 5: complete; 3: misses a part; 1: does not answer the question.'
+};
+
+const MOCK_GRADES = JSON.stringify({
+  ...Object.fromEntries(Object.keys(RUBRIC).map(criterion => [criterion, 4])),
+  feedback: 'Mock judge grade'
+});
+
+function isGrade(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 5;
+}
+
+class QualityJudge {
+  constructor({
+    getLanguages = () => ({}),
+    getSubjects = () => ({}),
+    getGrades = () => ({}),
+    enabled = process.env.QUALITY_JUDGE === 'true',
+    provider = process.env.QUALITY_JUDGE_PROVIDER || process.env.LLM_PROVIDER || 'openai',
+    model = process.env.QUALITY_JUDGE_MODEL,
+    sampleRate = parseFloat(process.env.QUALITY_JUDGE_SAMPLE_RATE)
+  } = {}) {
+    this.getLanguages = getLanguages;
+    this.getSubjects = getSubjects;
+    this.getGrades = getGrades;
+    this.enabled = enabled;
+    this.sampleRate = Number.isFinite(sampleRate) ? Math.min(Math.max(sampleRate, 0), 1) : 1;
+    this.provider = enabled
+      ? createProvider(provider, provider === 'mock' ? { response: process.env.MOCK_JUDGE_RESPONSE || MOCK_GRADES } : {})
+      : null;
+    this.model = model || this.provider?.model || null;
+  }
+
+  // Whether this answer should be graded
+  shouldJudge() {
+    return this.enabled && Math.random() < this.sampleRate;
+  }
+
+  buildMessages({ question, answer, language, subject, grade }) {
+    const languageName = this.getLanguages()[language]?.name || language;
+    const subjectName = this.getSubjects()[subject]?.name || subject || 'General';
+    const gradeName = grade ? this.getGrades()[grade]?.name || grade : 'not given';
+    const criteria = Object.entries(RUBRIC).map(([criterion, description]) => `- ${criterion}: ${description}`).join('\n');
+
+    return [
+      {
+        role: 'system',
+        content: `You grade answers an AI tutor gave Indian school students. Grade each criterion from 1 to 5:\n${criteria}\n\nReply with JSON only: {${Object.keys(RUBRIC).map(criterion => `"${criterion}": <1-5>`).join(', ')}, "feedback": "<one sentence in English>"}`
+      },
+      {
+        role: 'user',
+        content: `Class: ${gradeName}\nSubject: ${subjectName}\nRequested language: ${languageName}\n\nQuestion:\n${question}\n\nAnswer:\n${answer}`
+      }
+    ];
+  }
+
+  // { score, metrics, feedback, model, provider } with metrics scaled to 0-1; throws when the reply can't be used
+  async judge({ question, answer, language, subject, grade }) {
+    const completion = await this.provider.complete({
+      messages: this.buildMessages({ question, answer, language, subject, grade }),
+      model: this.model,
+      language,
+      maxTokens: 300,
+      temperature: 0
+    });
+
+    const json = completion.content.match(/\{[\s\S]*\}/);
+    if (!json) throw new Error('no JSON in the judge reply');
+    const grades = JSON.parse(json[0]);
+
+    const metrics = {};
+    for (const criterion of Object.keys(RUBRIC)) {
+      const value = Number(grades[criterion]);
+      if (!isGrade(value)) throw new Error(`judge gave no 1-5 grade for ${criterion}`);
+      metrics[criterion] = (value - 1) / 4;
+    }
+
+    const values = Object.values(metrics);
+    return {
+      score: values.reduce((sum, value) => sum + value, 0) / values.length,
+      metrics,
+      feedback: typeof grades.feedback === 'string' ? grades.feedback : '',
+      model: completion.model || this.model,
+      provider: this.provider.name
+    };
+  }
+}
+
+module.exports = { QualityJudge, RUBRIC };
@@ -0,0 +1,25 @@
+// Speech-to-text engine layer
+//
+// STT_ENGINE  whisper-api | whisper-cpp | mock (default: whisper-api)
+//
+// Engines implement transcribe({ audioFilePath, language }); language is null when the
+// student chose "auto" and the engine should detect the spoken language.
+const WhisperApiEngine = require('./whisperApiEngine');
+const WhisperCppEngine = require('./whisperCppEngine');
+const MockEngine = require('./mockEngine');
+
+const ENGINES = {
+  'whisper-api': WhisperApiEngine,
+  'whisper-cpp': WhisperCppEngine,
+  mock: MockEngine
+};
+
+function createSTTEngine(name = process.env.STT_ENGINE || 'whisper-api', options = {}) {
+  const Engine = ENGINES[name];
+  if (!Engine) {
+    throw new Error(`Unknown STT engine "${name}". Expected one of: ${Object.keys(ENGINES).join(', ')}`);
+  }
+  return new Engine(options);
+}
+
+module.exports = { createSTTEngine, ENGINES };
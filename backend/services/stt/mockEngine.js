@@ -0,0 +1,36 @@
+// Fixture-based engine for tests - no network, no binaries
+//
+// STT_FIXTURE_DIR     looks up <sha256 of audio>.txt, then <language>.txt (unless auto-detecting)
+// MOCK_TRANSCRIPTION  returned when no fixture matches
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+class MockEngine {
+  constructor({
+    fixtureDir = process.env.STT_FIXTURE_DIR,
+    defaultText = process.env.MOCK_TRANSCRIPTION || 'What is photosynthesis?'
+  } = {}) {
+    this.name = 'mock';
+    this.fixtureDir = fixtureDir;
+    this.defaultText = defaultText;
+  }
+
+  async transcribe({ audioFilePath, language }) {
+    if (this.fixtureDir) {
+      const audio = await fs.readFile(audioFilePath);
+      const hash = crypto.createHash('sha256').update(audio).digest('hex');
+
+      for (const name of [`${hash}.txt`, ...(language ? [`${language}.txt`] : [])]) {
+        const text = await fs.readFile(path.join(this.fixtureDir, name), 'utf8').catch(() => null);
+        if (text !== null) {
+          return text.trim();
+        }
+      }
+    }
+
+    return this.defaultText;
+  }
+}
+
+module.exports = MockEngine;
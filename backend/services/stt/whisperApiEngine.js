@@ -0,0 +1,28 @@
+// OpenAI Whisper API engine
+const fs = require('fs');
+const OpenAI = require('openai');
+
+class WhisperApiEngine {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model = 'whisper-1' } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+
+    this.name = 'whisper-api';
+    this.model = model;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async transcribe({ audioFilePath, language }) {
+    const transcription = await this.client.audio.transcriptions.create({
+      file: fs.createReadStream(audioFilePath),
+      model: this.model,
+      ...(language ? { language } : {}), // Force the selected language; without one Whisper detects it
+      response_format: 'text'
+    });
+
+    return transcription.trim();
+  }
+}
+
+module.exports = WhisperApiEngine;
@@ -0,0 +1,45 @@
+// Local whisper.cpp engine for offline classroom servers
+//
+// WHISPER_CPP_BIN    whisper.cpp CLI binary (default: whisper-cli)
+// WHISPER_CPP_MODEL  ggml model file, e.g. ./models/ggml-small.bin
+// FFMPEG_BIN         used to convert browser recordings to 16 kHz mono WAV (default: ffmpeg)
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runCommand = require('../../utils/runCommand');
+
+class WhisperCppEngine {
+  constructor({
+    binary = process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    model = process.env.WHISPER_CPP_MODEL,
+    ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg'
+  } = {}) {
+    if (!model) {
+      throw new Error('WHISPER_CPP_MODEL environment variable is required');
+    }
+
+    this.name = 'whisper-cpp';
+    this.binary = binary;
+    this.model = model;
+    this.ffmpeg = ffmpeg;
+  }
+
+  async transcribe({ audioFilePath, language }) {
+    const basePath = path.join(os.tmpdir(), `tara_stt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+    const wavPath = `${basePath}.wav`;
+
+    try {
+      // whisper.cpp only reads 16 kHz WAV, browsers send webm/opus
+      await runCommand(this.ffmpeg, ['-y', '-i', audioFilePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+      await runCommand(this.binary, ['-m', this.model, '-f', wavPath, '-l', language || 'auto', '-nt', '-otxt', '-of', basePath], { timeout: 120000 });
+
+      const text = await fs.readFile(`${basePath}.txt`, 'utf8');
+      return text.replace(/\s+/g, ' ').trim();
+    } finally {
+      await fs.unlink(wavPath).catch(() => {});
+      await fs.unlink(`${basePath}.txt`).catch(() => {});
+    }
+  }
+}
+
+module.exports = WhisperCppEngine;
@@ -0,0 +1,138 @@
+// Subject classification - keyword lexicons in every supported script, with an LLM fallback
+//
+// SUBJECT_LLM_FALLBACK     ask the LLM when the keywords aren't conclusive (default: true)
+// SUBJECT_LLM_THRESHOLD    keyword confidence below which the LLM is asked (default: 0.5)
+//
+// Each subject in the registry has English `keywords` plus `localKeywords` per language code.
+// Every lexicon is checked whatever language the student picked, so a Tamil question asked
+// with Hindi selected is still classified.
+const MAX_ALTERNATIVES = 3;
+
+// Zero-width joiners are optional in several Indic scripts (ల్‌స vs ల్స) - ignore them
+function normalizeText(text) {
+  return text.normalize('NFC').toLowerCase().replace(/[\u200c\u200d]/g, '');
+}
+
+// Every position where keyword starts a word, so "river" doesn't fire on "driver".
+// Keywords run on into suffixes (விசை → விசையின்), which is how inflected forms match.
+function wordStarts(text, keyword) {
+  const starts = [];
+  let index = text.indexOf(keyword);
+  while (index !== -1) {
+    if (index === 0 || !/[\p{L}\p{M}\p{N}]/u.test(text[index - 1])) starts.push(index);
+    index = text.indexOf(keyword, index + 1);
+  }
+  return starts;
+}
+
+class SubjectClassifier {
+  constructor({
+    getSubjects, // () => subject registry entries
+    classifyWithLLM = null, // async (question, subjects, language) => { subject, confidence }
+    llmFallback = process.env.SUBJECT_LLM_FALLBACK !== 'false',
+    llmThreshold = parseFloat(process.env.SUBJECT_LLM_THRESHOLD)
+  } = {}) {
+    this.getSubjects = getSubjects;
+    this.classifyWithLLM = llmFallback ? classifyWithLLM : null;
+    this.llmThreshold = Number.isFinite(llmThreshold) ? llmThreshold : 0.5;
+  }
+
+  // Keyword matches per subject. A match inside a longer one is dropped, so Marathi
+  // "प्रकाशसंश्लेषण" (photosynthesis) counts for biology only, not physics' "प्रकाश" (light).
+  scoreKeywords(question) {
+    const text = normalizeText(question);
+    const matches = [];
+
+    for (const [subject, config] of Object.entries(this.getSubjects())) {
+      const lexicon = [...(config.keywords || []), ...Object.values(config.localKeywords || {}).flat()];
+      for (const keyword of new Set(lexicon.map(normalizeText))) {
+        for (const start of wordStarts(text, keyword)) {
+          matches.push({ subject, keyword, start, end: start + keyword.length });
+        }
+      }
+    }
+
+    const scores = {};
+    for (const match of matches) {
+      const covered = matches.some(other => other !== match &&
+        other.end - other.start > match.end - match.start &&
+        other.start <= match.start && other.end >= match.end);
+      if (covered) continue;
+
+      scores[match.subject] = scores[match.subject] || new Set();
+      scores[match.subject].add(match.keyword);
+    }
+    return Object.fromEntries(Object.entries(scores).map(([subject, keywords]) => [subject, keywords.size]));
+  }
+
+  // Confidence is the subject's share of all matches, damped when there are only a few:
+  // one keyword alone gives 0.63, two 0.86; an even split between two subjects halves it.
+  classifyByKeywords(question) {
+    const scores = this.scoreKeywords(question);
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    if (!total) {
+      return { subject: 'general', confidence: 0, alternatives: [], method: 'keywords' };
+    }
+
+    const strength = 1 - Math.exp(-Math.max(...Object.values(scores)));
+    const ranked = Object.entries(scores)
+      .sort((a, b) => b[1] - a[1])
+      .map(([subject, score]) => ({ subject, confidence: round(strength * score / total) }));
+
+    return {
+      subject: ranked[0].subject,
+      confidence: ranked[0].confidence,
+      alternatives: ranked.slice(1, MAX_ALTERNATIVES + 1),
+      method: 'keywords'
+    };
+  }
+
+  // { subject, confidence, alternatives: [{ subject, confidence }], method }
+  // method: keywords | llm | conversation (follow-up with no subject words of its own)
+  async classify(question, { language, previousSubject = null } = {}) {
+    const keywordResult = this.classifyByKeywords(question);
+    if (keywordResult.confidence >= this.llmThreshold) {
+      return keywordResult;
+    }
+
+    // "Explain the second step" stays on the subject being discussed
+    if (keywordResult.subject === 'general' && previousSubject) {
+      return { subject: previousSubject, confidence: null, alternatives: [], method: 'conversation' };
+    }
+
+    if (!this.classifyWithLLM) {
+      return keywordResult;
+    }
+
+    try {
+      const subjects = this.getSubjects();
+      const answer = await this.classifyWithLLM(question, subjects, language);
+      if (!subjects[answer?.subject]) {
+        throw new Error(`unknown subject "${answer?.subject}"`);
+      }
+
+      const confidence = Number(answer.confidence);
+      return {
+        subject: answer.subject,
+        confidence: round(Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5),
+        alternatives: [
+          ...(keywordResult.confidence ? [keywordResult] : []),
+          ...keywordResult.alternatives
+        ]
+          .filter(alternative => alternative.subject !== answer.subject)
+          .slice(0, MAX_ALTERNATIVES)
+          .map(({ subject, confidence }) => ({ subject, confidence })),
+        method: 'llm'
+      };
+    } catch (error) {
+      console.warn('⚠️ LLM subject classification failed, using keywords:', error.message);
+      return keywordResult;
+    }
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = { SubjectClassifier, normalizeText, wordStarts };
@@ -0,0 +1,161 @@
+// Fine-tuning dataset preparation - PII scrubbing, near-duplicate removal and a stratified
+// train/validation/test split (used by scripts/exportTrainingData.js)
+const { normalizeText } = require('./subjectClassifier');
+
+// Student questions sometimes carry contact details or ID numbers; none belong in a dataset
+const PII_PATTERNS = [
+  ['[EMAIL]', /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g],
+  ['[URL]', /https?:\/\/\S+/g],
+  ['[PHONE]', /(?<![\w+])(?:\+?91[ -]?|0)?[6-9]\d{4}[ -]?\d{5}(?!\d)/g],
+  ['[AADHAAR]', /(?<!\d)[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?!\d)/g],
+  ['[PAN]', /\b[A-Z]{5}\d{4}[A-Z]\b/g]
+];
+
+// Replaces PII with placeholders; returns the text and how many were replaced
+function scrubPII(text) {
+  let count = 0;
+  const scrubbed = PII_PATTERNS.reduce((result, [placeholder, pattern]) =>
+    result.replace(pattern, () => {
+      count++;
+      return placeholder;
+    }), text || '');
+  return { text: scrubbed, count };
+}
+
+// Letters and digits only, so "What is DNA?" and "what is dna" are the same question
+function questionKey(question) {
+  return normalizeText(question || '').replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+}
+
+function trigramSet(text) {
+  const letters = [...text];
+  const grams = new Set();
+  for (let index = 0; index + 3 <= letters.length; index++) {
+    grams.add(letters.slice(index, index + 3).join(''));
+  }
+  return grams.size ? grams : new Set([text]);
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Drops questions whose character-trigram similarity to a kept one in the same language and
+// subject reaches `threshold`. Examples are visited best first (rating, then judge and
+// heuristic scores), so the best answer to each question is the one kept.
+function dedupeQuestions(examples, { threshold = 0.85 } = {}) {
+  const score = ({ metadata }) => [metadata.rating || 0, metadata.judgeScore ?? -1, metadata.responseQuality || 0];
+  const ranked = [...examples].sort((a, b) => {
+    const [x, y] = [score(a), score(b)];
+    return y[0] - x[0] || y[1] - x[1] || y[2] - x[2];
+  });
+
+  const kept = new Map(); // language|subject => trigram sets of the questions kept
+  const unique = [];
+  const duplicates = [];
+  for (const example of ranked) {
+    const group = `${example.metadata.language}|${example.metadata.subject}`;
+    const grams = trigramSet(questionKey(example.messages[1].content));
+    const seen = kept.get(group) || [];
+    if (seen.some(other => jaccard(grams, other) >= threshold)) {
+      duplicates.push(example);
+      continue;
+    }
+    seen.push(grams);
+    kept.set(group, seen);
+    unique.push(example);
+  }
+  return { unique, duplicates };
+}
+
+// Small seeded PRNG (mulberry32) so the same seed gives the same split
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function stratumOf({ metadata }) {
+  return `${metadata.language || 'unknown'}|${metadata.subject || 'general'}|${metadata.grade || 'any'}`;
+}
+
+// Largest remainder: `total` items shared out over the strata in proportion to `shares`
+// (fractional), never more than a stratum's `capacity`. Ties go by the seeded `order`.
+function allocate(shares, capacity, total, order) {
+  const counts = shares.map((share, index) => Math.min(Math.floor(share), capacity[index]));
+  const byRemainder = shares
+    .map((share, index) => index)
+    .sort((a, b) => (shares[b] - Math.floor(shares[b])) - (shares[a] - Math.floor(shares[a])) || order[a] - order[b]);
+
+  let remaining = total - counts.reduce((sum, count) => sum + count, 0);
+  while (remaining > 0 && byRemainder.some(index => counts[index] < capacity[index])) {
+    for (const index of byRemainder) {
+      if (remaining === 0) break;
+      if (counts[index] < capacity[index]) {
+        counts[index]++;
+        remaining--;
+      }
+    }
+  }
+  return counts;
+}
+
+// Every language × subject × grade stratum is shuffled and split by `ratios`, so each split
+// has the same mix. Validation/test sizes are worked out over the whole dataset (largest
+// remainder), so strata too small for a share of their own still add up to one.
+function stratifiedSplit(examples, { ratios = { train: 0.8, validation: 0.1, test: 0.1 }, seed = 42 } = {}) {
+  const random = seededRandom(seed);
+  const strata = new Map();
+  for (const example of examples) {
+    const key = stratumOf(example);
+    if (!strata.has(key)) strata.set(key, []);
+    strata.get(key).push(example);
+  }
+
+  const groups = [...strata.entries()].sort(([a], [b]) => a.localeCompare(b));
+  for (const [, group] of groups) {
+    // Fisher-Yates
+    for (let index = group.length - 1; index > 0; index--) {
+      const other = Math.floor(random() * (index + 1));
+      [group[index], group[other]] = [group[other], group[index]];
+    }
+  }
+
+  const sizes = groups.map(([, group]) => group.length);
+  const order = groups.map(() => random());
+  const validationCounts = allocate(
+    sizes.map(size => size * ratios.validation), sizes, Math.round(examples.length * ratios.validation), order
+  );
+  const testCounts = allocate(
+    sizes.map(size => size * ratios.test),
+    sizes.map((size, index) => size - validationCounts[index]),
+    Math.round(examples.length * ratios.test),
+    order.map(rank => 1 - rank) // Other strata first, so one stratum doesn't get both
+  );
+
+  const splits = { train: [], validation: [], test: [] };
+  const byStratum = {};
+  groups.forEach(([key, group], index) => {
+    const validation = validationCounts[index];
+    const test = testCounts[index];
+    const parts = {
+      validation: group.slice(0, validation),
+      test: group.slice(validation, validation + test),
+      train: group.slice(validation + test)
+    };
+    for (const [split, items] of Object.entries(parts)) splits[split].push(...items);
+    byStratum[key] = Object.fromEntries(Object.entries(parts).map(([split, items]) => [split, items.length]));
+  });
+  return { splits, byStratum };
+}
+
+module.exports = { scrubPII, dedupeQuestions, stratifiedSplit };
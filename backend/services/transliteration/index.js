@@ -0,0 +1,123 @@
+// Romanized → native script transliteration, offline and rule-based
+//
+// TRANSLITERATE_QUESTIONS   rewrite romanized questions in native script before answering (default: true)
+//
+// Works for languages whose registry `script` is listed in SCRIPTS. Words are converted to
+// Devanagari by the rules in romanScheme.js, then moved to the target script: the Indic
+// Unicode blocks share one layout, so क (U+0915) is క (U+0C15) in Telugu. Tamil has no
+// aspirated or voiced letters to map onto, so it isn't supported.
+const { romanToDevanagari } = require('./romanScheme');
+const LEXICON = require('./lexicon');
+
+const DEVANAGARI_BASE = 0x0900;
+
+// base: start of the script's Unicode block; the rest are romanScheme options
+const SCRIPTS = {
+  Devanagari: { base: 0x0900, longFinalA: true, longFinalI: true },
+  Bengali: { base: 0x0980, longFinalA: true, longFinalI: false, substitutes: { 'व': 'ब' } },
+  Gujarati: { base: 0x0A80, longFinalA: true, longFinalI: true },
+  Telugu: { base: 0x0C00, shortEO: true, finalVirama: true },
+  Kannada: { base: 0x0C80, shortEO: true, finalVirama: true },
+  Malayalam: { base: 0x0D00, shortEO: true, finalVirama: true }
+};
+
+// Latin words, with digits so "H2O" is seen (and kept) whole
+const LATIN_WORD = /[A-Za-z][A-Za-z0-9]*/g;
+
+// Endings that are English, not casual Indic spelling ("gravity", "reaction", "physics")
+const ENGLISH_ENDING = /(tion|sion|ment|ness|ture|ance|ence|ics|ogy|[^aeiou]y)$/i;
+
+// Space-separated chunks holding digits or math operators are formulas ("x^2", "3x", "a+b=c")
+const FORMULA = /[\d=+*/^<>_\\]/;
+
+function fromDevanagari(text, script) {
+  const { base, substitutes = {} } = SCRIPTS[script];
+  if (base === DEVANAGARI_BASE) return text;
+
+  return [...text].map(char => {
+    const letter = substitutes[char] || char;
+    const code = letter.codePointAt(0);
+    return code >= DEVANAGARI_BASE && code <= 0x097F ? String.fromCodePoint(code - DEVANAGARI_BASE + base) : letter;
+  }).join('');
+}
+
+class Transliterator {
+  constructor({
+    getLanguages, // () => language registry entries
+    getKeepWords = () => [], // () => English words to leave in Latin letters (subject terms...)
+    normalizeQuestions = process.env.TRANSLITERATE_QUESTIONS !== 'false'
+  } = {}) {
+    this.getLanguages = getLanguages;
+    this.getKeepWords = getKeepWords;
+    this.normalizeQuestions = normalizeQuestions;
+  }
+
+  scriptFor(language) {
+    const script = this.getLanguages()[language]?.script;
+    return SCRIPTS[script] ? script : null;
+  }
+
+  supports(language) {
+    return Boolean(this.scriptFor(language));
+  }
+
+  // Ways to write one romanized word, most likely first: the lexicon spelling, then the rules'
+  suggest(word, language, limit = 4) {
+    const script = this.scriptFor(language);
+    if (!script) return [];
+
+    const known = LEXICON[language]?.[word.toLowerCase()];
+    const readings = (romanToDevanagari(word, SCRIPTS[script], { variants: limit }) || [])
+      .map(reading => fromDevanagari(reading, script));
+    return [...new Set([...(known ? [known] : []), ...readings])].slice(0, limit);
+  }
+
+  // Words known to be the language typed in Latin letters: the lexicon and the registry's
+  // romanizedMarkers (the words language detection relies on)
+  isKnownWord(word, language) {
+    const lower = word.toLowerCase();
+    return Boolean(LEXICON[language]?.[lower]) ||
+      Boolean(this.getLanguages()[language]?.romanizedMarkers?.includes(lower));
+  }
+
+  // Rewrites each Latin word in native script. Kept as typed: formulas (chunks with digits or
+  // operators, "x^2", "3x", "H2O"), single letters (variables), the getKeepWords list,
+  // acronyms ("DNA") and English endings. With onlyKnownWords, words that aren't in the
+  // lexicon or romanizedMarkers are kept too, so English terms ("newton", "second law")
+  // survive in a question.
+  // Returns { text, words: [{ input, output }] } for the words that changed.
+  transliterate(text, language, { onlyKnownWords = false } = {}) {
+    if (!this.supports(language)) {
+      return { text, words: [] };
+    }
+
+    const keep = new Set(this.getKeepWords().map(word => word.toLowerCase()));
+    const words = [];
+    const output = text.replace(/\S+/g, chunk => FORMULA.test(chunk) ? chunk : chunk.replace(LATIN_WORD, word => {
+      if (word.length === 1 || keep.has(word.toLowerCase()) || ENGLISH_ENDING.test(word) ||
+          word === word.toUpperCase() || (onlyKnownWords && !this.isKnownWord(word, language))) {
+        return word;
+      }
+      const [best] = this.suggest(word, language, 1);
+      if (!best) return word;
+      words.push({ input: word, output: best });
+      return best;
+    }));
+
+    return { text: output, words };
+  }
+
+  // The question in native script if it was typed romanized (see languageDetector), otherwise null.
+  // Answers, subject detection and the cache all work from this form, so "photosynthesis kya hai"
+  // and "photosynthesis क्या है" are the same question. Only known words are rewritten - a
+  // guessed spelling of an English or technical word would change the question.
+  normalizeQuestion(question, detection) {
+    if (!this.normalizeQuestions || !detection?.romanized || !this.supports(detection.language)) {
+      return null;
+    }
+    const { text, words } = this.transliterate(question, detection.language, { onlyKnownWords: true });
+    return words.length ? text : null;
+  }
+}
+
+module.exports = { Transliterator, SCRIPTS, fromDevanagari };
@@ -0,0 +1,28 @@
+// Common words whose casual spelling the rules get wrong - schwa dropped in speech
+// ("samjhao" for समझाओ), nasal vowels ("nahi" for नहीं) or conventional spellings.
+// Keyed by language code, then by lowercase romanized word.
+module.exports = {
+  hi: {
+    hai: 'है', hain: 'हैं', nahi: 'नहीं', nahin: 'नहीं', main: 'मैं', mein: 'में', kya: 'क्या',
+    kyun: 'क्यों', kyon: 'क्यों', kaise: 'कैसे', kaisa: 'कैसा', kab: 'कब', kahan: 'कहाँ', kaun: 'कौन',
+    aur: 'और', yeh: 'यह', ye: 'ये', woh: 'वह', wo: 'वो', ko: 'को', se: 'से', ka: 'का', ki: 'की', ke: 'के',
+    mujhe: 'मुझे', hum: 'हम', tum: 'तुम', aap: 'आप', batao: 'बताओ', bataiye: 'बताइए',
+    samjhao: 'समझाओ', samjhaiye: 'समझाइए', samajh: 'समझ', matlab: 'मतलब', hota: 'होता', hoti: 'होती',
+    hote: 'होते', karte: 'करते', kaam: 'काम', sawal: 'सवाल', jawab: 'जवाब',
+    ganit: 'गणित', vigyan: 'विज्ञान', gyan: 'ज्ञान', samikaran: 'समीकरण', prakash: 'प्रकाश',
+    urja: 'ऊर्जा', bal: 'बल', itihas: 'इतिहास', bhugol: 'भूगोल', sanvidhan: 'संविधान', prithvi: 'पृथ्वी'
+  },
+  mr: {
+    aahe: 'आहे', ahe: 'आहे', aahet: 'आहेत', kay: 'काय', mhanje: 'म्हणजे', ani: 'आणि', aani: 'आणि',
+    nahi: 'नाही', madhye: 'मध्ये', madhe: 'मध्ये', kasa: 'कसा', kashi: 'कशी', kase: 'कसे', ka: 'का',
+    sanga: 'सांगा', mala: 'मला', tumhi: 'तुम्ही', kiti: 'किती', samjavun: 'समजावून', prashna: 'प्रश्न',
+    uttar: 'उत्तर', ganit: 'गणित', vidnyan: 'विज्ञान', samikaran: 'समीकरण', prakash: 'प्रकाश',
+    itihas: 'इतिहास', bhugol: 'भूगोल', shala: 'शाळा', pani: 'पाणी'
+  },
+  te: {
+    enti: 'ఏంటి', emiti: 'ఏమిటి', ela: 'ఎలా', elaa: 'ఎలా', cheppu: 'చెప్పు', cheppandi: 'చెప్పండి',
+    undi: 'ఉంది', ledu: 'లేదు', ante: 'అంటే', nenu: 'నేను', meeru: 'మీరు', idi: 'ఇది', adi: 'అది',
+    enduku: 'ఎందుకు', kavali: 'కావాలి', ardham: 'అర్థం', prashna: 'ప్రశ్న', javabu: 'జవాబు',
+    ganitham: 'గణితం', samikaranam: 'సమీకరణం', shakti: 'శక్తి', charitra: 'చరిత్ర', neeru: 'నీరు'
+  }
+};
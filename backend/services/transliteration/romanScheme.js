@@ -0,0 +1,136 @@
+// Rule-based Roman → Devanagari conversion for casual typing ("samjhao", "kya hai")
+//
+// Words are parsed into consonant/vowel units, then rendered. Casual romanization is
+// ambiguous (t is त or ट, i is ि or ी...), so each ambiguous unit keeps its options:
+// the first is the usual reading, the others are offered as suggestions.
+// Other Indic scripts are rendered from the Devanagari output (see index.js).
+
+const VIRAMA = '्';
+const ANUSVARA = 'ं';
+
+// Longest spellings first so "chh" wins over "ch" and "c"
+const CONSONANTS = [
+  ['ksh', ['क्ष']],
+  ['chh', ['छ']],
+  ['kh', ['ख']], ['gh', ['घ']], ['ch', ['च']], ['jh', ['झ']],
+  ['th', ['थ', 'ठ']], ['dh', ['ध', 'ढ']], ['ph', ['फ']], ['bh', ['भ']], ['sh', ['श', 'ष']],
+  ['k', ['क']], ['g', ['ग']], ['c', ['क']], ['j', ['ज']],
+  ['t', ['त', 'ट']], ['d', ['द', 'ड']], ['n', ['न', 'ण']],
+  ['p', ['प']], ['f', ['फ']], ['b', ['ब']], ['m', ['म']],
+  ['y', ['य']], ['r', ['र']], ['l', ['ल']], ['v', ['व']], ['w', ['व']],
+  ['s', ['स']], ['h', ['ह']], ['q', ['क']], ['z', ['ज']], ['x', ['क्स']]
+];
+
+// [spelling, independent vowel, vowel sign]; the inherent "a" has no sign
+const VOWELS = [
+  ['aa', 'आ', 'ा'], ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'],
+  ['ee', 'ई', 'ी'], ['ii', 'ई', 'ी'], ['oo', 'ऊ', 'ू'], ['uu', 'ऊ', 'ू'],
+  ['a', 'अ', ''], ['i', 'इ', 'ि'], ['u', 'उ', 'ु'], ['e', 'ए', 'े'], ['o', 'ओ', 'ो']
+];
+
+// Short e/o for scripts that have them (Telugu, Kannada, Malayalam)
+const SHORT_VOWELS = { e: ['ऎ', 'ॆ'], o: ['ऒ', 'ॊ'] };
+
+// Consonants a nasal can't fold into an anusvara before ("anya", "nyay")
+const NO_ANUSVARA_BEFORE = new Set(['य', 'र', 'व', 'ह']);
+
+function matchAt(word, index, table) {
+  return table.find(([spelling]) => word.startsWith(spelling, index));
+}
+
+// "kya" → [{ consonant: ['क'] }, { consonant: ['य'] }, { vowel: 'a' }]
+function parse(word) {
+  const units = [];
+  let index = 0;
+  while (index < word.length) {
+    const vowel = matchAt(word, index, VOWELS);
+    const consonant = matchAt(word, index, CONSONANTS);
+    if (vowel) {
+      units.push({ vowel: vowel[0] });
+      index += vowel[0].length;
+    } else if (consonant) {
+      units.push({ consonant: consonant[1] });
+      index += consonant[0].length;
+    } else {
+      return null; // Not a romanized word (digits, apostrophes...)
+    }
+  }
+  return units;
+}
+
+// Units that could be written another way (see render's choices)
+function ambiguities(units) {
+  const points = [];
+  units.forEach((unit, index) => {
+    if (unit.consonant?.length > 1) points.push(index);
+    if (unit.vowel && ['i', 'u'].includes(unit.vowel) && index === units.length - 1) points.push(index);
+    if (unit.vowel === 'a' && index === units.length - 1 && units[index - 1]?.consonant) points.push(index);
+  });
+  return points;
+}
+
+// choices: { [unitIndex]: 1 } picks the alternative reading of that unit
+function render(units, scheme, choices = {}) {
+  let output = '';
+  let pendingConsonant = false; // Last consonant still waiting for its vowel
+
+  units.forEach((unit, index) => {
+    const isLast = index === units.length - 1;
+    const alternative = Boolean(choices[index]);
+
+    if (unit.consonant) {
+      const letter = unit.consonant[alternative ? 1 : 0] || unit.consonant[0];
+      const next = units[index + 1];
+      if (pendingConsonant) output += VIRAMA;
+
+      // "hindi" → हिंदी: a nasal before another consonant becomes an anusvara
+      if (letter === 'न' && next?.consonant && !NO_ANUSVARA_BEFORE.has(next.consonant[0]) && !pendingConsonant) {
+        output += ANUSVARA;
+        pendingConsonant = false;
+        return;
+      }
+      output += letter;
+      pendingConsonant = true;
+      return;
+    }
+
+    let [, independent, sign] = VOWELS.find(([spelling]) => spelling === unit.vowel);
+    if (scheme.shortEO && SHORT_VOWELS[unit.vowel]) {
+      [independent, sign] = SHORT_VOWELS[unit.vowel];
+    }
+    // "batao" → बताओ: an a running into another vowel is long
+    if (unit.vowel === 'a' && pendingConsonant && units[index + 1]?.vowel) sign = 'ा';
+    // Casual Hindi spells word-final आ and ई as plain a and i ("kya", "hua", "nahi")
+    if (isLast && unit.vowel === 'a' && !pendingConsonant && index > 0 && scheme.longFinalA) independent = 'आ';
+    if (isLast && pendingConsonant) {
+      if (unit.vowel === 'a' && Boolean(scheme.longFinalA) !== alternative) sign = 'ा';
+      if (unit.vowel === 'i' && Boolean(scheme.longFinalI) !== alternative) sign = 'ी';
+      if (unit.vowel === 'u' && alternative) sign = 'ू';
+    }
+
+    output += pendingConsonant ? sign : independent;
+    pendingConsonant = false;
+  });
+
+  if (pendingConsonant && scheme.finalVirama) {
+    // "samikaranam" → సమీకరణం
+    output = output.endsWith('म') ? `${output.slice(0, -1)}${ANUSVARA}` : `${output}${VIRAMA}`;
+  }
+  return output;
+}
+
+// Usual reading first, then readings with one ambiguous letter changed
+function romanToDevanagari(word, scheme, { variants = 0 } = {}) {
+  const units = parse(word.toLowerCase());
+  if (!units) return null;
+
+  const readings = [render(units, scheme)];
+  for (const index of ambiguities(units)) {
+    if (readings.length > variants) break;
+    const reading = render(units, scheme, { [index]: 1 });
+    if (!readings.includes(reading)) readings.push(reading);
+  }
+  return readings;
+}
+
+module.exports = { romanToDevanagari, parse, render };
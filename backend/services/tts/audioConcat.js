@@ -0,0 +1,38 @@
+// Joins per-sentence audio into one file for clients that want a single URL
+const WAV_HEADER_BYTES = 44;
+
+function concatWav(buffers) {
+  const format = buffers[0].subarray(20, 36);
+  if (!buffers.every(buffer => buffer.subarray(20, 36).equals(format))) {
+    return null; // Mixed sample rates/channels (e.g. after an engine fallback)
+  }
+
+  const pcm = Buffer.concat(buffers.map(buffer => buffer.subarray(WAV_HEADER_BYTES)));
+  const header = Buffer.from(buffers[0].subarray(0, WAV_HEADER_BYTES));
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+// chunks: [{ audioContent, extension }] - returns { audioContent, extension } or null
+function concatAudio(chunks) {
+  if (chunks.length === 0) return null;
+
+  const extension = chunks[0].extension;
+  if (!chunks.every(chunk => chunk.extension === extension)) return null;
+
+  if (extension === 'mp3') {
+    // MP3 is a stream of self-contained frames, so back-to-back files play as one
+    return { audioContent: Buffer.concat(chunks.map(chunk => chunk.audioContent)), extension };
+  }
+
+  if (extension === 'wav') {
+    const audioContent = concatWav(chunks.map(chunk => chunk.audioContent));
+    return audioContent ? { audioContent, extension } : null;
+  }
+
+  return null;
+}
+
+module.exports = { concatAudio };
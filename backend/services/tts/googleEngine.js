@@ -0,0 +1,49 @@
+// Google Cloud Text-to-Speech engine
+//
+// TTS_SPEAKING_RATE   default speaking rate, 0.25-4 (default: 0.9); a language can set its own
+//                     `speakingRate` in config/registries/languages.json
+const textToSpeech = require('@google-cloud/text-to-speech');
+
+class GoogleEngine {
+  constructor({ speakingRate = parseFloat(process.env.TTS_SPEAKING_RATE) || 0.9, pitch = 0.0 } = {}) {
+    this.name = 'google';
+    this.speakingRate = speakingRate;
+    this.pitch = pitch;
+    this.client = new textToSpeech.TextToSpeechClient();
+  }
+
+  async synthesize({ text, ssml, languageConfig }) {
+    const input = ssml ? { ssml } : { text };
+    try {
+      return await this.request(input, languageConfig, languageConfig.voice);
+    } catch (error) {
+      // Not every region/project has Wavenet voices - retry once on the Standard voice
+      const standardVoice = languageConfig.voice.replace('Wavenet', 'Standard');
+      if (standardVoice !== languageConfig.voice && /voice/i.test(error.message)) {
+        console.warn(`⚠️ ${languageConfig.voice} unavailable, falling back to ${standardVoice}`);
+        return this.request(input, languageConfig, standardVoice);
+      }
+      throw error;
+    }
+  }
+
+  async request(input, languageConfig, voiceName) {
+    const [response] = await this.client.synthesizeSpeech({
+      input,
+      voice: {
+        languageCode: languageConfig.code,
+        name: voiceName,
+        ssmlGender: 'FEMALE',
+      },
+      audioConfig: {
+        audioEncoding: 'MP3',
+        speakingRate: languageConfig.speakingRate || this.speakingRate,
+        pitch: this.pitch,
+      },
+    });
+
+    return { audioContent: Buffer.from(response.audioContent), extension: 'mp3' };
+  }
+}
+
+module.exports = GoogleEngine;
@@ -0,0 +1,74 @@
+// Text-to-speech engine layer - picks an engine per language with an optional fallback chain
+//
+// TTS_ENGINE    default engine: google | local | silent (default: google)
+// TTS_FALLBACK  comma-separated engines to try when the primary fails, e.g. "local,silent"
+//
+// A language can pin its own engine with `ttsEngine` in config/registries/languages.json.
+// Engines get { text, ssml, languageConfig }; those that understand SSML (google) use ssml
+// when it is set, the others read text.
+const GoogleEngine = require('./googleEngine');
+const LocalEngine = require('./localEngine');
+const SilentEngine = require('./silentEngine');
+
+const ENGINES = {
+  google: GoogleEngine,
+  local: LocalEngine,
+  silent: SilentEngine
+};
+
+function parseEngineList(value) {
+  return (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+class TTSService {
+  constructor({
+    defaultEngine = process.env.TTS_ENGINE || 'google',
+    fallback = parseEngineList(process.env.TTS_FALLBACK)
+  } = {}) {
+    for (const name of [defaultEngine, ...fallback]) {
+      if (!ENGINES[name]) {
+        throw new Error(`Unknown TTS engine "${name}". Expected one of: ${Object.keys(ENGINES).join(', ')}`);
+      }
+    }
+
+    this.defaultEngine = defaultEngine;
+    this.fallback = fallback;
+    this.engines = {};
+  }
+
+  getEngine(name) {
+    if (!this.engines[name]) {
+      this.engines[name] = new ENGINES[name]();
+    }
+    return this.engines[name];
+  }
+
+  enginesFor(languageConfig) {
+    const primary = languageConfig.ttsEngine || this.defaultEngine;
+    return [primary, ...this.fallback.filter(name => name !== primary)];
+  }
+
+  // Returns { audioContent, extension, engine } from the first engine that succeeds.
+  // ssml (optional) is the same sentence marked up - see ssml.js
+  async synthesize(text, languageConfig, { ssml = null } = {}) {
+    let lastError;
+
+    for (const name of this.enginesFor(languageConfig)) {
+      try {
+        const engine = this.getEngine(name);
+        const result = await engine.synthesize({ text, ssml, languageConfig });
+        return { ...result, engine: name };
+      } catch (error) {
+        console.warn(`⚠️ TTS engine "${name}" failed for ${languageConfig.name}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = { TTSService, ENGINES };
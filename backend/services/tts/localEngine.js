@@ -0,0 +1,38 @@
+// Local CLI engine - espeak-ng or Piper, no cloud credentials needed
+//
+// LOCAL_TTS_COMMAND  espeak-ng (default) | piper
+// PIPER_MODEL_DIR    directory holding one <language code>.onnx per language, e.g. hi-IN.onnx
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runCommand = require('../../utils/runCommand');
+
+class LocalEngine {
+  constructor({
+    command = process.env.LOCAL_TTS_COMMAND || 'espeak-ng',
+    piperModelDir = process.env.PIPER_MODEL_DIR || path.join(__dirname, '../../voices')
+  } = {}) {
+    this.name = 'local';
+    this.command = command;
+    this.piperModelDir = piperModelDir;
+  }
+
+  async synthesize({ text, languageConfig }) {
+    const outputPath = path.join(os.tmpdir(), `tara_tts_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.wav`);
+
+    try {
+      if (path.basename(this.command).startsWith('piper')) {
+        const model = path.join(this.piperModelDir, `${languageConfig.code}.onnx`);
+        await runCommand(this.command, ['--model', model, '--output_file', outputPath], { input: text });
+      } else {
+        await runCommand(this.command, ['-v', languageConfig.localVoice || 'en', '-s', '150', '-w', outputPath, text]);
+      }
+
+      return { audioContent: await fs.readFile(outputPath), extension: 'wav' };
+    } finally {
+      await fs.unlink(outputPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = LocalEngine;
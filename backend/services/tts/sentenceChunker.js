@@ -0,0 +1,113 @@
+// Splits answers into sentences for incremental text-to-speech
+const SENTENCE_TERMINATORS = '।॥.!?';
+const MIN_CHUNK_CHARS = 20; // Shorter sentences ride along with the next one
+const MAX_CHUNK_CHARS = 400; // Run-on text is cut at the last comma or space
+
+// Find where the first complete sentence ends, or -1.
+// With isFinal=false a terminator only counts once the following whitespace has arrived,
+// so "3." mid-stream isn't mistaken for a sentence end before "14" shows up.
+function findSentenceEnd(text, isFinal) {
+  for (let i = 0; i < text.length; i++) {
+    if (!SENTENCE_TERMINATORS.includes(text[i])) continue;
+
+    // Keep runs like "?!" or "..." and closing quotes/brackets with their sentence
+    let end = i + 1;
+    while (end < text.length && (SENTENCE_TERMINATORS + '"\'”’)]').includes(text[end])) end++;
+
+    if (end === text.length ? isFinal : /\s/.test(text[end])) {
+      if (end >= MIN_CHUNK_CHARS || end === text.length) return end;
+    }
+    i = end - 1;
+  }
+
+  if (text.length > MAX_CHUNK_CHARS) {
+    const window = text.slice(0, MAX_CHUNK_CHARS);
+    const cut = Math.max(window.lastIndexOf(','), window.lastIndexOf(' '));
+    return cut > 0 ? cut + 1 : MAX_CHUNK_CHARS;
+  }
+
+  return -1;
+}
+
+function splitSentences(text) {
+  const sentences = [];
+  let rest = text.trim();
+
+  while (rest) {
+    const end = findSentenceEnd(rest, true);
+    const cut = end === -1 ? rest.length : end;
+    sentences.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+
+  return sentences.filter(Boolean);
+}
+
+// Feed text as it streams in; each complete sentence is synthesized in order.
+// toSpeech(text) turns a sentence into what is read aloud (called in order; sentences it
+// empties, like code, are skipped), synthesizeChunk(spokenText, index) does the TTS work and
+// onChunk(chunk) hears about each result - chunk.text is the sentence as written.
+class SpeechChunker {
+  constructor({ synthesizeChunk, onChunk = () => {}, toSpeech = text => text }) {
+    this.synthesizeChunk = synthesizeChunk;
+    this.onChunk = onChunk;
+    this.toSpeech = toSpeech;
+    this.buffer = '';
+    this.chunks = [];
+    this.queue = Promise.resolve();
+    this.error = null;
+    this.aborted = false;
+  }
+
+  push(text) {
+    this.buffer += text;
+
+    let end;
+    while ((end = findSentenceEnd(this.buffer.trimStart(), false)) !== -1) {
+      const trimmed = this.buffer.trimStart();
+      this.enqueue(trimmed.slice(0, end).trim());
+      this.buffer = trimmed.slice(end);
+    }
+  }
+
+  enqueue(text) {
+    const spokenText = text && this.toSpeech(text).trim();
+    if (!spokenText) return;
+
+    const index = this.chunks.length;
+    this.chunks.push(null);
+
+    // One at a time keeps playlist order and stays friendly to TTS rate limits
+    this.queue = this.queue.then(async () => {
+      if (this.error || this.aborted) return;
+      try {
+        const result = await this.synthesizeChunk(spokenText, index);
+        this.chunks[index] = { index, text, ...result };
+        this.onChunk(this.chunks[index]);
+      } catch (error) {
+        this.error = error;
+      }
+    });
+  }
+
+  // Flush the trailing text and resolve with every chunk, in order
+  async finish() {
+    splitSentences(this.buffer).forEach(sentence => this.enqueue(sentence));
+    this.buffer = '';
+
+    await this.queue;
+    if (this.error) throw this.error;
+    return this.chunks;
+  }
+
+  // Drop the trailing text and anything still queued; resolves with the chunks already voiced
+  async abort() {
+    this.aborted = true;
+    this.buffer = '';
+
+    await this.queue;
+    return this.chunks.filter(Boolean);
+  }
+}
+
+module.exports = { splitSentences, SpeechChunker };
@@ -0,0 +1,36 @@
+// Silent engine for offline dev and tests - returns a short, valid WAV of silence
+const SAMPLE_RATE = 8000;
+
+function silentWav(durationSeconds) {
+  const dataSize = Math.round(SAMPLE_RATE * durationSeconds) * 2; // 16-bit mono
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // PCM header size
+  buffer.writeUInt16LE(1, 20); // PCM format
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32); // block align
+  buffer.writeUInt16LE(16, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
+
+class SilentEngine {
+  constructor({ durationSeconds = 0.5 } = {}) {
+    this.name = 'silent';
+    this.durationSeconds = durationSeconds;
+  }
+
+  async synthesize() {
+    return { audioContent: silentWav(this.durationSeconds), extension: 'wav' };
+  }
+}
+
+module.exports = SilentEngine;
@@ -0,0 +1,80 @@
+// Markdown and LaTeX answers → plain sentences for the voice
+//
+// Answers are written for the screen: Markdown (numbered steps, lists, **bold**, code blocks)
+// with math as LaTeX in $...$ or $$...$$. The voice gets the same sentences without the markup:
+// math goes back to plain notation (\frac{a}{b} → a/b, x^{2} → x^2, \sqrt{2} → √2) for the
+// verbalizer, bullets and headings are dropped and so are code blocks - answers describe their
+// code in words. **bold** is kept for SSML emphasis, and "1." step numbers for step pauses.
+const SYMBOLS = {
+  times: '×', cdot: '×', div: '÷', pm: '±', mp: '±', le: '≤', leq: '≤', ge: '≥', geq: '≥',
+  ne: '≠', neq: '≠', approx: '≈', to: '→', rightarrow: '→', longrightarrow: '→', Rightarrow: '→',
+  pi: 'π', theta: 'θ', alpha: 'α', beta: 'β', lambda: 'λ', Delta: 'Δ', delta: 'δ', infty: '∞',
+  degree: '°', circ: '°', '%': '%'
+};
+
+// Commands whose argument is just text: \text{...}, \mathrm{H_2O}
+const TEXT_COMMANDS = /\\(?:text|mathrm|mathbf|mathit|textbf|operatorname|boxed)\s*\{([^{}]*)\}/g;
+// Innermost \frac first, so nested fractions come out from the inside
+const FRACTION = /\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g;
+const ROOT = /\\sqrt\s*(?:\[(\d+)\])?\s*\{([^{}]*)\}/g;
+const MATH = /\$\$([\s\S]*?)\$\$|\$([^$\n]+)\$/g;
+
+// Simple operands stay bare ("5/3"), expressions get brackets ("(x+1)/(x-1)")
+function group(text) {
+  const trimmed = text.trim();
+  return /^[\p{L}\p{N}.]+$/u.test(trimmed) ? trimmed : `(${trimmed})`;
+}
+
+function convertLatex(math) {
+  let text = math;
+  // Repeat for nesting: \frac{\sqrt{2}}{2}
+  for (let pass = 0; pass < 4 && /\\[a-zA-Z]+\s*[{[]/.test(text); pass++) {
+    text = text
+      .replace(TEXT_COMMANDS, '$1')
+      .replace(FRACTION, (match, numerator, denominator) => `${group(numerator)}/${group(denominator)}`)
+      .replace(ROOT, (match, degree, radicand) => `${degree === '3' ? '∛' : '√'}${group(radicand)}`);
+  }
+
+  return text
+    .replace(/\^\s*\{?\\circ\}?/g, '°')
+    .replace(/\^\s*\{([^{}]*)\}/g, (match, exponent) => `^${group(exponent)}`)
+    .replace(/_\s*\{([^{}]*)\}|_(\w)/g, (match, braced, single) => braced ?? single) // H_2O → H2O
+    .replace(/\\(left|right)\b/g, '')
+    .replace(/\s*\\\\\s*/g, ', ') // Line breaks in aligned steps, before "\ " is taken for a space
+    .replace(/\\[,;:! ]|\\quad|\\qquad|~/g, ' ')
+    .replace(/\\([a-zA-Z]+|%)/g, (match, name) => SYMBOLS[name] ?? name) // \sin → sin
+    .replace(/[{}&]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// One instance per answer: code fences open in one sentence and close a few sentences later
+class SpeechText {
+  constructor() {
+    this.inCodeBlock = false;
+  }
+
+  convert(text) {
+    const lines = text.split('\n').filter(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        this.inCodeBlock = !this.inCodeBlock;
+        return false;
+      }
+      return !this.inCodeBlock;
+    });
+
+    return lines.join('\n')
+      .replace(MATH, (match, display, inline) => ` ${convertLatex(display ?? inline)} `)
+      .replace(/\\[a-zA-Z]+|\$/g, match => (match === '$' ? '' : convertLatex(match)))
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+])\s+/gm, '') // Headings, quotes, bullets
+      .replace(/^\s*([-*_])\1{2,}\s*$/gm, '') // Horizontal rules
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/(?<!\*)\*(?!\*)([^*\n]+)(?<!\*)\*(?!\*)/g, '$1') // *italic*, not **bold**
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ ([,.?!।])/g, '$1')
+      .trim();
+  }
+}
+
+module.exports = { SpeechText, convertLatex };
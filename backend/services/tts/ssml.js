@@ -0,0 +1,151 @@
+// SSML for answers - pauses between steps, emphasis on key terms, <say-as> for numbers
+// and dates, and the pronunciation lexicon (config/registries/pronunciations.json)
+//
+// TTS_SSML            send SSML to engines that accept it (default: true)
+// TTS_STEP_PAUSE_MS   pause before each step of a worked answer (default: 600)
+//
+// build() returns { text, ssml }. Engines without SSML (local, silent) read `text`, which
+// still has the lexicon's spoken forms; IPA entries only work through SSML.
+const CLAUSE_PAUSE_MS = 250;
+const KEY_TERM_MIN_LENGTH = 4; // Skip short keywords like "cell" inside everyday sentences
+
+// "Step 2", "2.", "2)" - or the word for step in each language - at the start of a sentence
+const STEP_START = /^(?:\d{1,2}[.)]\s|(?:step|चरण|पायरी|படி|ধাপ|దశ|પગલું|ಹಂತ|ഘട്ടം)\s*\d{1,2}(?!\d))/iu;
+const BOLD = /\*\*([^*]+)\*\*/g;
+const DATE = /(?<![\p{N}/.-])\d{1,2}([/.-])\d{1,2}\1(?:\d{4}|\d{2})(?![\p{N}])/gu;
+const NUMBER = /(?<![\p{L}\p{M}\p{N}.,])\d+(?![\p{L}\p{M}\p{N}])/gu;
+const CLAUSE_BREAK = /:(?=\s)|\n+/g;
+
+// Years read better as the voice's own "nineteen forty-seven" than as a cardinal
+const isYear = (number) => number.length === 4 && number >= 1100 && number <= 2099;
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return escapeXml(text).replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words only: "DNA" but not inside "DNAse", in any script
+function termPattern(terms) {
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+function matchesOf(pattern, text) {
+  return [...text.matchAll(pattern)].map(match => ({ match, start: match.index, end: match.index + match[0].length }));
+}
+
+class SsmlBuilder {
+  constructor({
+    getLexicon = () => ({}), // language => { term: spoken form | { ipa } }
+    getKeyTerms = () => [], // language => terms to emphasize (subject keywords)
+    enabled = process.env.TTS_SSML !== 'false',
+    stepPauseMs = parseInt(process.env.TTS_STEP_PAUSE_MS) || 600
+  } = {}) {
+    this.getLexicon = getLexicon;
+    this.getKeyTerms = getKeyTerms;
+    this.enabled = enabled;
+    this.stepPauseMs = stepPauseMs;
+  }
+
+  // Marked-up pieces of one sentence, earliest first; where two overlap the earlier
+  // (then the higher-priority) one wins. Each piece renders to SSML and to plain text.
+  spans(text, language) {
+    const lexicon = this.getLexicon(language) || {};
+    const lexiconEntries = new Map(Object.entries(lexicon).map(([term, spoken]) => [term.toLowerCase(), spoken]));
+    const keyTerms = new Set(this.getKeyTerms(language)
+      .filter(term => term.length >= KEY_TERM_MIN_LENGTH)
+      .map(term => term.toLowerCase()));
+    const emphasized = new Set();
+
+    // Key terms are emphasized the first time they come up
+    const emphasize = (word, ssml) => {
+      const key = word.toLowerCase();
+      if (!keyTerms.has(key) || emphasized.has(key)) return ssml;
+      emphasized.add(key);
+      return `<emphasis level="moderate">${ssml}</emphasis>`;
+    };
+
+    const candidates = [
+      ...matchesOf(BOLD, text).map(span => ({
+        ...span,
+        priority: 0,
+        render: () => ({ ssml: `<emphasis level="strong">${escapeXml(span.match[1])}</emphasis>`, text: span.match[1] })
+      })),
+      ...(lexiconEntries.size ? matchesOf(termPattern(lexiconEntries.keys()), text) : []).map(span => ({
+        ...span,
+        priority: 1,
+        render: () => {
+          const written = span.match[0];
+          const spoken = lexiconEntries.get(written.toLowerCase());
+          const ssml = spoken.ipa
+            ? `<phoneme alphabet="ipa" ph="${escapeAttribute(spoken.ipa)}">${escapeXml(written)}</phoneme>`
+            : `<sub alias="${escapeAttribute(spoken)}">${escapeXml(written)}</sub>`;
+          return { ssml: emphasize(written, ssml), text: spoken.ipa ? written : spoken };
+        }
+      })),
+      ...matchesOf(DATE, text).map(span => ({
+        ...span,
+        priority: 2,
+        render: () => ({
+          ssml: `<say-as interpret-as="date" format="dmy" detail="1">${span.match[0]}</say-as>`,
+          text: span.match[0]
+        })
+      })),
+      ...(keyTerms.size ? matchesOf(termPattern(keyTerms), text) : []).map(span => ({
+        ...span,
+        priority: 3,
+        render: () => ({ ssml: emphasize(span.match[0], escapeXml(span.match[0])), text: span.match[0] })
+      })),
+      ...matchesOf(NUMBER, text).filter(span => !isYear(span.match[0])).map(span => ({
+        ...span,
+        priority: 4,
+        render: () => ({ ssml: `<say-as interpret-as="cardinal">${span.match[0]}</say-as>`, text: span.match[0] })
+      }))
+    ].sort((a, b) => a.start - b.start || a.priority - b.priority || b.end - a.end);
+
+    const spans = [];
+    for (const candidate of candidates) {
+      if (spans.length && candidate.start < spans[spans.length - 1].end) continue;
+      spans.push(candidate);
+    }
+    return spans;
+  }
+
+  // { text, ssml } for one sentence; ssml is null when SSML is turned off
+  build(text, language) {
+    let plain = '';
+    let body = '';
+    let position = 0;
+
+    for (const span of this.spans(text, language)) {
+      const gap = text.slice(position, span.start);
+      const rendered = span.render();
+      plain += gap + rendered.text;
+      body += this.withPauses(gap) + rendered.ssml;
+      position = span.end;
+    }
+    plain += text.slice(position);
+    body += this.withPauses(text.slice(position));
+
+    if (!this.enabled) {
+      return { text: plain, ssml: null };
+    }
+
+    const stepPause = STEP_START.test(text.trim()) ? `<break time="${this.stepPauseMs}ms"/>` : '';
+    return { text: plain, ssml: `<speak>${stepPause}${body.trim()}</speak>` };
+  }
+
+  withPauses(text) {
+    return escapeXml(text).replace(CLAUSE_BREAK, separator =>
+      separator === ':' ? `:<break time="${CLAUSE_PAUSE_MS}ms"/>` : ` <break time="${this.stepPauseMs}ms"/> `);
+  }
+}
+
+module.exports = { SsmlBuilder, escapeXml };
@@ -0,0 +1,183 @@
+// Spoken math for text-to-speech - answers keep their notation on screen, the voice reads words
+//
+// VERBALIZE_MATH   read math, formulas and units as words before synthesis (default: true)
+//
+// TTS voices skip or garble "x^2 + 3x = 10", "√2", "H2SO4" and "5/3". Each sentence is rewritten
+// with the words in vocabulary.js for its language: powers, roots and fractions through templates
+// (word order differs - "x का वर्ग", "{x} இன் வர்க்கம்"), formulas element by element ("H 2 S O 4"),
+// units after numbers and the remaining symbols in place. Plain integers are left as digits,
+// the voices already read them in their own language. Languages without vocabulary are unchanged.
+const VOCABULARY = require('./vocabulary');
+
+const ELEMENTS = new Set([
+  'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br',
+  'Kr', 'Rb', 'Sr', 'Ag', 'Sn', 'I', 'Ba', 'Pt', 'Au', 'Hg', 'Pb', 'U'
+]);
+
+const UNIT_ALIASES = { ml: 'mL' };
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹⁻';
+
+// A formula is element symbols with counts, at least one count: H2O, 2H2, CO2, C6H12O6
+const FORMULA = /(?<![\p{L}\p{N}])(\d*)((?:[A-Z][a-z]?\d*)+)(?![\p{L}\p{N}])/gu;
+// A single-letter variable or a number (or a bracketed group) - "3x^2" raises x, not 3x
+const VARIABLE = String.raw`(?<![\p{L}\p{M}])[A-Za-zα-ω](?!\p{L})`;
+const OPERAND = String.raw`\([^()]*\)|\d+(?:\.\d+)?|${VARIABLE}`;
+const POWER = new RegExp(String.raw`(${OPERAND})\^\s*(\([^()]*\)|-?[\p{L}\p{N}]+)`, 'gu');
+const ROOT = /([√∛])\s*(\([^()]*\)|[\p{L}\p{N}.]+)/gu;
+// "5/3", "x/2", "(x+1)/(x-1)" - not dates (12/05/2024), and/or, or units (handled before)
+const FRACTION_OPERAND = String.raw`\([^()]*\)|\d+(?:${VARIABLE})?|${VARIABLE}`;
+const FRACTION = new RegExp(String.raw`(?<![\p{L}\p{N}/.])(${FRACTION_OPERAND})\/(${FRACTION_OPERAND})(?![\p{L}\p{N}/])`, 'gu');
+const DECIMAL = /(\d+)\.(\d+)/g;
+// 15/08/1947, 15-08-1947, 15.08.1947 - left whole for the voice (see ssml.js)
+const DATE = /(?<![\p{N}/.-])\d{1,2}([/.-])\d{1,2}\1(?:\d{4}|\d{2})(?![\p{N}])/gu;
+// 1,00,000 and 100,000 - grouping commas, so the voice reads one number
+const GROUPED_NUMBER = /\b\d{1,2}(?:,\d{2})+,\d{3}\b|\b\d{1,3}(?:,\d{3})+\b/g;
+
+// Ends a power, root or fraction already put into words, so "x^2 - 4" still subtracts
+const SPOKEN_END = '\uE002';
+
+// Operators between operands (a variable, number, bracket or finished phrase); a dash between words stays a dash
+const BETWEEN_OPERANDS = (symbol) =>
+  new RegExp(String.raw`(?<=${VARIABLE}|[\p{N})\uE001${SPOKEN_END}])\s*${symbol}\s*(?=${VARIABLE}|[\p{N}(√\uE000])`, 'gu');
+
+// Checked in order, so "<=" and "->" win over "<" and "-"
+const SYMBOLS = [
+  [/->|→|⟶/g, 'yields'],
+  [/<=|≤/g, 'lessOrEqual'],
+  [/>=|≥/g, 'greaterOrEqual'],
+  [/!=|≠/g, 'notEquals'],
+  [/≈/g, 'approx'],
+  [/±/g, 'plusMinus'],
+  [/×/g, 'times'],
+  [BETWEEN_OPERANDS(String.raw`\*`), 'times'],
+  [/÷/g, 'dividedBy'],
+  [/=/g, 'equals'],
+  [/</g, 'lessThan'],
+  [/>/g, 'greaterThan'],
+  [/\+/g, 'plus'],
+  [BETWEEN_OPERANDS('-'), 'minus'],
+  [new RegExp(String.raw`(?<=^|[\s(=,])-(?=\d|${VARIABLE})`, 'gu'), 'negative'],
+  [/%/g, 'percent'],
+  [/°/g, 'degree'],
+  [/π/g, 'pi'],
+  [/∞/g, 'infinity'],
+  [/θ/g, 'theta'],
+  [/α/g, 'alpha'],
+  [/β/g, 'beta'],
+  [/λ/g, 'lambda'],
+  [/[Δδ]/g, 'delta']
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w)\}/g, (match, name) => values[name]);
+}
+
+function unbracket(text) {
+  return text.replace(/^\((.*)\)$/, '$1').trim();
+}
+
+function normalizeNotation(text) {
+  return text
+    .replace(/[₀-₉]/g, digit => SUBSCRIPTS.indexOf(digit))
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻]+/g, digits => `^${[...digits].map(digit => '0123456789-'[SUPERSCRIPTS.indexOf(digit)]).join('')}`)
+    .replace(/−/g, '-')
+    .replace(GROUPED_NUMBER, number => number.replace(/,/g, ''));
+}
+
+class SpeechVerbalizer {
+  constructor({ enabled = process.env.VERBALIZE_MATH !== 'false' } = {}) {
+    this.enabled = enabled;
+    this.unitPatterns = {};
+  }
+
+  supports(language) {
+    return this.enabled && Boolean(VOCABULARY[language]);
+  }
+
+  // "9.8 m/s^2" - a unit right after a number, optionally per another unit and squared/cubed
+  unitPattern(language) {
+    if (!this.unitPatterns[language]) {
+      const symbols = [...Object.keys(VOCABULARY[language].units), ...Object.keys(UNIT_ALIASES)]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+      this.unitPatterns[language] = new RegExp(
+        String.raw`(?<=\d)( ?)(${symbols})(\^[23])?(?:\/(${symbols})(\^[23])?)?(?![\p{L}\p{N}])`, 'gu');
+    }
+    return this.unitPatterns[language];
+  }
+
+  // Text for the voice to read; returns the text unchanged for unsupported languages
+  verbalize(text, language) {
+    if (!text || !this.supports(language)) return text;
+
+    const { words, templates, units, perUnits = {} } = VOCABULARY[language];
+    // Finished phrases are parked behind placeholders so later passes don't reread them
+    // ("Mg3N2" → "Mg 3 N 2" must not turn into 3 newtons)
+    const parked = [];
+    const park = (spoken) => `\uE000${parked.push(spoken) - 1}\uE001`;
+    const say = (key) => ` ${words[key]} `;
+    const speakSymbols = (math) => SYMBOLS.reduce((result, [pattern, key]) => result.replace(pattern, say(key)), math);
+    // Bracketed parts are spoken before they go into a template, while still plain math:
+    // in "√(b^2 - 4ac)" the dash sits between operands, in "b^2 - 4ac का वर्गमूल" it wouldn't
+    const operand = (math) => speakSymbols(unbracket(math)).trim();
+
+    const unitName = (symbol, power, names = units) => {
+      const name = names[UNIT_ALIASES[symbol] || symbol] || units[UNIT_ALIASES[symbol] || symbol];
+      if (power === '^2') return fill(templates.squareUnit, { u: name });
+      if (power === '^3') return fill(templates.cubeUnit, { u: name });
+      return name;
+    };
+
+    let spoken = normalizeNotation(text);
+
+    spoken = spoken.replace(DATE, park);
+
+    spoken = spoken.replace(FORMULA, (match, coefficient, body) => {
+      const symbols = body.match(/[A-Z][a-z]?|\d+/g);
+      if (!/\d/.test(body) || !symbols.every(symbol => /\d/.test(symbol) || ELEMENTS.has(symbol))) {
+        return match;
+      }
+      return park([coefficient, ...symbols].filter(Boolean).join(' '));
+    });
+
+    spoken = spoken.replace(this.unitPattern(language), (match, space, unit, power, perUnit, perPower) => {
+      // "1990s" is a decade, "5 s" and "5s" after a number with a space or a per-unit are seconds
+      if (unit === 's' && !space && !perUnit) return match;
+      const name = unitName(unit, power);
+      return ` ${park(perUnit ? `${name} ${words.per} ${unitName(perUnit, perPower, perUnits)}` : name)}`;
+    });
+
+    spoken = spoken.replace(ROOT, (match, sign, radicand) =>
+      fill(sign === '√' ? templates.root : templates.cubeRoot, { x: operand(radicand) }) + SPOKEN_END);
+
+    spoken = spoken.replace(POWER, (match, base, exponent) => {
+      const x = operand(base);
+      const n = operand(exponent);
+      if (n === '2') return fill(templates.squared, { x }) + SPOKEN_END;
+      if (n === '3') return fill(templates.cubed, { x }) + SPOKEN_END;
+      return fill(templates.power, { x, n }) + SPOKEN_END;
+    });
+
+    spoken = spoken.replace(FRACTION, (match, a, b) => fill(templates.over, { a: operand(a), b: operand(b) }) + SPOKEN_END);
+
+    spoken = spoken.replace(DECIMAL, (match, whole, fraction) =>
+      `${whole} ${words.point} ${[...fraction].join(' ')}`);
+
+    return speakSymbols(spoken)
+      .replace(/\uE000(\d+)\uE001/g, (match, index) => parked[index])
+      .replaceAll(SPOKEN_END, '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ ([,.?!।])/g, '$1')
+      .trim();
+  }
+}
+
+module.exports = { SpeechVerbalizer, VOCABULARY };
@@ -0,0 +1,202 @@
+// Spoken math vocabulary per language code.
+// words: symbols read in place ("+" → plus). templates: word order varies by language, so
+// {x}/{n} are the base and exponent, {a}/{b} the numerator and denominator.
+// units: read after a number; squareUnit/cubeUnit wrap them for m², cm³. perUnits (optional):
+// the form used after "per" when it differs.
+module.exports = {
+  hi: {
+    words: {
+      plus: 'प्लस', minus: 'माइनस', times: 'गुणा', dividedBy: 'भाग', equals: 'बराबर',
+      notEquals: 'बराबर नहीं', approx: 'लगभग बराबर', lessThan: 'लघुतर', greaterThan: 'बृहत्तर',
+      lessOrEqual: 'लघुतर या बराबर', greaterOrEqual: 'बृहत्तर या बराबर', plusMinus: 'प्लस माइनस',
+      negative: 'ऋण', point: 'दशमलव', percent: 'प्रतिशत', degree: 'डिग्री', pi: 'पाई',
+      infinity: 'अनंत', yields: 'से बनता है', per: 'प्रति',
+      theta: 'थीटा', alpha: 'अल्फा', beta: 'बीटा', lambda: 'लैम्ब्डा', delta: 'डेल्टा'
+    },
+    templates: {
+      over: '{a} बटा {b}', squared: '{x} का वर्ग', cubed: '{x} का घन', power: '{x} की घात {n}',
+      root: '{x} का वर्गमूल', cubeRoot: '{x} का घनमूल', squareUnit: 'वर्ग {u}', cubeUnit: 'घन {u}'
+    },
+    units: {
+      m: 'मीटर', cm: 'सेंटीमीटर', mm: 'मिलीमीटर', km: 'किलोमीटर', kg: 'किलोग्राम', g: 'ग्राम',
+      mg: 'मिलीग्राम', s: 'सेकंड', ms: 'मिलीसेकंड', min: 'मिनट', h: 'घंटा', N: 'न्यूटन', J: 'जूल',
+      kJ: 'किलोजूल', W: 'वाट', kW: 'किलोवाट', kWh: 'किलोवाट घंटा', V: 'वोल्ट', mA: 'मिलीएम्पियर',
+      'Ω': 'ओम', K: 'केल्विन', Hz: 'हर्ट्ज़', mol: 'मोल', L: 'लीटर', mL: 'मिलीलीटर', Pa: 'पास्कल',
+      '°C': 'डिग्री सेल्सियस'
+    }
+  },
+  mr: {
+    words: {
+      plus: 'अधिक', minus: 'वजा', times: 'गुणिले', dividedBy: 'भागिले', equals: 'बरोबर',
+      notEquals: 'बरोबर नाही', approx: 'अंदाजे बरोबर', lessThan: 'लहान', greaterThan: 'मोठा',
+      lessOrEqual: 'लहान किंवा बरोबर', greaterOrEqual: 'मोठा किंवा बरोबर', plusMinus: 'अधिक वजा',
+      negative: 'ऋण', point: 'दशांश', percent: 'टक्के', degree: 'अंश', pi: 'पाय',
+      infinity: 'अनंत', yields: 'पासून तयार होते', per: 'प्रति',
+      theta: 'थीटा', alpha: 'अल्फा', beta: 'बीटा', lambda: 'लॅम्डा', delta: 'डेल्टा'
+    },
+    templates: {
+      over: '{a} भागिले {b}', squared: '{x} चा वर्ग', cubed: '{x} चा घन', power: '{x} घात {n}',
+      root: '{x} चे वर्गमूळ', cubeRoot: '{x} चे घनमूळ', squareUnit: 'चौरस {u}', cubeUnit: 'घन {u}'
+    },
+    units: {
+      m: 'मीटर', cm: 'सेंटिमीटर', mm: 'मिलिमीटर', km: 'किलोमीटर', kg: 'किलोग्रॅम', g: 'ग्रॅम',
+      mg: 'मिलिग्रॅम', s: 'सेकंद', ms: 'मिलिसेकंद', min: 'मिनिट', h: 'तास', N: 'न्यूटन', J: 'ज्यूल',
+      kJ: 'किलोज्यूल', W: 'वॅट', kW: 'किलोवॅट', kWh: 'किलोवॅट तास', V: 'व्होल्ट', mA: 'मिलिअँपिअर',
+      'Ω': 'ओहम', K: 'केल्व्हिन', Hz: 'हर्ट्झ', mol: 'मोल', L: 'लिटर', mL: 'मिलिलिटर', Pa: 'पास्कल',
+      '°C': 'अंश सेल्सिअस'
+    }
+  },
+  ta: {
+    words: {
+      plus: 'கூட்டல்', minus: 'கழித்தல்', times: 'பெருக்கல்', dividedBy: 'வகுத்தல்', equals: 'சமம்',
+      notEquals: 'சமமில்லை', approx: 'ஏறக்குறைய சமம்', lessThan: 'குறைவு', greaterThan: 'அதிகம்',
+      lessOrEqual: 'குறைவு அல்லது சமம்', greaterOrEqual: 'அதிகம் அல்லது சமம்', plusMinus: 'கூட்டல் கழித்தல்',
+      negative: 'மைனஸ்', point: 'புள்ளி', percent: 'சதவீதம்', degree: 'டிகிரி', pi: 'பை',
+      infinity: 'முடிவிலி', yields: 'தருகிறது', per: 'பெர்',
+      theta: 'தீட்டா', alpha: 'ஆல்ஃபா', beta: 'பீட்டா', lambda: 'லாம்டா', delta: 'டெல்டா'
+    },
+    templates: {
+      over: '{b} இல் {a}', squared: '{x} இன் வர்க்கம்', cubed: '{x} இன் கனம்', power: '{x} இன் அடுக்கு {n}',
+      root: '{x} இன் வர்க்கமூலம்', cubeRoot: '{x} இன் கனமூலம்', squareUnit: 'சதுர {u}', cubeUnit: 'கன {u}'
+    },
+    units: {
+      m: 'மீட்டர்', cm: 'சென்டிமீட்டர்', mm: 'மில்லிமீட்டர்', km: 'கிலோமீட்டர்', kg: 'கிலோகிராம்',
+      g: 'கிராம்', mg: 'மில்லிகிராம்', s: 'வினாடி', ms: 'மில்லிவினாடி', min: 'நிமிடம்', h: 'மணி',
+      N: 'நியூட்டன்', J: 'ஜூல்', kJ: 'கிலோஜூல்', W: 'வாட்', kW: 'கிலோவாட்', kWh: 'கிலோவாட் மணி',
+      V: 'வோல்ட்', mA: 'மில்லிஆம்பியர்', 'Ω': 'ஓம்', K: 'கெல்வின்', Hz: 'ஹெர்ட்ஸ்', mol: 'மோல்',
+      L: 'லிட்டர்', mL: 'மில்லிலிட்டர்', Pa: 'பாஸ்கல்', '°C': 'டிகிரி செல்சியஸ்'
+    }
+  },
+  te: {
+    words: {
+      plus: 'ప్లస్', minus: 'మైనస్', times: 'గుణించు', dividedBy: 'భాగించు', equals: 'సమానం',
+      notEquals: 'సమానం కాదు', approx: 'దాదాపు సమానం', lessThan: 'తక్కువ', greaterThan: 'ఎక్కువ',
+      lessOrEqual: 'తక్కువ లేదా సమానం', greaterOrEqual: 'ఎక్కువ లేదా సమానం', plusMinus: 'ప్లస్ మైనస్',
+      negative: 'రుణ', point: 'పాయింట్', percent: 'శాతం', degree: 'డిగ్రీ', pi: 'పై',
+      infinity: 'అనంతం', yields: 'ఇస్తుంది', per: 'పర్',
+      theta: 'తీటా', alpha: 'ఆల్ఫా', beta: 'బీటా', lambda: 'లాంబ్డా', delta: 'డెల్టా'
+    },
+    templates: {
+      over: '{a} బై {b}', squared: '{x} వర్గం', cubed: '{x} ఘనం', power: '{x} ఘాతం {n}',
+      root: '{x} వర్గమూలం', cubeRoot: '{x} ఘనమూలం', squareUnit: 'చదరపు {u}', cubeUnit: 'ఘన {u}'
+    },
+    units: {
+      m: 'మీటర్', cm: 'సెంటీమీటర్', mm: 'మిల్లీమీటర్', km: 'కిలోమీటర్', kg: 'కిలోగ్రామ్', g: 'గ్రామ్',
+      mg: 'మిల్లీగ్రామ్', s: 'సెకను', ms: 'మిల్లీసెకను', min: 'నిమిషం', h: 'గంట', N: 'న్యూటన్',
+      J: 'జౌల్', kJ: 'కిలోజౌల్', W: 'వాట్', kW: 'కిలోవాట్', kWh: 'కిలోవాట్ గంట', V: 'వోల్ట్',
+      mA: 'మిల్లీఆంపియర్', 'Ω': 'ఓమ్', K: 'కెల్విన్', Hz: 'హెర్ట్జ్', mol: 'మోల్', L: 'లీటర్',
+      mL: 'మిల్లీలీటర్', Pa: 'పాస్కల్', '°C': 'డిగ్రీ సెల్సియస్'
+    }
+  },
+  bn: {
+    words: {
+      plus: 'যোগ', minus: 'বিয়োগ', times: 'গুণ', dividedBy: 'ভাগ', equals: 'সমান',
+      notEquals: 'সমান নয়', approx: 'প্রায় সমান', lessThan: 'ছোট', greaterThan: 'বড়',
+      lessOrEqual: 'ছোট বা সমান', greaterOrEqual: 'বড় বা সমান', plusMinus: 'যোগ বিয়োগ',
+      negative: 'ঋণাত্মক', point: 'দশমিক', percent: 'শতাংশ', degree: 'ডিগ্রি', pi: 'পাই',
+      infinity: 'অসীম', yields: 'থেকে তৈরি হয়', per: 'প্রতি',
+      theta: 'থিটা', alpha: 'আলফা', beta: 'বিটা', lambda: 'ল্যাম্বডা', delta: 'ডেল্টা'
+    },
+    templates: {
+      over: '{b} ভাগের {a}', squared: '{x} এর বর্গ', cubed: '{x} এর ঘন', power: '{x} এর ঘাত {n}',
+      root: '{x} এর বর্গমূল', cubeRoot: '{x} এর ঘনমূল', squareUnit: 'বর্গ {u}', cubeUnit: 'ঘন {u}'
+    },
+    units: {
+      m: 'মিটার', cm: 'সেন্টিমিটার', mm: 'মিলিমিটার', km: 'কিলোমিটার', kg: 'কিলোগ্রাম', g: 'গ্রাম',
+      mg: 'মিলিগ্রাম', s: 'সেকেন্ড', ms: 'মিলিসেকেন্ড', min: 'মিনিট', h: 'ঘণ্টা', N: 'নিউটন',
+      J: 'জুল', kJ: 'কিলোজুল', W: 'ওয়াট', kW: 'কিলোওয়াট', kWh: 'কিলোওয়াট ঘণ্টা', V: 'ভোল্ট',
+      mA: 'মিলিঅ্যাম্পিয়ার', 'Ω': 'ওহম', K: 'কেলভিন', Hz: 'হার্জ', mol: 'মোল', L: 'লিটার',
+      mL: 'মিলিলিটার', Pa: 'প্যাসকেল', '°C': 'ডিগ্রি সেলসিয়াস'
+    }
+  },
+  gu: {
+    words: {
+      plus: 'વત્તા', minus: 'ઓછા', times: 'ગુણ્યા', dividedBy: 'ભાગ્યા', equals: 'બરાબર',
+      notEquals: 'બરાબર નથી', approx: 'લગભગ બરાબર', lessThan: 'નાનો', greaterThan: 'મોટો',
+      lessOrEqual: 'નાનો અથવા બરાબર', greaterOrEqual: 'મોટો અથવા બરાબર', plusMinus: 'વત્તા ઓછા',
+      negative: 'ઋણ', point: 'દશાંશ', percent: 'ટકા', degree: 'ડિગ્રી', pi: 'પાઈ',
+      infinity: 'અનંત', yields: 'માંથી બને છે', per: 'પ્રતિ',
+      theta: 'થીટા', alpha: 'આલ્ફા', beta: 'બીટા', lambda: 'લેમ્બડા', delta: 'ડેલ્ટા'
+    },
+    templates: {
+      over: '{a} ભાગ્યા {b}', squared: '{x} નો વર્ગ', cubed: '{x} નો ઘન', power: '{x} ની ઘાત {n}',
+      root: '{x} નું વર્ગમૂળ', cubeRoot: '{x} નું ઘનમૂળ', squareUnit: 'ચોરસ {u}', cubeUnit: 'ઘન {u}'
+    },
+    units: {
+      m: 'મીટર', cm: 'સેન્ટિમીટર', mm: 'મિલિમીટર', km: 'કિલોમીટર', kg: 'કિલોગ્રામ', g: 'ગ્રામ',
+      mg: 'મિલિગ્રામ', s: 'સેકન્ડ', ms: 'મિલિસેકન્ડ', min: 'મિનિટ', h: 'કલાક', N: 'ન્યૂટન', J: 'જૂલ',
+      kJ: 'કિલોજૂલ', W: 'વોટ', kW: 'કિલોવોટ', kWh: 'કિલોવોટ કલાક', V: 'વોલ્ટ', mA: 'મિલિએમ્પિયર',
+      'Ω': 'ઓહ્મ', K: 'કેલ્વિન', Hz: 'હર્ટ્ઝ', mol: 'મોલ', L: 'લિટર', mL: 'મિલિલિટર', Pa: 'પાસ્કલ',
+      '°C': 'ડિગ્રી સેલ્સિયસ'
+    }
+  },
+  kn: {
+    words: {
+      plus: 'ಕೂಡಿಸು', minus: 'ಕಳೆ', times: 'ಗುಣಿಸು', dividedBy: 'ಭಾಗಿಸು', equals: 'ಸಮ',
+      notEquals: 'ಸಮವಲ್ಲ', approx: 'ಸರಿಸುಮಾರು ಸಮ', lessThan: 'ಕಡಿಮೆ', greaterThan: 'ಹೆಚ್ಚು',
+      lessOrEqual: 'ಕಡಿಮೆ ಅಥವಾ ಸಮ', greaterOrEqual: 'ಹೆಚ್ಚು ಅಥವಾ ಸಮ', plusMinus: 'ಪ್ಲಸ್ ಮೈನಸ್',
+      negative: 'ಋಣ', point: 'ದಶಮಾಂಶ', percent: 'ಶೇಕಡಾ', degree: 'ಡಿಗ್ರಿ', pi: 'ಪೈ',
+      infinity: 'ಅನಂತ', yields: 'ನೀಡುತ್ತದೆ', per: 'ಪ್ರತಿ',
+      theta: 'ಥೀಟಾ', alpha: 'ಆಲ್ಫಾ', beta: 'ಬೀಟಾ', lambda: 'ಲ್ಯಾಂಬ್ಡಾ', delta: 'ಡೆಲ್ಟಾ'
+    },
+    templates: {
+      over: '{b} ರಲ್ಲಿ {a}', squared: '{x} ನ ವರ್ಗ', cubed: '{x} ನ ಘನ', power: '{x} ನ ಘಾತ {n}',
+      root: '{x} ನ ವರ್ಗಮೂಲ', cubeRoot: '{x} ನ ಘನಮೂಲ', squareUnit: 'ಚದರ {u}', cubeUnit: 'ಘನ {u}'
+    },
+    units: {
+      m: 'ಮೀಟರ್', cm: 'ಸೆಂಟಿಮೀಟರ್', mm: 'ಮಿಲಿಮೀಟರ್', km: 'ಕಿಲೋಮೀಟರ್', kg: 'ಕಿಲೋಗ್ರಾಂ', g: 'ಗ್ರಾಂ',
+      mg: 'ಮಿಲಿಗ್ರಾಂ', s: 'ಸೆಕೆಂಡ್', ms: 'ಮಿಲಿಸೆಕೆಂಡ್', min: 'ನಿಮಿಷ', h: 'ಗಂಟೆ', N: 'ನ್ಯೂಟನ್',
+      J: 'ಜೂಲ್', kJ: 'ಕಿಲೋಜೂಲ್', W: 'ವ್ಯಾಟ್', kW: 'ಕಿಲೋವ್ಯಾಟ್', kWh: 'ಕಿಲೋವ್ಯಾಟ್ ಗಂಟೆ', V: 'ವೋಲ್ಟ್',
+      mA: 'ಮಿಲಿಆಂಪಿಯರ್', 'Ω': 'ಓಮ್', K: 'ಕೆಲ್ವಿನ್', Hz: 'ಹರ್ಟ್ಜ್', mol: 'ಮೋಲ್', L: 'ಲೀಟರ್',
+      mL: 'ಮಿಲಿಲೀಟರ್', Pa: 'ಪ್ಯಾಸ್ಕಲ್', '°C': 'ಡಿಗ್ರಿ ಸೆಲ್ಸಿಯಸ್'
+    }
+  },
+  ml: {
+    words: {
+      plus: 'പ്ലസ്', minus: 'മൈനസ്', times: 'ഗുണം', dividedBy: 'ഹരണം', equals: 'സമം',
+      notEquals: 'സമമല്ല', approx: 'ഏകദേശം സമം', lessThan: 'ചെറുത്', greaterThan: 'വലുത്',
+      lessOrEqual: 'ചെറുത് അല്ലെങ്കിൽ സമം', greaterOrEqual: 'വലുത് അല്ലെങ്കിൽ സമം', plusMinus: 'പ്ലസ് മൈനസ്',
+      negative: 'ന്യൂന', point: 'ദശാംശം', percent: 'ശതമാനം', degree: 'ഡിഗ്രി', pi: 'പൈ',
+      infinity: 'അനന്തം', yields: 'നൽകുന്നു', per: 'പെർ',
+      theta: 'തീറ്റ', alpha: 'ആൽഫ', beta: 'ബീറ്റ', lambda: 'ലാംഡ', delta: 'ഡെൽറ്റ'
+    },
+    templates: {
+      over: '{a} ബൈ {b}', squared: '{x} ന്റെ വർഗം', cubed: '{x} ന്റെ ഘനം', power: '{x} ന്റെ കൃതി {n}',
+      root: '{x} ന്റെ വർഗമൂലം', cubeRoot: '{x} ന്റെ ഘനമൂലം', squareUnit: 'ചതുരശ്ര {u}', cubeUnit: 'ഘന {u}'
+    },
+    units: {
+      m: 'മീറ്റർ', cm: 'സെന്റിമീറ്റർ', mm: 'മില്ലിമീറ്റർ', km: 'കിലോമീറ്റർ', kg: 'കിലോഗ്രാം', g: 'ഗ്രാം',
+      mg: 'മില്ലിഗ്രാം', s: 'സെക്കൻഡ്', ms: 'മില്ലിസെക്കൻഡ്', min: 'മിനിറ്റ്', h: 'മണിക്കൂർ',
+      N: 'ന്യൂട്ടൺ', J: 'ജൂൾ', kJ: 'കിലോജൂൾ', W: 'വാട്ട്', kW: 'കിലോവാട്ട്', kWh: 'കിലോവാട്ട് മണിക്കൂർ',
+      V: 'വോൾട്ട്', mA: 'മില്ലിആമ്പിയർ', 'Ω': 'ഓം', K: 'കെൽവിൻ', Hz: 'ഹെർട്സ്', mol: 'മോൾ',
+      L: 'ലിറ്റർ', mL: 'മില്ലിലിറ്റർ', Pa: 'പാസ്കൽ', '°C': 'ഡിഗ്രി സെൽഷ്യസ്'
+    }
+  },
+  en: {
+    words: {
+      plus: 'plus', minus: 'minus', times: 'times', dividedBy: 'divided by', equals: 'equals',
+      notEquals: 'is not equal to', approx: 'is approximately', lessThan: 'is less than',
+      greaterThan: 'is greater than', lessOrEqual: 'is less than or equal to',
+      greaterOrEqual: 'is greater than or equal to', plusMinus: 'plus or minus',
+      negative: 'minus', point: 'point', percent: 'percent', degree: 'degrees', pi: 'pi',
+      infinity: 'infinity', yields: 'gives', per: 'per',
+      theta: 'theta', alpha: 'alpha', beta: 'beta', lambda: 'lambda', delta: 'delta'
+    },
+    templates: {
+      over: '{a} over {b}', squared: '{x} squared', cubed: '{x} cubed', power: '{x} to the power {n}',
+      root: 'the square root of {x}', cubeRoot: 'the cube root of {x}', squareUnit: 'square {u}', cubeUnit: 'cubic {u}'
+    },
+    units: {
+      m: 'metres', cm: 'centimetres', mm: 'millimetres', km: 'kilometres', kg: 'kilograms', g: 'grams',
+      mg: 'milligrams', s: 'seconds', ms: 'milliseconds', min: 'minutes', h: 'hours', N: 'newtons',
+      J: 'joules', kJ: 'kilojoules', W: 'watts', kW: 'kilowatts', kWh: 'kilowatt hours', V: 'volts',
+      mA: 'milliamperes', 'Ω': 'ohms', K: 'kelvin', Hz: 'hertz', mol: 'moles', L: 'litres',
+      mL: 'millilitres', Pa: 'pascals', '°C': 'degrees Celsius'
+    },
+    // After "per": metres per second, not per seconds
+    perUnits: {
+      m: 'metre', cm: 'centimetre', km: 'kilometre', kg: 'kilogram', g: 'gram', s: 'second',
+      min: 'minute', h: 'hour', mol: 'mole', L: 'litre', mL: 'millilitre'
+    }
+  }
+};
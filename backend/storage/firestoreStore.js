@@ -0,0 +1,75 @@
+// Firestore document store (also works against the Firestore emulator, see config/firebase.js)
+class FirestoreStore {
+  constructor() {
+    // Required lazily so the other stores never touch Firebase
+    this.firebase = require('../config/firebase');
+    this.name = 'firestore';
+  }
+
+  // Firestore keeps Timestamps; the rest of the app works with Dates
+  toFirestore(data) {
+    const { Timestamp } = this.firebase;
+    return Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, value instanceof Date ? Timestamp.fromDate(value) : value]));
+  }
+
+  fromFirestore(snapshot) {
+    const { Timestamp } = this.firebase;
+    const data = Object.fromEntries(Object.entries(snapshot.data())
+      .map(([key, value]) => [key, value instanceof Timestamp ? value.toDate() : value]));
+    return { id: snapshot.id, ...data };
+  }
+
+  async insert(collectionName, data) {
+    const { db, collection, addDoc } = this.firebase;
+    const docRef = await addDoc(collection(db, collectionName), this.toFirestore(data));
+    return { id: docRef.id, ...data };
+  }
+
+  async set(collectionName, id, data, { merge = false } = {}) {
+    const { db, doc, setDoc } = this.firebase;
+    await setDoc(doc(db, collectionName, id), this.toFirestore(data), { merge });
+  }
+
+  // Runs in a transaction, so Firestore retries `changes` if the document moved underneath it
+  async update(collectionName, id, changes) {
+    const { db, doc, runTransaction } = this.firebase;
+    const docRef = doc(db, collectionName, id);
+
+    return runTransaction(db, async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      if (!docSnap.exists()) return null;
+
+      const current = this.fromFirestore(docSnap);
+      const update = changes(current);
+      transaction.set(docRef, this.toFirestore(update), { merge: true });
+      return { ...current, ...update };
+    });
+  }
+
+  async get(collectionName, id) {
+    const { db, doc, getDoc } = this.firebase;
+    const docSnap = await getDoc(doc(db, collectionName, id));
+    return docSnap.exists() ? this.fromFirestore(docSnap) : null;
+  }
+
+  async find(collectionName, { where: filters = [], orderBy: order, limit: max } = {}) {
+    const { db, collection, getDocs, query, where, orderBy, limit, Timestamp } = this.firebase;
+
+    const constraints = filters.map(([field, op, value]) =>
+      where(field, op, value instanceof Date ? Timestamp.fromDate(value) : value));
+    if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+    if (max) constraints.push(limit(max));
+
+    const snapshot = await getDocs(query(collection(db, collectionName), ...constraints));
+    return snapshot.docs.map(docSnap => this.fromFirestore(docSnap));
+  }
+
+  async remove(collectionName, id) {
+    const { db, doc, deleteDoc } = this.firebase;
+    await deleteDoc(doc(db, collectionName, id));
+  }
+}
+
+module.exports = FirestoreStore;
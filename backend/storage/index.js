@@ -0,0 +1,44 @@
+// Storage layer - one document store shared by the whole backend
+//
+// STORAGE_BACKEND  firestore | sqlite | memory (default: firestore)
+// SQLITE_PATH      database file for the sqlite backend (default: backend/data/tara.db)
+//
+// Stores expose insert/set/get/find/remove over named collections; `find` takes
+// Firestore-style filters: { where: [[field, op, value]], orderBy: [field, dir], limit }.
+// `update(collection, id, changes)` is an atomic read-modify-write: `changes(doc)` returns the
+// fields to merge into the current document, and update resolves to the updated document
+// (null if there is none).
+const FirestoreStore = require('./firestoreStore');
+const SqliteStore = require('./sqliteStore');
+const MemoryStore = require('./memoryStore');
+
+const STORES = {
+  firestore: FirestoreStore,
+  sqlite: SqliteStore,
+  memory: MemoryStore
+};
+
+let sharedStore = null;
+
+function createStore(name = process.env.STORAGE_BACKEND || 'firestore', options = {}) {
+  const Store = STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+function getStore() {
+  if (!sharedStore) {
+    sharedStore = createStore();
+    console.log(`✅ Storage backend initialized: ${sharedStore.name}`);
+  }
+  return sharedStore;
+}
+
+// Swap the shared store, e.g. for a MemoryStore in tests
+function setStore(store) {
+  sharedStore = store;
+}
+
+module.exports = { createStore, getStore, setStore, STORES };
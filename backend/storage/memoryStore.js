@@ -0,0 +1,59 @@
+// In-memory document store - for tests and throwaway dev servers, nothing survives a restart
+const crypto = require('crypto');
+const { matchesFilters, sortAndLimit } = require('./query');
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  async insert(collectionName, data) {
+    const id = crypto.randomUUID();
+    this.getCollection(collectionName).set(id, structuredClone(data));
+    return { id, ...structuredClone(data) };
+  }
+
+  async set(collectionName, id, data, { merge = false } = {}) {
+    const docs = this.getCollection(collectionName);
+    const existing = merge ? docs.get(id) || {} : {};
+    docs.set(id, { ...existing, ...structuredClone(data) });
+  }
+
+  // Read and write happen in one synchronous step, so concurrent updates can't interleave
+  async update(collectionName, id, changes) {
+    const docs = this.getCollection(collectionName);
+    const data = docs.get(id);
+    if (!data) return null;
+
+    const updated = { ...data, ...structuredClone(changes({ id, ...structuredClone(data) })) };
+    docs.set(id, updated);
+    return { id, ...structuredClone(updated) };
+  }
+
+  async get(collectionName, id) {
+    const data = this.getCollection(collectionName).get(id);
+    return data ? { id, ...structuredClone(data) } : null;
+  }
+
+  async find(collectionName, options = {}) {
+    const docs = [...this.getCollection(collectionName).entries()]
+      .map(([id, data]) => ({ id, ...structuredClone(data) }))
+      .filter(doc => matchesFilters(doc, options.where));
+
+    return sortAndLimit(docs, options);
+  }
+
+  async remove(collectionName, id) {
+    this.getCollection(collectionName).delete(id);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,51 @@
+// Shared query helpers for stores that filter in JavaScript
+//
+// Filters use Firestore's shape: [[field, op, value], ...] with op one of
+// ==, !=, <, <=, >, >=, in
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in'];
+
+function comparable(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function matchesFilter(doc, [field, op, value]) {
+  const actual = comparable(doc[field]);
+  const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case '<': return actual !== undefined && actual < expected;
+    case '<=': return actual !== undefined && actual <= expected;
+    case '>': return actual !== undefined && actual > expected;
+    case '>=': return actual !== undefined && actual >= expected;
+    case 'in': return expected.includes(actual);
+    default: throw new Error(`Unsupported query operator "${op}". Expected one of: ${OPERATORS.join(', ')}`);
+  }
+}
+
+function matchesFilters(doc, filters = []) {
+  return filters.every(filter => matchesFilter(doc, filter));
+}
+
+// orderBy: [field, 'asc' | 'desc']
+function sortAndLimit(docs, { orderBy, limit } = {}) {
+  let results = docs;
+
+  if (orderBy) {
+    const [field, direction = 'asc'] = orderBy;
+    const sign = direction === 'desc' ? -1 : 1;
+    results = [...results].sort((a, b) => {
+      const left = comparable(a[field]);
+      const right = comparable(b[field]);
+      if (left === right) return 0;
+      if (left === undefined) return 1;
+      if (right === undefined) return -1;
+      return left < right ? -sign : sign;
+    });
+  }
+
+  return limit ? results.slice(0, limit) : results;
+}
+
+module.exports = { OPERATORS, matchesFilter, matchesFilters, sortAndLimit };
@@ -0,0 +1,124 @@
+// SQLite document store - local persistence without a Firebase project
+//
+// Every collection lives in one `documents` table as JSON; filters run through json_extract.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { OPERATORS } = require('./query');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+// Match how JSON.stringify/json_extract represent values
+function toSqlValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fieldPath(field) {
+  if (!/^[A-Za-z0-9_.]+$/.test(field)) {
+    throw new Error(`Invalid field name "${field}"`);
+  }
+  return `$.${field}`;
+}
+
+class SqliteStore {
+  constructor({ filename = process.env.SQLITE_PATH || path.join(__dirname, '../data/tara.db') } = {}) {
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.name = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+
+    this.upsertStatement = this.db.prepare(
+      'INSERT INTO documents (collection, id, data) VALUES (?, ?, ?) ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data'
+    );
+    this.getStatement = this.db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?');
+    this.deleteStatement = this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+    this.updateTransaction = this.db.transaction((collectionName, id, changes) => {
+      const row = this.getStatement.get(collectionName, id);
+      if (!row) return null;
+
+      const data = JSON.parse(row.data, reviveDates);
+      const updated = { ...data, ...changes({ id, ...data }) };
+      this.upsertStatement.run(collectionName, id, JSON.stringify(updated));
+      return { id, ...JSON.parse(JSON.stringify(updated), reviveDates) };
+    });
+  }
+
+  async insert(collectionName, data) {
+    const id = crypto.randomUUID();
+    this.upsertStatement.run(collectionName, id, JSON.stringify(data));
+    return { id, ...JSON.parse(JSON.stringify(data), reviveDates) };
+  }
+
+  async set(collectionName, id, data, { merge = false } = {}) {
+    const existing = merge ? await this.get(collectionName, id) : null;
+    const { id: _existingId, ...existingData } = existing || {};
+    this.upsertStatement.run(collectionName, id, JSON.stringify({ ...existingData, ...data }));
+  }
+
+  async update(collectionName, id, changes) {
+    return this.updateTransaction(collectionName, id, changes);
+  }
+
+  async get(collectionName, id) {
+    const row = this.getStatement.get(collectionName, id);
+    return row ? { id, ...JSON.parse(row.data, reviveDates) } : null;
+  }
+
+  async find(collectionName, { where = [], orderBy, limit } = {}) {
+    const clauses = ['collection = ?'];
+    const params = [collectionName];
+
+    for (const [field, op, value] of where) {
+      if (!OPERATORS.includes(op)) {
+        throw new Error(`Unsupported query operator "${op}". Expected one of: ${OPERATORS.join(', ')}`);
+      }
+
+      if (op === 'in') {
+        clauses.push(`json_extract(data, ?) IN (${value.map(() => '?').join(', ')})`);
+        params.push(fieldPath(field), ...value.map(toSqlValue));
+      } else {
+        clauses.push(`json_extract(data, ?) ${op === '==' ? '=' : op} ?`);
+        params.push(fieldPath(field), toSqlValue(value));
+      }
+    }
+
+    let sql = `SELECT id, data FROM documents WHERE ${clauses.join(' AND ')}`;
+    if (orderBy) {
+      const [field, direction = 'asc'] = orderBy;
+      sql += ` ORDER BY json_extract(data, ?) ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+      params.push(fieldPath(field));
+    }
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return this.db.prepare(sql).all(...params)
+      .map(row => ({ id: row.id, ...JSON.parse(row.data, reviveDates) }));
+  }
+
+  async remove(collectionName, id) {
+    this.deleteStatement.run(collectionName, id);
+  }
+}
+
+module.exports = SqliteStore;
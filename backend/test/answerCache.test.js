@@ -0,0 +1,69 @@
+// Answer cache keys and near-duplicate lookups
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnswerCache, normalizeQuestion } = require('../services/cache/answerCache');
+
+const BUCKET = { language: 'en', subject: 'math', grade: '8', board: null };
+
+function createCache(options = {}) {
+  return new AnswerCache({ ttlMs: 60000, maxEntries: 10, similarityThreshold: 0.5, ...options });
+}
+
+test('questions differing only in operators or digits get different keys', () => {
+  const pairs = [
+    ['Solve x^2 - 5x + 6 = 0', 'Solve x^2 + 5x - 6 = 0'],
+    ['what is 5/3', 'what is 5*3'],
+    ['what is 5!', 'what is 5'],
+    ['Is 2 < 3?', 'Is 2 > 3?'],
+    ['What is 2.5 + 1?', 'What is 25 + 1?']
+  ];
+
+  for (const [a, b] of pairs) {
+    assert.notEqual(normalizeQuestion(a), normalizeQuestion(b), `${a} / ${b}`);
+  }
+});
+
+test('case, sentence punctuation and spacing do not change the key', () => {
+  assert.equal(normalizeQuestion('Solve: x^2 - 5x + 6 = 0?'), normalizeQuestion('solve  x^2-5x+6=0'));
+  assert.equal(normalizeQuestion('What is √16?'), normalizeQuestion('what is √ 16'));
+  assert.equal(normalizeQuestion('x − 1 = 0'), normalizeQuestion('x - 1 = 0'));
+  assert.equal(normalizeQuestion('प्रकाश संश्लेषण क्या है।'), normalizeQuestion('प्रकाश संश्लेषण क्या है?'));
+});
+
+test('near-duplicates never match across different formulas', () => {
+  const cache = createCache({ similarityThreshold: 0.1 });
+  cache.set({ ...BUCKET, question: 'Solve x^2 - 5x + 6 = 0' }, { answer: 'x = 2, 3' });
+  cache.set({ ...BUCKET, question: 'what is 5/3' }, { answer: '1.67' });
+
+  assert.equal(cache.get({ ...BUCKET, question: 'Solve x^2 + 5x - 6 = 0' }), undefined);
+  assert.equal(cache.get({ ...BUCKET, question: 'what is 5*3' }), undefined);
+  assert.equal(cache.get({ ...BUCKET, question: 'please solve x^2 - 5x + 6 = 0' }).answer, 'x = 2, 3');
+  assert.equal(cache.getStats().nearHits, 1);
+});
+
+test('an expired near-duplicate falls back to the next closest live one', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createCache({ ttlMs: 1000 });
+
+  cache.set({ ...BUCKET, question: 'what is the area of a circle' }, { answer: 'older' });
+  now += 600;
+  cache.set({ ...BUCKET, question: 'what is area of a circle' }, { answer: 'newer' });
+  now += 600; // The closer question has expired, the other has not
+
+  const result = cache.get({ ...BUCKET, question: 'what is the area of circle' });
+  assert.equal(result.answer, 'newer');
+  assert.equal(cache.getStats().nearHits, 1);
+});
+
+test('nearHits only counts answers actually returned', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createCache({ ttlMs: 1000 });
+
+  cache.set({ ...BUCKET, question: 'what is photosynthesis' }, { answer: 'expired' });
+  now += 2000;
+
+  assert.equal(cache.get({ ...BUCKET, question: 'what is photosynthesis in plants' }), undefined);
+  assert.equal(cache.getStats().nearHits, 0);
+});
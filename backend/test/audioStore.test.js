@@ -0,0 +1,71 @@
+// Audio retention settings (a zero or negative window would wipe every stored answer) and
+// signed local audio links
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetentionHours, startAudioSweeper } = require('../services/audioStore');
+const LocalAudioStore = require('../services/audioStore/localAudioStore');
+
+test('retention hours default to 24 and accept positive numbers', () => {
+  assert.equal(parseRetentionHours(undefined), 24);
+  assert.equal(parseRetentionHours(''), 24);
+  assert.equal(parseRetentionHours('48'), 48);
+  assert.equal(parseRetentionHours(0.5), 0.5);
+});
+
+test('zero, negative and non-numeric retention is rejected', () => {
+  for (const value of [0, '0', -1, '-24', 'abc', '24h', Infinity]) {
+    assert.throws(() => parseRetentionHours(value), /positive number of hours/, `accepted ${value}`);
+  }
+});
+
+test('the sweeper refuses to start with an invalid retention window', () => {
+  let swept = false;
+  const store = { sweep: async () => { swept = true; return 0; } };
+
+  assert.throws(() => startAudioSweeper(store, { retentionHours: 0 }), /positive number of hours/);
+  assert.equal(swept, false);
+});
+
+describe('signed local audio links', () => {
+  const store = new LocalAudioStore({ directory: '/tmp/unused', publicBaseUrl: 'https://tara.example/audio', urlSecret: 'secret', urlTtlSeconds: 60 });
+
+  // Runs the middleware on a request for `url`; resolves with the status it answered, or 'next'
+  function verify(url, audioStore = store) {
+    const { pathname, searchParams } = new URL(url);
+    const req = { path: pathname, query: Object.fromEntries(searchParams) };
+    return new Promise(resolve => {
+      const res = { status: code => ({ json: () => resolve(code) }) };
+      audioStore.verifyMiddleware()(req, res, () => resolve('next'));
+    });
+  }
+
+  test('a signed link passes until it expires', async (t) => {
+    const url = await store.url('answer.mp3');
+    assert.match(url, /^https:\/\/tara\.example\/audio\/answer\.mp3\?expires=\d+&signature=[0-9a-f]{64}$/);
+    assert.equal(await verify(url), 'next');
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61 * 1000);
+    assert.equal(await verify(url), 403);
+  });
+
+  test('a link for another file, or with a changed expiry, is rejected', async () => {
+    const url = await store.url('answer.mp3');
+    assert.equal(await verify(url.replace('answer.mp3', 'other.mp3')), 403);
+    assert.equal(await verify(url.replace(/expires=(\d+)/, (_, expires) => `expires=${Number(expires) + 3600}`)), 403);
+    assert.equal(await verify('https://tara.example/audio/answer.mp3'), 403);
+  });
+
+  test('a signature of the same length in characters but not bytes is rejected, not a crash', async () => {
+    const url = await store.url('answer.mp3');
+    const multibyte = url.replace(/signature=[0-9a-f]+/, `signature=${'é'.repeat(64)}`);
+    assert.equal(await verify(multibyte), 403);
+  });
+
+  test('without a secret, links are unsigned and always pass', async () => {
+    const unsigned = new LocalAudioStore({ directory: '/tmp/unused', publicBaseUrl: 'https://tara.example/audio', urlSecret: '' });
+    const url = await unsigned.url('answer.mp3');
+    assert.equal(url, 'https://tara.example/audio/answer.mp3');
+    assert.equal(await verify(url, unsigned), 'next');
+  });
+});
@@ -0,0 +1,74 @@
+// Conversation memory: history within the token budget, summaries and ordered writes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConversationMemory } = require('../services/conversationMemory');
+const ConversationModel = require('../models/conversation');
+const MemoryStore = require('../storage/memoryStore');
+
+function createMemory(options = {}) {
+  return new ConversationMemory({ conversationModel: new ConversationModel(new MemoryStore()), ...options });
+}
+
+function turn(n, answer = `Answer ${n}`) {
+  return { question: `Question ${n}`, answer, language: 'en', subject: 'physics', timestamp: new Date() };
+}
+
+test('a new session has no turns', async () => {
+  assert.deepEqual(await createMemory().load('session-1'), { sessionId: 'session-1', turns: [], summary: '' });
+});
+
+test('turns sent together are all kept, in order', async () => {
+  const memory = createMemory();
+  await Promise.all([1, 2, 3, 4].map(n => memory.remember('session-1', turn(n))));
+
+  const { turns } = await memory.load('session-1');
+  assert.deepEqual(turns.map(({ question }) => question), ['Question 1', 'Question 2', 'Question 3', 'Question 4']);
+});
+
+test('a queued forget runs after the writes before it', async () => {
+  const memory = createMemory();
+  memory.remember('session-1', turn(1));
+  await memory.forget('session-1');
+  assert.deepEqual((await memory.load('session-1')).turns, []);
+});
+
+test('turns beyond the limit are folded into the summary', async () => {
+  const summaries = [];
+  const memory = createMemory({
+    maxStoredTurns: 2,
+    summarize: async (previous, turns) => {
+      summaries.push(turns.map(({ question }) => question));
+      return `Asked about ${turns.map(({ question }) => question).join(', ')}`;
+    }
+  });
+  for (const n of [1, 2, 3]) await memory.remember('session-1', turn(n));
+
+  const conversation = await memory.load('session-1');
+  assert.deepEqual(conversation.turns.map(({ question }) => question), ['Question 2', 'Question 3']);
+  assert.equal(conversation.summary, 'Asked about Question 1');
+  assert.deepEqual(summaries, [['Question 1']]);
+});
+
+test('a failing summarizer falls back to the questions asked', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const memory = createMemory({ maxStoredTurns: 1, summarize: async () => { throw new Error('offline'); } });
+  for (const n of [1, 2]) await memory.remember('session-1', turn(n));
+
+  assert.equal((await memory.load('session-1')).summary, '- Question 1');
+});
+
+test('history keeps the newest turns within the budget and summarizes the rest', () => {
+  const memory = createMemory({ tokenBudget: 20 });
+  const messages = memory.buildHistoryMessages({
+    summary: '',
+    turns: [turn(1, 'x'.repeat(200)), turn(2), turn(3)]
+  });
+
+  assert.equal(messages[0].role, 'system');
+  assert.match(messages[0].content, /Earlier questions from the student:\n- Question 1/);
+  assert.deepEqual(messages.slice(1).map(({ content }) => content), ['Question 2', 'Answer 2', 'Question 3', 'Answer 3']);
+});
+
+test('an empty conversation adds no messages', () => {
+  assert.deepEqual(createMemory().buildHistoryMessages(null), []);
+});
@@ -0,0 +1,117 @@
+// Curriculum grounding: BM25 search, textbook passages and the citations returned with answers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BM25Index, tokenize } = require('../services/curriculum/bm25Index');
+const { CurriculumRetriever, toCitation, writeIndexFile } = require('../services/curriculum');
+const { extractPages, splitPassages, chapterFromFilename } = require('../services/curriculum/textExtract');
+
+const PASSAGES = [
+  { text: 'Photosynthesis is the process by which green plants make food using sunlight.', board: 'cbse', grade: 7, subject: 'biology', chapter: 'Nutrition in Plants', chapterNumber: 1, page: 2, source: 'class7-science.pdf' },
+  { text: 'Friction opposes motion between two surfaces in contact.', board: 'cbse', grade: 8, subject: 'physics', chapter: 'Friction', chapterNumber: 12, page: 138, source: 'class8-science.pdf' },
+  { text: 'प्रकाश संश्लेषण में पौधे सूर्य के प्रकाश से भोजन बनाते हैं।', board: 'cbse', grade: 7, subject: 'biology', chapter: 'पादपों में पोषण', chapterNumber: 1, page: 3, source: 'class7-vigyan.pdf' },
+  { text: 'Photosynthesis happens in the chloroplasts of leaf cells.', board: 'icse', grade: 7, subject: 'biology', chapter: 'Plant Life', chapterNumber: 2, page: 15, source: 'icse7-biology.pdf' }
+];
+
+// A retriever over an index file in a scratch directory, removed when the test ends
+function createRetriever(t, passages = PASSAGES, options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tara-curriculum-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const indexPath = path.join(directory, 'index.json');
+  writeIndexFile(indexPath, { passages });
+  return new CurriculumRetriever({ indexPath, topK: 3, minScore: 0, defaultBoard: 'cbse', ...options });
+}
+
+test('tokens keep Indic vowel signs and drop English stopwords', () => {
+  assert.deepEqual(tokenize('What is the Force of Friction?'), ['force', 'friction']);
+  assert.deepEqual(tokenize('प्रकाश संश्लेषण क्या है'), ['प्रकाश', 'संश्लेषण', 'क्या', 'है']);
+  assert.deepEqual(tokenize('Newton\'s 3rd law'), ['newton', '3rd', 'law']);
+});
+
+test('passages that share rarer words with the question rank first', () => {
+  const index = new BM25Index(PASSAGES);
+  const results = index.search('How do plants make food in photosynthesis?');
+
+  assert.equal(results[0].passage, PASSAGES[0]);
+  assert.ok(results.every((result, i) => i === 0 || result.score <= results[i - 1].score));
+  assert.ok(!results.some(({ passage }) => passage === PASSAGES[1])); // No shared words
+});
+
+test('search honours the filter, limit and minimum score', () => {
+  const index = new BM25Index(PASSAGES);
+
+  const icse = index.search('photosynthesis', { filter: passage => passage.board === 'icse' });
+  assert.deepEqual(icse.map(({ passage }) => passage.source), ['icse7-biology.pdf']);
+
+  assert.equal(index.search('photosynthesis', { limit: 1 }).length, 1);
+  assert.deepEqual(index.search('photosynthesis', { minScore: 100 }), []);
+  assert.deepEqual(index.search('what is the'), []); // Only stopwords
+  assert.deepEqual(new BM25Index().search('photosynthesis'), []);
+});
+
+test('retrieval is limited to the board, class and subject and numbered for citation', (t) => {
+  const retriever = createRetriever(t);
+
+  const passages = retriever.retrieve('photosynthesis', { grade: '7', subject: 'biology' });
+  assert.deepEqual(passages.map(passage => [passage.index, passage.source]), [[1, 'class7-science.pdf']]);
+
+  const icse = retriever.retrieve('photosynthesis', { board: 'icse', grade: 7 });
+  assert.deepEqual(icse.map(passage => passage.source), ['icse7-biology.pdf']);
+
+  assert.deepEqual(retriever.retrieve('photosynthesis', { grade: '8' }), []);
+  assert.deepEqual(retriever.retrieve('friction', { subject: 'biology' }), []);
+  assert.equal(retriever.retrieve('friction', { subject: 'general' }).length, 1);
+  assert.equal(retriever.retrieve('प्रकाश संश्लेषण क्या है', { grade: 7 })[0].source, 'class7-vigyan.pdf');
+});
+
+test('without an index file nothing is retrieved', () => {
+  const retriever = new CurriculumRetriever({ indexPath: path.join(os.tmpdir(), 'tara-missing-curriculum', 'index.json') });
+  assert.equal(retriever.size, 0);
+  assert.deepEqual(retriever.retrieve('photosynthesis'), []);
+});
+
+test('reloading picks up a rebuilt index', (t) => {
+  const retriever = createRetriever(t, PASSAGES.slice(0, 1));
+  assert.equal(retriever.size, 1);
+
+  writeIndexFile(retriever.indexPath, { passages: PASSAGES });
+  assert.equal(retriever.load(), PASSAGES.length);
+  assert.equal(retriever.retrieve('friction', { grade: 8 }).length, 1);
+});
+
+test('citations carry the chapter and page but not the passage text', (t) => {
+  const [passage] = createRetriever(t).retrieve('photosynthesis', { grade: 7, subject: 'biology' });
+  assert.deepEqual(toCitation(passage), {
+    index: 1,
+    board: 'cbse',
+    grade: 7,
+    subject: 'biology',
+    chapter: 'Nutrition in Plants',
+    chapterNumber: 1,
+    page: 2,
+    source: 'class7-science.pdf'
+  });
+});
+
+test('chapter names come from the textbook file name', () => {
+  assert.deepEqual(chapterFromFilename('/books/08-cell_structure.pdf'), { chapterNumber: 8, chapter: 'Cell Structure' });
+  assert.deepEqual(chapterFromFilename('force-and-pressure.txt'), { chapterNumber: null, chapter: 'Force and Pressure' });
+});
+
+test('text files are split into pages on form feeds and into overlapping passages', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tara-textbook-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, '01-motion.txt');
+  fs.writeFileSync(filePath, 'Page one\ntext.\fPage   two text.\f\n');
+
+  assert.deepEqual(await extractPages(filePath), [{ page: 1, text: 'Page one text.' }, { page: 2, text: 'Page two text.' }]);
+  await assert.rejects(extractPages(path.join(directory, 'notes.docx')), /Unsupported textbook file type ".docx"/);
+
+  const words = Array.from({ length: 300 }, (_, i) => `w${i}`);
+  const passages = splitPassages([{ page: 4, text: words.join(' ') }]);
+  assert.deepEqual(passages.map(passage => passage.text.split(' ').length), [180, 160]);
+  assert.equal(passages[1].text.split(' ')[0], 'w140');
+  assert.ok(passages.every(passage => passage.page === 4));
+});
@@ -0,0 +1,75 @@
+// Interaction records: re-ask attempts and feedback events kept per interaction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InteractionModel = require('../models/interaction');
+const MemoryStore = require('../storage/memoryStore');
+
+async function createInteraction() {
+  const model = new InteractionModel(new MemoryStore());
+  const { id } = await model.create({ sessionId: 'session-1', question: 'What is gravity?', answer: 'A force.' });
+  return { model, id };
+}
+
+test('a retry records its variant and marks the concept harder', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model, id } = await createInteraction();
+
+  const first = await model.recordRetry(id, { variant: 'simpler', answer: 'It pulls things down.' });
+  assert.equal(first.retryCount, 1);
+  assert.equal(first.conceptDifficulty, 'moderate');
+  assert.deepEqual(first.variants.map(attempt => attempt.variant), ['simpler']);
+
+  const second = await model.recordRetry(id, { variant: 'example', answer: 'An apple falls.' });
+  assert.equal(second.retryCount, 2);
+  assert.equal(second.conceptDifficulty, 'hard');
+  assert.deepEqual(second.variants.map(attempt => attempt.variant), ['simpler', 'example']);
+});
+
+test('concurrent retries each keep their variant', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model, id } = await createInteraction();
+
+  await Promise.all(['simpler', 'example', 'analogy'].map(variant => model.recordRetry(id, { variant })));
+
+  const interaction = await model.getById(id);
+  assert.equal(interaction.retryCount, 3);
+  assert.deepEqual(interaction.variants.map(attempt => attempt.variant).sort(), ['analogy', 'example', 'simpler']);
+});
+
+test('retrying an unknown interaction returns null', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model } = await createInteraction();
+  assert.equal(await model.recordRetry('missing', { variant: 'simpler' }), null);
+});
+
+test('every feedback event is kept and the latest fills the top-level fields', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model, id } = await createInteraction();
+
+  await model.addFeedback(id, { userRating: 2, wasHelpful: false, flaggedForReview: true });
+  const interaction = await model.addFeedback(id, { userRating: 5, wasHelpful: true, variant: 'simpler' });
+
+  assert.equal(interaction.feedbackCount, 2);
+  assert.deepEqual(interaction.feedback.map(event => event.userRating), [2, 5]);
+  assert.equal(interaction.userRating, 5);
+  assert.equal(interaction.wasHelpful, true);
+  assert.equal(interaction.flaggedForReview, false);
+  assert.ok(interaction.feedback.every(event => event.timestamp instanceof Date));
+});
+
+test('concurrent feedback keeps every event', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model, id } = await createInteraction();
+
+  await Promise.all([1, 2, 3, 4].map(userRating => model.addFeedback(id, { userRating })));
+
+  const interaction = await model.getById(id);
+  assert.equal(interaction.feedbackCount, 4);
+  assert.deepEqual(interaction.feedback.map(event => event.userRating).sort(), [1, 2, 3, 4]);
+});
+
+test('feedback for an unknown interaction returns null', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { model } = await createInteraction();
+  assert.equal(await model.addFeedback('missing', { userRating: 4 }), null);
+});
@@ -0,0 +1,35 @@
+// Language detection over the registry's scripts and marker words
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { LanguageDetector, tokenize } = require('../services/languageDetector');
+
+const registry = new ConfigRegistry().load();
+const detector = new LanguageDetector({ getLanguages: () => registry.languages, defaultLanguage: 'hi' });
+
+test('detects the language from its script and marker words', () => {
+  assert.equal(detector.detect('प्रकाश संश्लेषण क्या है?').language, 'hi');
+  assert.equal(detector.detect('ஒளிச்சேர்க்கை என்றால் என்ன?').language, 'ta');
+  assert.equal(detector.detect('What is photosynthesis?').language, 'en');
+});
+
+test('romanized Hindi is detected as Hindi typed in Latin letters', () => {
+  const detection = detector.detect('photosynthesis kya hota hai');
+  assert.equal(detection.language, 'hi');
+  assert.equal(detection.romanized, true);
+  assert.equal(detection.codeMixed, true);
+});
+
+test('non-string input has no words instead of throwing', () => {
+  for (const value of [5, null, undefined, {}, ['क्या'], true]) {
+    assert.deepEqual(tokenize(value), []);
+    assert.equal(detector.detect(value).language, null);
+  }
+});
+
+test('resolve keeps the requested language and falls back to the default on auto', () => {
+  assert.equal(detector.resolve('What is gravity?', 'ta').language, 'ta');
+  assert.equal(detector.resolve('What is gravity?', 'auto').language, 'en');
+  assert.equal(detector.resolve('2 + 2 = ?', 'auto').language, 'hi');
+  assert.equal(detector.resolve(42, 'auto').language, 'hi');
+});
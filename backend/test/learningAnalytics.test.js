@@ -0,0 +1,145 @@
+// Learning analytics aggregations over stored interactions and per-language answer quality scoring
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const LearningAnalytics = require('../services/learningAnalytics');
+const MemoryStore = require('../storage/memoryStore');
+
+const registry = new ConfigRegistry().load();
+const DAY = 24 * 60 * 60 * 1000;
+
+async function createAnalytics(interactions) {
+  const store = new MemoryStore();
+  for (const interaction of interactions) {
+    await store.insert('interactions', {
+      language: 'hi',
+      subject: 'physics',
+      grade: '8',
+      question: 'न्यूटन का नियम',
+      answer: 'उत्तर',
+      timestamp: new Date(),
+      ...interaction
+    });
+  }
+  return new LearningAnalytics(store, { getLanguages: () => registry.languages });
+}
+
+test('feedback is aggregated per language, subject and grade, lowest rated first', async () => {
+  const analytics = await createAnalytics([
+    { userRating: 5, responseTime: 1000, retryCount: 0 },
+    { userRating: 1, responseTime: 3000, retryCount: 2, userFeedback: 'बहुत कठिन' },
+    { userRating: null, responseTime: 2000 },
+    { language: 'ta', userRating: 2 },
+    { subject: 'math', userRating: 5 }
+  ]);
+
+  const [tamil, hindiPhysics, hindiMath] = await analytics.analyzeUserFeedback(30);
+  assert.deepEqual(tamil._id, { language: 'ta', subject: 'physics', grade: '8' });
+  assert.equal(tamil.avgRating, 2);
+  assert.equal(tamil.negativeCount, 1);
+
+  assert.deepEqual(hindiPhysics._id, { language: 'hi', subject: 'physics', grade: '8' });
+  assert.equal(hindiPhysics.totalInteractions, 3);
+  assert.equal(hindiPhysics.ratedInteractions, 2);
+  assert.equal(hindiPhysics.avgRating, 3);
+  assert.equal(hindiPhysics.positiveCount, 1);
+  assert.equal(hindiPhysics.negativeCount, 1);
+  assert.equal(hindiPhysics.avgResponseTime, 2000);
+  assert.deepEqual(hindiPhysics.commonIssues, ['बहुत कठिन']);
+
+  assert.equal(hindiMath._id.subject, 'math');
+});
+
+test('the time range and filters narrow what is aggregated', async () => {
+  const analytics = await createAnalytics([
+    { userRating: 4 },
+    { userRating: 2, timestamp: new Date(Date.now() - 40 * DAY) },
+    { userRating: 3, grade: '9' }
+  ]);
+
+  const lastMonth = await analytics.analyzeUserFeedback(30);
+  assert.equal(lastMonth.reduce((sum, group) => sum + group.totalInteractions, 0), 2);
+
+  const [grade9] = await analytics.analyzeUserFeedback(30, { grade: '9' });
+  assert.equal(grade9.avgRating, 3);
+  assert.equal((await analytics.analyzeUserFeedback(90, { language: 'bn' })).length, 0);
+});
+
+test('knowledge gaps collect low ratings, repeated retries and flagged answers', async () => {
+  const analytics = await createAnalytics([
+    { userRating: 1, conceptDifficulty: 'normal', question: 'घर्षण क्या है' },
+    { retryCount: 2, conceptDifficulty: 'hard', question: 'जड़त्व क्या है' },
+    { flaggedForReview: true, conceptDifficulty: 'hard', question: 'संवेग क्या है' },
+    { userRating: 5, question: 'बल क्या है' }
+  ]);
+
+  const gaps = await analytics.identifyKnowledgeGaps();
+  assert.deepEqual(gaps.map(gap => [gap._id.conceptDifficulty, gap.count]), [['hard', 2], ['normal', 1]]);
+  assert.deepEqual(gaps[0].questions, ['जड़त्व क्या है', 'संवेग क्या है']);
+});
+
+test('training data trains on the re-ask that satisfied the student', async () => {
+  const analytics = await createAnalytics([
+    {
+      userRating: 5,
+      responseQuality: 0.9,
+      tokensUsed: 100,
+      answer: 'पहला उत्तर',
+      satisfiedVariant: 'simpler',
+      variants: [{ variant: 'simpler', answer: 'आसान उत्तर' }]
+    },
+    { userRating: 5, responseQuality: 0.5, tokensUsed: 100 }, // Heuristic quality too low
+    { userRating: 3, responseQuality: 0.9, tokensUsed: 100 }
+  ]);
+
+  const [example, ...rest] = await analytics.generateTrainingData(4, 500);
+  assert.equal(rest.length, 0);
+  assert.equal(example.messages[2].content, 'आसान उत्तर');
+  assert.equal(example.metadata.variant, 'simpler');
+  assert.match(example.messages[0].content, /physics in Hindi/);
+});
+
+test('fine-tuning is only recommended with enough negative feedback', async () => {
+  const analytics = await createAnalytics([{ userRating: 1 }, { userRating: 1 }]);
+  const { shouldTune } = await analytics.shouldFineTune();
+  assert.equal(shouldTune, false); // Far below the volume threshold
+});
+
+test('relevance counts question words the answer covers, inflected or run together', async () => {
+  const analytics = await createAnalytics([]);
+  assert.equal(analytics.calculateRelevance('प्रकाश संश्लेषण क्या है?', 'प्रकाश संश्लेषण में पौधे भोजन बनाते हैं।', 'hi'), 1);
+  assert.equal(analytics.calculateRelevance('प्रकाशसंश्लेषण म्हणजे काय?', 'प्रकाशसंश्लेषणाची प्रक्रिया पानांमध्ये होते.', 'mr'), 1);
+  assert.equal(analytics.calculateRelevance('What is friction?', 'Gravity pulls objects down.', 'en'), 0);
+  assert.equal(analytics.calculateRelevance('क्या है?', 'उत्तर', 'hi'), 0); // Only function words
+});
+
+test('language quality rewards the language\'s script and function words', async () => {
+  const analytics = await createAnalytics([]);
+  assert.equal(analytics.assessLanguageQuality('प्रकाश संश्लेषण वह प्रक्रिया है जिसमें पौधे अपना भोजन बनाते हैं और बढ़ते हैं।', 'hi'), 1);
+  assert.equal(analytics.assessLanguageQuality('Photosynthesis is how plants make food.', 'hi'), 0);
+  assert.ok(analytics.assessLanguageQuality('ஒளிச்சேர்க்கை என்பது தாவரங்கள் உணவு தயாரிக்கும் செயல்முறை ஆகும்.', 'ta') >= 0.6);
+  assert.equal(analytics.assessLanguageQuality('$x^2 = 4$ `code`', 'hi'), 0); // Math and code are not language
+});
+
+test('cultural markers match inflected forms in the answer\'s language and English', async () => {
+  const analytics = await createAnalytics([]);
+  assert.equal(analytics.assessCulturalRelevance('குடும்பத்தில் பொங்கல் சமைப்பது போல.', 'ta'), 1);
+  assert.equal(analytics.assessCulturalRelevance('जैसे माँ खाना बनाती है।', 'hi'), 0.5);
+  assert.equal(analytics.assessCulturalRelevance('जैसे Diwali पर रोटी बनती है।', 'hi'), 1);
+  assert.equal(analytics.assessCulturalRelevance('Trains run on time.', 'en'), 0.5);
+  assert.equal(analytics.assessCulturalRelevance('Constraint solving is hard.', 'en'), 0); // "train" inside a word
+});
+
+test('the overall score weighs relevance, language, culture, completeness and clarity', async () => {
+  const analytics = await createAnalytics([]);
+  const hindi = await analytics.scoreResponseQuality('प्रकाश संश्लेषण क्या है?',
+    'प्रकाश संश्लेषण वह प्रक्रिया है जिसमें पौधे सूर्य के प्रकाश से अपना भोजन बनाते हैं। जैसे माँ रसोई में खाना बनाती है।', 'hi');
+  assert.deepEqual(hindi.metrics, { relevance: 1, languageQuality: 1, culturalContext: 0.5, completeness: 1, clarity: 0.9 });
+  assert.ok(Math.abs(hindi.overallScore - 0.89) < 1e-9);
+
+  const english = await analytics.scoreResponseQuality('प्रकाश संश्लेषण क्या है?', 'Photosynthesis is the process by which plants make food.', 'hi');
+  assert.ok(english.overallScore < 0.3);
+
+  const empty = await analytics.scoreResponseQuality(undefined, undefined, undefined);
+  assert.equal(empty.overallScore, 0);
+});
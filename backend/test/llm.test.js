@@ -0,0 +1,92 @@
+// LLM provider layer: route resolution, fallbacks and provider selection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMRouter, createProvider } = require('../services/llm');
+
+test('createProvider rejects unknown providers', () => {
+  assert.throws(() => createProvider('gemini'), /Unknown LLM provider "gemini"/);
+});
+
+test('the openai provider needs an API key', (t) => {
+  const saved = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  t.after(() => {
+    if (saved !== undefined) process.env.OPENAI_API_KEY = saved;
+  });
+
+  assert.throws(() => createProvider('openai'), /OPENAI_API_KEY/);
+  // The router fails at construction, not on the first question
+  assert.throws(() => new LLMRouter({ provider: 'openai', routes: {} }), /OPENAI_API_KEY/);
+});
+
+test('without routes every request falls back to the default provider and model', () => {
+  const router = new LLMRouter({ provider: 'mock', model: 'tara-default', routes: {} });
+  const { provider, model } = router.resolve({ language: 'ta', subject: 'physics' });
+
+  assert.equal(provider.name, 'mock');
+  assert.equal(model, 'tara-default');
+});
+
+test('the most specific route wins: language+subject, then subject, then language', () => {
+  const router = new LLMRouter({
+    provider: 'mock',
+    routes: {
+      'hi:math': { model: 'hi-math' },
+      math: { model: 'any-math' },
+      hi: { model: 'hindi' }
+    }
+  });
+
+  assert.equal(router.resolve({ language: 'hi', subject: 'math' }).model, 'hi-math');
+  assert.equal(router.resolve({ language: 'ta', subject: 'math' }).model, 'any-math');
+  assert.equal(router.resolve({ language: 'hi', subject: 'physics' }).model, 'hindi');
+  // Nothing matches - the provider's own default model
+  assert.equal(router.resolve({ language: 'ta', subject: 'physics' }).model, 'mock-tara');
+});
+
+test('LLM_MODEL only applies to the default provider', () => {
+  const router = new LLMRouter({ provider: 'mock', model: 'gpt-4o', routes: { ta: { provider: 'local' } } });
+  const { provider, model } = router.resolve({ language: 'ta' });
+
+  assert.equal(provider.name, 'local');
+  assert.equal(model, process.env.LOCAL_LLM_MODEL || 'llama3');
+});
+
+test('an explicit provider/model overrides the routes', () => {
+  const router = new LLMRouter({ provider: 'mock', routes: { hi: { provider: 'local', model: 'llama3' } } });
+  const { provider, model } = router.resolve({ language: 'hi', provider: 'mock', model: 'tara-ft-2' });
+
+  assert.equal(provider.name, 'mock');
+  assert.equal(model, 'tara-ft-2');
+});
+
+test('LLM_ROUTES must be valid JSON with known providers', (t) => {
+  const saved = process.env.LLM_ROUTES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.LLM_ROUTES;
+    else process.env.LLM_ROUTES = saved;
+  });
+
+  process.env.LLM_ROUTES = '{"hi": ';
+  assert.throws(() => new LLMRouter({ provider: 'mock' }), /LLM_ROUTES is not valid JSON/);
+
+  process.env.LLM_ROUTES = '{"hi": {"provider": "gemini"}}';
+  assert.throws(() => new LLMRouter({ provider: 'mock' }), /LLM_ROUTES\["hi"\] uses unknown provider "gemini"/);
+});
+
+test('complete and stream report the provider that answered', async () => {
+  const router = new LLMRouter({ provider: 'mock', routes: {} });
+  const messages = [{ role: 'user', content: "Student's Question: What is gravity?" }];
+
+  const result = await router.complete({ messages, language: 'en' });
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.model, 'mock-tara');
+  assert.match(result.content, /What is gravity\?/);
+
+  const { provider, model, tokens } = router.stream({ messages, language: 'en' });
+  let streamed = '';
+  for await (const token of tokens) streamed += token;
+  assert.equal(provider, 'mock');
+  assert.equal(model, 'mock-tara');
+  assert.equal(streamed, result.content);
+});
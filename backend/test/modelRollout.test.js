@@ -0,0 +1,103 @@
+// Staged model rollout: session bucketing, rating comparisons, registry checks, and answers
+// cached per rollout side
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ModelRollout } = require('../services/modelRollout');
+const { AnswerCache } = require('../services/cache');
+const MemoryStore = require('../storage/memoryStore');
+const { validateEntries } = require('../config/registry');
+
+const MODELS = {
+  'tara-hi-v2': { status: 'candidate', provider: 'mock', modelId: 'tara-ft-2', languages: ['hi'], trafficPercent: 50, rolloutStartedAt: '2026-10-01T00:00:00.000Z' },
+  'tara-hi-v1': { status: 'active', provider: 'mock', modelId: 'tara-ft-1', languages: ['hi'] }
+};
+
+function createRollout(models = MODELS, store = new MemoryStore()) {
+  return new ModelRollout({ getModels: () => models, updateModel: async () => {}, store });
+}
+
+// First session IDs that land on each side of the rollout
+function sessionsByArm(rollout) {
+  const sessions = {};
+  for (let index = 0; !(sessions.candidate && sessions.incumbent); index++) {
+    const sessionId = `session-${index}`;
+    const { arm } = rollout.choose({ language: 'hi', subject: 'physics', sessionId });
+    sessions[arm] = sessions[arm] || sessionId;
+  }
+  return sessions;
+}
+
+test('a session always lands on the same side of the rollout', () => {
+  const rollout = createRollout();
+  const { candidate, incumbent } = sessionsByArm(rollout);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.deepEqual(rollout.choose({ language: 'hi', subject: 'physics', sessionId: candidate }),
+      { provider: 'mock', model: 'tara-ft-2', modelVersion: 'tara-hi-v2', arm: 'candidate', candidate: 'tara-hi-v2' });
+    assert.deepEqual(rollout.choose({ language: 'hi', subject: 'physics', sessionId: incumbent }),
+      { provider: 'mock', model: 'tara-ft-1', modelVersion: 'tara-hi-v1', arm: 'incumbent', candidate: 'tara-hi-v2' });
+  }
+});
+
+test('languages outside the rollout use the routes as they are', () => {
+  assert.equal(createRollout().choose({ language: 'ta', subject: 'physics', sessionId: 'session-1' }), null);
+});
+
+test('each candidate is compared with its own incumbent sessions since its rollout started', async () => {
+  const models = {
+    'tara-hi-v2': { ...MODELS['tara-hi-v2'], subjects: ['physics'], rolloutStartedAt: '2026-10-10T00:00:00.000Z' },
+    'tara-hi-v3': { ...MODELS['tara-hi-v2'], modelId: 'tara-ft-3', subjects: ['math'], rolloutStartedAt: '2026-10-01T00:00:00.000Z' },
+    'tara-hi-v1': MODELS['tara-hi-v1']
+  };
+  const store = new MemoryStore();
+  const rate = (userRating, fields) => store.insert('interactions', {
+    language: 'hi', subject: 'physics', timestamp: new Date('2026-10-12T00:00:00.000Z'), userRating, ...fields
+  });
+
+  await rate(4, { modelVersion: 'tara-hi-v2', rolloutArm: 'candidate', rolloutCandidate: 'tara-hi-v2' });
+  await rate(3, { modelVersion: 'tara-hi-v1', rolloutArm: 'incumbent', rolloutCandidate: 'tara-hi-v2' });
+  // The math rollout's baseline, and physics ratings from before tara-hi-v2 started
+  await rate(1, { subject: 'math', modelVersion: 'tara-hi-v1', rolloutArm: 'incumbent', rolloutCandidate: 'tara-hi-v3' });
+  await rate(1, { modelVersion: 'tara-hi-v1', rolloutArm: 'incumbent', rolloutCandidate: 'tara-hi-v3' });
+  await rate(1, { modelVersion: 'tara-hi-v1', rolloutArm: 'incumbent', rolloutCandidate: 'tara-hi-v2', timestamp: new Date('2026-10-05T00:00:00.000Z') });
+
+  const rollout = createRollout(models, store);
+  assert.deepEqual(await rollout.compare('tara-hi-v2', models['tara-hi-v2']), {
+    candidate: { ratings: 1, avgRating: 4 },
+    incumbent: { ratings: 1, avgRating: 3 }
+  });
+  assert.deepEqual(await rollout.compare('tara-hi-v3', models['tara-hi-v3']), {
+    candidate: { ratings: 0, avgRating: null },
+    incumbent: { ratings: 1, avgRating: 1 }
+  });
+});
+
+test('a candidate needs a rolloutStartedAt date', () => {
+  const { rolloutStartedAt, ...undated } = MODELS['tara-hi-v2'];
+  const withDate = (value) => ({ 'tara-hi-v2': { ...undated, baseModel: 'gpt-4o-mini', rolloutStartedAt: value } });
+
+  assert.doesNotThrow(() => validateEntries('models', withDate(rolloutStartedAt)));
+  assert.throws(() => validateEntries('models', withDate(undefined)), /rolloutStartedAt must be a date/);
+  assert.throws(() => validateEntries('models', withDate('last week')), /rolloutStartedAt must be a date/);
+});
+
+test('sessions on different sides of a rollout do not share cached answers', () => {
+  const rollout = createRollout();
+  const cache = new AnswerCache({ ttlMs: 60000, maxEntries: 10, similarityThreshold: 0.5 });
+  const question = { question: 'न्यूटन का दूसरा नियम क्या है', language: 'hi', subject: 'physics', grade: '8', board: null };
+  const paramsFor = (sessionId) => {
+    const choice = rollout.choose({ language: 'hi', subject: 'physics', sessionId });
+    return { ...question, modelVersion: choice?.modelVersion || null, rolloutArm: choice?.arm || null };
+  };
+
+  const { candidate, incumbent } = sessionsByArm(rollout);
+  cache.set(paramsFor(candidate), { answer: 'candidate answer', modelVersion: 'tara-hi-v2', rolloutArm: 'candidate' });
+
+  // Not even as a near-duplicate
+  assert.equal(cache.get(paramsFor(incumbent)), undefined);
+  assert.equal(cache.get(paramsFor(candidate)).answer, 'candidate answer');
+
+  cache.set(paramsFor(incumbent), { answer: 'incumbent answer', modelVersion: 'tara-hi-v1', rolloutArm: 'incumbent' });
+  assert.equal(cache.get(paramsFor(incumbent)).answer, 'incumbent answer');
+  assert.equal(cache.get(paramsFor(candidate)).answer, 'candidate answer');
+});
@@ -0,0 +1,64 @@
+// LLM-as-judge grading with the mock provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { QualityJudge, RUBRIC } = require('../services/qualityJudge');
+
+const registry = new ConfigRegistry().load();
+
+function createJudge(options = {}) {
+  return new QualityJudge({
+    getLanguages: () => registry.languages,
+    getSubjects: () => registry.subjects,
+    getGrades: () => registry.grades,
+    enabled: true,
+    provider: 'mock',
+    ...options
+  });
+}
+
+const ANSWER = { question: 'What is gravity?', answer: 'A force that pulls things together.', language: 'en', subject: 'physics', grade: '8' };
+
+test('grades are scaled to 0-1 and averaged into the score', async () => {
+  const judge = createJudge();
+  judge.provider.response = 'Here you go: {"factualAccuracy": 5, "gradeAppropriateness": 3, "languageCorrectness": 5, "completeness": 1, "feedback": "Misses the formula."}';
+
+  const judgement = await judge.judge(ANSWER);
+  assert.deepEqual(judgement.metrics, { factualAccuracy: 1, gradeAppropriateness: 0.5, languageCorrectness: 1, completeness: 0 });
+  assert.equal(judgement.score, 0.625);
+  assert.equal(judgement.feedback, 'Misses the formula.');
+  assert.equal(judgement.provider, 'mock');
+});
+
+test('the default mock judge grades every criterion 4', async () => {
+  const judgement = await createJudge().judge(ANSWER);
+  assert.deepEqual(Object.keys(judgement.metrics), Object.keys(RUBRIC));
+  assert.equal(judgement.score, 0.75);
+});
+
+test('replies without JSON or with a missing grade are rejected', async () => {
+  const judge = createJudge();
+  judge.provider.response = 'Looks good to me.';
+  await assert.rejects(judge.judge(ANSWER), /no JSON/);
+
+  judge.provider.response = '{"factualAccuracy": 5, "gradeAppropriateness": 6, "languageCorrectness": 5, "completeness": 4}';
+  await assert.rejects(judge.judge(ANSWER), /no 1-5 grade for gradeAppropriateness/);
+});
+
+test('the prompt names the class, subject and language', () => {
+  const [system, user] = createJudge().buildMessages({ ...ANSWER, language: 'hi' });
+  assert.match(system.content, /factualAccuracy/);
+  assert.match(user.content, new RegExp(`Class: ${registry.grades['8'].name}`));
+  assert.match(user.content, new RegExp(`Subject: ${registry.subjects.physics.name}`));
+  assert.match(user.content, new RegExp(`Requested language: ${registry.languages.hi.name}`));
+});
+
+test('a disabled judge grades nothing and needs no provider', () => {
+  const judge = createJudge({ enabled: false, provider: 'unknown' });
+  assert.equal(judge.provider, null);
+  assert.equal(judge.shouldJudge(), false);
+});
+
+test('an enabled judge without a usable provider fails when constructed', () => {
+  assert.throws(() => createJudge({ provider: 'unknown' }), /Unknown LLM provider "unknown"/);
+});
@@ -0,0 +1,116 @@
+// Config registries: validation, versioned updates and hot reload from disk
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigRegistry, RegistryValidationError, validateEntries, REGISTRY_NAMES } = require('../config/registry');
+
+const BUNDLED = path.join(__dirname, '../config/registries');
+
+// A registry over a scratch copy of the bundled files, removed when the test ends
+function scratchRegistry(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tara-registry-'));
+  for (const name of REGISTRY_NAMES) {
+    fs.copyFileSync(path.join(BUNDLED, `${name}.json`), path.join(directory, `${name}.json`));
+  }
+  const registry = new ConfigRegistry({ directory }).load();
+  t.after(() => {
+    registry.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  return registry;
+}
+
+function writeRegistry(registry, name, version, entries) {
+  fs.writeFileSync(registry.filePath(name), JSON.stringify({ version, updatedAt: new Date().toISOString(), entries }));
+}
+
+test('the bundled registries are valid', () => {
+  const registry = new ConfigRegistry({ directory: BUNDLED }).load();
+  assert.ok(registry.languages.hi);
+  assert.ok(registry.subjects.general);
+  assert.ok(Object.keys(registry.grades).length > 0);
+});
+
+test('every problem in a registry is reported at once', () => {
+  assert.throws(() => validateEntries('languages', {
+    HI: { name: 'Hindi', voice: 'hi-IN-Wavenet-A', code: 'hi-IN' },
+    ta: { name: '', voice: 'ta-IN-Wavenet-A', code: 'tamil', speakingRate: 9, script: 'Klingon' }
+  }), (error) => {
+    assert.ok(error instanceof RegistryValidationError);
+    assert.deepEqual(error.problems, [
+      '"HI" is not a valid code',
+      '"ta": name is required',
+      '"ta": code must look like "hi-IN"',
+      '"ta": speakingRate must be a number from 0.25 to 4',
+      '"ta": script must be a Unicode script name such as "Devanagari" or "Latin"',
+      '"hi" is required'
+    ]);
+    return true;
+  });
+});
+
+test('subjects, grades and pronunciations are checked against their schemas', () => {
+  assert.throws(() => validateEntries('subjects', { general: { name: 'General', prompt: 'x', keywords: 'science' } }),
+    /keywords must be a list of strings/);
+  assert.throws(() => validateEntries('grades', { 8: { name: 'Class 8', complexity: 'hard' } }),
+    /complexity must be one of/);
+  assert.throws(() => validateEntries('pronunciations', { hi: { NCERT: 42 } }),
+    /"NCERT" must map to a spoken form/);
+  assert.throws(() => validateEntries('grades', []), /entries must be an object keyed by code/);
+});
+
+test('updates are validated, versioned and written back to disk', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const registry = scratchRegistry(t);
+  const { version } = registry.get('grades');
+  const changes = [];
+  registry.on('change', name => changes.push(name));
+
+  const entries = { ...registry.grades, 13: { name: 'Class 13', complexity: 'expert' } };
+  registry.update('grades', entries, { expectedVersion: version });
+
+  const onDisk = JSON.parse(fs.readFileSync(registry.filePath('grades'), 'utf8'));
+  assert.equal(onDisk.version, version + 1);
+  assert.equal(onDisk.entries['13'].name, 'Class 13');
+  assert.deepEqual(changes, ['grades']);
+
+  assert.throws(() => registry.update('grades', entries, { expectedVersion: version }), { name: 'RegistryConflictError' });
+  assert.throws(() => registry.update('grades', { 13: { name: 'Class 13' } }), RegistryValidationError);
+  assert.equal(registry.get('grades').version, version + 1);
+});
+
+test('a bad edit on disk is ignored and the previous version kept', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const registry = scratchRegistry(t);
+  const before = registry.get('grades');
+
+  writeRegistry(registry, 'grades', before.version + 1, { 8: { name: 'Class 8', complexity: 'impossible' } });
+  registry.reload('grades');
+  assert.equal(registry.get('grades'), before);
+
+  fs.writeFileSync(registry.filePath('grades'), '{ not json');
+  registry.reload('grades');
+  assert.equal(registry.get('grades'), before);
+});
+
+test('edits on disk are picked up without a restart', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const registry = scratchRegistry(t).watch();
+  const { version } = registry.get('grades');
+
+  const changed = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('no reload within 5 seconds')), 5000);
+    registry.once('change', (name, updated) => {
+      clearTimeout(timer);
+      resolve({ name, updated });
+    });
+  });
+  writeRegistry(registry, 'grades', version + 1, { ...registry.grades, 13: { name: 'Class 13', complexity: 'expert' } });
+
+  const { name, updated } = await changed;
+  assert.equal(name, 'grades');
+  assert.equal(updated.version, version + 1);
+  assert.equal(registry.grades['13'].name, 'Class 13');
+});
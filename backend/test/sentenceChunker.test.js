@@ -0,0 +1,94 @@
+// Sentence chunking for incremental text-to-speech
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, SpeechChunker } = require('../services/tts/sentenceChunker');
+
+// A chunker whose "audio" is the spoken text; `voiced` collects chunks as they finish
+function createChunker(options = {}) {
+  const voiced = [];
+  const chunker = new SpeechChunker({
+    synthesizeChunk: async (text, index) => ({ audioKey: `part${index}`, spoken: text }),
+    onChunk: chunk => voiced.push(chunk),
+    ...options
+  });
+  return { chunker, voiced };
+}
+
+test('answers split on the danda and Latin terminators', () => {
+  assert.deepEqual(splitSentences('प्रकाश संश्लेषण पौधों में होता है। इसके लिए सूर्य का प्रकाश चाहिए। क्या आप समझे?'), [
+    'प्रकाश संश्लेषण पौधों में होता है।',
+    'इसके लिए सूर्य का प्रकाश चाहिए।',
+    'क्या आप समझे?'
+  ]);
+  assert.deepEqual(splitSentences('Gravity pulls things down!? That is why apples fall.'), [
+    'Gravity pulls things down!?',
+    'That is why apples fall.'
+  ]);
+});
+
+test('short sentences ride along with the next one', () => {
+  assert.deepEqual(splitSentences('हाँ। यह सही उत्तर है, बहुत अच्छा।'), ['हाँ। यह सही उत्तर है, बहुत अच्छा।']);
+});
+
+test('decimals are not sentence ends', () => {
+  assert.deepEqual(splitSentences('The value of pi is about 3.14 in most problems. Use it for circles.'), [
+    'The value of pi is about 3.14 in most problems.',
+    'Use it for circles.'
+  ]);
+});
+
+test('run-on text is cut at a comma or space', () => {
+  const runOn = `${'शब्द '.repeat(100)}अंत`;
+  const [first, ...rest] = splitSentences(runOn);
+  assert.ok(first.length <= 400);
+  assert.equal([first, ...rest].join(' '), runOn);
+});
+
+test('streamed text is voiced sentence by sentence, waiting for the next token on "3."', async () => {
+  const { chunker, voiced } = createChunker();
+  chunker.push('The answer is about 3.');
+  await chunker.queue;
+  assert.equal(voiced.length, 0); // "3." might be the start of 3.14
+
+  chunker.push('14 for every circle. Now the second sen');
+  await chunker.queue;
+  assert.deepEqual(voiced.map(chunk => chunk.text), ['The answer is about 3.14 for every circle.']);
+
+  const chunks = await chunker.finish();
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['The answer is about 3.14 for every circle.', 'Now the second sen']);
+  assert.deepEqual(chunks.map(chunk => chunk.audioKey), ['part0', 'part1']);
+});
+
+test('toSpeech rewrites what is read and sentences it empties are skipped', async () => {
+  const { chunker } = createChunker({ toSpeech: text => (text.includes('`') ? '' : text.toUpperCase()) });
+  chunker.push('Run `node index.js` from the terminal. This sentence is long enough to be spoken.');
+
+  const chunks = await chunker.finish();
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, 'This sentence is long enough to be spoken.');
+  assert.equal(chunks[0].spoken, 'THIS SENTENCE IS LONG ENOUGH TO BE SPOKEN.');
+});
+
+test('a TTS failure stops the queue and is thrown from finish', async () => {
+  const calls = [];
+  const { chunker } = createChunker({
+    synthesizeChunk: async (text, index) => {
+      calls.push(index);
+      if (index === 0) throw new Error('quota exceeded');
+      return {};
+    }
+  });
+  chunker.push('The first sentence is long enough. The second one is long enough too.');
+
+  await assert.rejects(chunker.finish(), /quota exceeded/);
+  assert.deepEqual(calls, [0]);
+});
+
+test('abort drops the trailing text and keeps what was already voiced', async () => {
+  const { chunker } = createChunker();
+  chunker.push('The first sentence is long enough. And then the student left');
+  await chunker.queue;
+
+  const chunks = await chunker.abort();
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['The first sentence is long enough.']);
+});
@@ -0,0 +1,179 @@
+// HTTP routes (transcription, sessions, the answer stream) over the mock LLM, STT and silent TTS
+// engines, with in-memory storage
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tara-audio-'));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  STT_ENGINE: 'mock',
+  TTS_ENGINE: 'silent',
+  STORAGE_BACKEND: 'memory',
+  AUDIO_STORE: 'local',
+  AUDIO_LOCAL_DIR: audioDir,
+  CACHE_ENABLED: 'false',
+  QUALITY_JUDGE: 'false',
+  MOCK_TRANSCRIPTION: 'प्रकाश संश्लेषण क्या है?'
+});
+
+// The routes log every step
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  mock.restoreAll();
+  fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+function audioForm(fields = {}, file = new Blob([Buffer.from('fake audio')], { type: 'audio/webm' })) {
+  const form = new FormData();
+  if (file) form.append('audio', file, 'question.webm');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+}
+
+describe('POST /api/transcribe', () => {
+  test('returns the transcription in the requested language', async () => {
+    const response = await fetch(`${baseUrl}/api/transcribe`, { method: 'POST', body: audioForm({ language: 'hi' }) });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.transcription, 'प्रकाश संश्लेषण क्या है?');
+    assert.equal(body.language, 'hi');
+    assert.equal(body.languageName, 'Hindi');
+  });
+
+  test('detects the spoken language with "auto"', async () => {
+    const response = await fetch(`${baseUrl}/api/transcribe`, { method: 'POST', body: audioForm({ language: 'auto' }) });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.language, 'hi');
+    assert.equal(body.languageDetection.requested, 'auto');
+  });
+
+  test('rejects a request without audio', async () => {
+    const response = await fetch(`${baseUrl}/api/transcribe`, { method: 'POST', body: audioForm({ language: 'hi' }, null) });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Audio file is required');
+  });
+
+  test('rejects an unsupported language', async () => {
+    const response = await fetch(`${baseUrl}/api/transcribe`, { method: 'POST', body: audioForm({ language: 'xx' }) });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Unsupported language');
+  });
+});
+
+describe('sessions', () => {
+  function ask(question, sessionId) {
+    return fetch(`${baseUrl}/api/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sessionId && { 'X-Session-Id': sessionId }) },
+      body: JSON.stringify({ question, language: 'en' })
+    }).then(response => response.json());
+  }
+
+  test('the server issues a session ID and keeps the turn before answering', async () => {
+    const { sessionId } = await ask('What is gravity?');
+    assert.match(sessionId, /^[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}$/);
+
+    // Read straight after the answer - the turn must already be stored
+    const conversation = await fetch(`${baseUrl}/api/sessions/${sessionId}`).then(response => response.json());
+    assert.deepEqual(conversation.turns.map(turn => turn.question), ['What is gravity?']);
+
+    const followUp = await ask('Why?', sessionId);
+    assert.equal(followUp.sessionId, sessionId);
+
+    const { interactions } = await fetch(`${baseUrl}/api/sessions/${sessionId}/interactions`).then(response => response.json());
+    assert.equal(interactions.length, 2);
+  });
+
+  test('made-up or tampered session IDs are replaced, and their data is not served', async () => {
+    const { sessionId } = await ask('What is gravity?');
+    const tampered = `${sessionId.slice(0, -1)}${sessionId.endsWith('A') ? 'B' : 'A'}`;
+
+    for (const forged of ['session_1700000000000_abcdefghi', tampered]) {
+      assert.notEqual((await ask('What is mass?', forged)).sessionId, forged);
+      assert.equal((await fetch(`${baseUrl}/api/sessions/${forged}`)).status, 404);
+      assert.equal((await fetch(`${baseUrl}/api/sessions/${forged}/interactions`)).status, 404);
+      assert.equal((await fetch(`${baseUrl}/api/sessions/${forged}`, { method: 'DELETE' })).status, 404);
+    }
+  });
+
+  test('deleting a session forgets its conversation', async () => {
+    const { sessionId } = await ask('What is gravity?');
+    assert.equal((await fetch(`${baseUrl}/api/sessions/${sessionId}`, { method: 'DELETE' })).status, 200);
+
+    const conversation = await fetch(`${baseUrl}/api/sessions/${sessionId}`).then(response => response.json());
+    assert.deepEqual(conversation.turns, []);
+  });
+});
+
+describe('POST /api/ask/stream', () => {
+  // Splits a Server-Sent Events body into { event, data } in the order they were sent
+  function parseEvents(body) {
+    return body.split('\n\n').filter(Boolean).map(block => {
+      const lines = block.split('\n');
+      assert.equal(lines.length, 2, `unexpected event framing: ${JSON.stringify(block)}`);
+      assert.match(lines[0], /^event: [a-z-]+$/);
+      assert.match(lines[1], /^data: /);
+      return { event: lines[0].slice('event: '.length), data: JSON.parse(lines[1].slice('data: '.length)) };
+    });
+  }
+
+  test('streams tokens, audio and a final done event', async () => {
+    const response = await fetch(`${baseUrl}/api/ask/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question: 'What is gravity?', language: 'en' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(response.headers.get('cache-control'), 'no-cache');
+
+    const events = parseEvents(await response.text());
+    const names = events.map(({ event }) => event);
+    assert.equal(names[0], 'token');
+    assert.equal(names.at(-1), 'done');
+    assert.ok(names.indexOf('metadata') > names.lastIndexOf('token'));
+    assert.ok(names.includes('audio-chunk'));
+    assert.ok(!names.includes('error'));
+
+    const done = events.at(-1).data;
+    const streamed = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+    assert.equal(streamed, done.answer);
+    assert.equal(done.success, true);
+    assert.ok(done.interactionId);
+    assert.ok(done.audioPlaylist.length >= 1);
+  });
+
+  test('invalid requests get a JSON error before the stream opens', async () => {
+    const response = await fetch(`${baseUrl}/api/ask/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question: '   ', language: 'en' })
+    });
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('content-type'), /^application\/json/);
+    assert.equal((await response.json()).error, 'Question is required');
+  });
+});
@@ -0,0 +1,50 @@
+// Markdown and LaTeX answers turned into plain sentences for the voice
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SpeechText, convertLatex } = require('../services/tts/speechText');
+const { SpeechVerbalizer } = require('../services/tts/verbalizer');
+
+const convert = (text) => new SpeechText().convert(text);
+
+test('LaTeX goes back to the plain notation the verbalizer reads', () => {
+  assert.equal(convertLatex('\\frac{a}{b}'), 'a/b');
+  assert.equal(convertLatex('\\frac{x+1}{x-1}'), '(x+1)/(x-1)');
+  assert.equal(convertLatex('x^{2} + 3x'), 'x^2 + 3x');
+  assert.equal(convertLatex('\\sqrt{2}'), '√2');
+  assert.equal(convertLatex('\\sqrt[3]{27}'), '∛27');
+  assert.equal(convertLatex('\\frac{\\sqrt{2}}{2}'), '(√2)/2'); // Nested
+  assert.equal(convertLatex('90^\\circ'), '90°');
+});
+
+test('chemistry subscripts, text commands and symbols are unwrapped', () => {
+  assert.equal(convertLatex('H_2O'), 'H2O');
+  assert.equal(convertLatex('\\text{CO}_{2}'), 'CO2');
+  assert.equal(convertLatex('a \\times b \\leq c'), 'a × b ≤ c');
+  assert.equal(convertLatex('\\sin \\theta'), 'sin θ');
+  assert.equal(convertLatex('\\left( x \\right)'), '( x )');
+  assert.equal(convertLatex('x = 1 \\\\ y = 2'), 'x = 1, y = 2');
+});
+
+test('inline and display math are converted in place', () => {
+  assert.equal(convert('The area is $\\pi r^{2}$.'), 'The area is π r^2.');
+  assert.equal(convert('So $$x = \\frac{5}{3}$$ is the answer.'), 'So x = 5/3 is the answer.');
+  assert.equal(convert('It costs $5 today.'), 'It costs 5 today.'); // A lone dollar is not math
+});
+
+test('Markdown markup is dropped but bold and step numbers are kept for SSML', () => {
+  const text = convert('## Steps\n1. Add **both** sides with *care*.\n- See [the chapter](https://example.com)\n---\nRun `npm test`.');
+  assert.equal(text, 'Steps\n1. Add **both** sides with care.\nSee the chapter\n\nRun npm test.');
+});
+
+test('code blocks are skipped, even when they span several sentences', () => {
+  const speech = new SpeechText();
+  assert.equal(speech.convert('Here is the code:\n```js\nconst x = 1;'), 'Here is the code:');
+  assert.equal(speech.convert('console.log(x);'), '');
+  assert.equal(speech.convert('```\nThat prints 1.'), 'That prints 1.');
+});
+
+test('the verbalizer reads converted LaTeX as words', () => {
+  const verbalizer = new SpeechVerbalizer({ enabled: true });
+  assert.equal(verbalizer.verbalize(convert('$x^{2} - 4 = 0$'), 'en'), 'x squared minus 4 equals 0');
+  assert.equal(verbalizer.verbalize(convert('$\\frac{1}{2} \\times x^{2}$'), 'hi'), '1 बटा 2 गुणा x का वर्ग');
+});
@@ -0,0 +1,75 @@
+// SSML for answers: pauses, emphasis, <say-as> for numbers and dates, and the pronunciation lexicon
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { SsmlBuilder, escapeXml } = require('../services/tts/ssml');
+
+const registry = new ConfigRegistry().load();
+
+function createBuilder(options = {}) {
+  return new SsmlBuilder({
+    enabled: true,
+    stepPauseMs: 600,
+    getLexicon: () => ({ DNA: 'डी एन ए', Archimedes: { ipa: 'ˌɑːkɪˈmiːdiːz' } }),
+    getKeyTerms: () => ['cell', 'nucleus', 'ion'],
+    ...options
+  });
+}
+
+test('steps get a pause before them and colons a short one after', () => {
+  const { ssml } = createBuilder().build('Step 2: Multiply both sides', 'hi');
+  assert.equal(ssml, '<speak><break time="600ms"/>Step <say-as interpret-as="cardinal">2</say-as>:<break time="250ms"/> Multiply both sides</speak>');
+  assert.match(createBuilder().build('2. Multiply', 'hi').ssml, /^<speak><break time="600ms"\/>/);
+  assert.match(createBuilder().build('चरण 3 में', 'hi').ssml, /^<speak><break time="600ms"\/>/);
+  assert.doesNotMatch(createBuilder().build('2023 was a good year', 'hi').ssml, /break/);
+});
+
+test('line breaks become pauses', () => {
+  assert.equal(createBuilder().build('First line.\nSecond line.', 'hi').ssml,
+    '<speak>First line. <break time="600ms"/> Second line.</speak>');
+});
+
+test('bold text is stressed and key terms are emphasized the first time only', () => {
+  const { text, ssml } = createBuilder().build('The nucleus is **important** and the nucleus is small.', 'hi');
+  assert.equal(text, 'The nucleus is important and the nucleus is small.');
+  assert.equal(ssml, '<speak>The <emphasis level="moderate">nucleus</emphasis> is <emphasis level="strong">important</emphasis> and the nucleus is small.</speak>');
+  assert.doesNotMatch(createBuilder().build('An ion forms.', 'hi').ssml, /emphasis/); // Shorter than four letters
+});
+
+test('lexicon terms are substituted in SSML and in the plain text, whole words only', () => {
+  const builder = createBuilder();
+  assert.deepEqual(builder.build('DNA is in the nucleus.', 'hi'), {
+    text: 'डी एन ए is in the nucleus.',
+    ssml: '<speak><sub alias="डी एन ए">DNA</sub> is in the <emphasis level="moderate">nucleus</emphasis>.</speak>'
+  });
+  assert.equal(builder.build('DNAse is an enzyme', 'hi').ssml, '<speak>DNAse is an enzyme</speak>');
+});
+
+test('IPA entries only reach the voice through SSML', () => {
+  assert.deepEqual(createBuilder().build('Archimedes found it', 'hi'), {
+    text: 'Archimedes found it',
+    ssml: '<speak><phoneme alphabet="ipa" ph="ˌɑːkɪˈmiːdiːz">Archimedes</phoneme> found it</speak>'
+  });
+});
+
+test('dates are read day-month-year, years and numbers by the voice', () => {
+  const { ssml } = createBuilder().build('India became free on 15/08/1947, 75 years before 2022.', 'hi');
+  assert.equal(ssml, '<speak>India became free on <say-as interpret-as="date" format="dmy" detail="1">15/08/1947</say-as>, ' +
+    '<say-as interpret-as="cardinal">75</say-as> years before 2022.</speak>');
+});
+
+test('markup characters in answers are escaped', () => {
+  assert.equal(createBuilder().build('x < y & y > z', 'hi').ssml, '<speak>x &lt; y &amp; y &gt; z</speak>');
+  assert.equal(escapeXml('<a & b>'), '&lt;a &amp; b&gt;');
+});
+
+test('with SSML turned off the plain text still has the lexicon\'s spoken forms', () => {
+  assert.deepEqual(createBuilder({ enabled: false }).build('DNA is 12', 'hi'), { text: 'डी एन ए is 12', ssml: null });
+});
+
+test('the bundled pronunciation registry works as a lexicon', () => {
+  const builder = new SsmlBuilder({ enabled: true, getLexicon: language => registry.pronunciations[language] });
+  assert.equal(builder.build('pH of water', 'hi').text, 'पी एच of water');
+  assert.match(builder.build('Archimedes', 'en').ssml, /<phoneme alphabet="ipa"/);
+  assert.equal(builder.build('pH', 'xx').ssml, '<speak>pH</speak>'); // No lexicon for the language
+});
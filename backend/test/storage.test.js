@@ -0,0 +1,136 @@
+// Storage adapters: every backend runs the same checks, so the app behaves the same on each.
+// sqlite needs better-sqlite3 installed; firestore runs against the emulator when
+// FIRESTORE_EMULATOR_HOST is set and is skipped otherwise.
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+
+function sqliteAvailable() {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const BACKENDS = {
+  memory: { options: {}, skip: false },
+  sqlite: { options: { filename: ':memory:' }, skip: !sqliteAvailable() && 'better-sqlite3 is not installed' },
+  firestore: { options: {}, skip: !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set' }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date('2026-01-01T00:00:00.000Z');
+
+for (const [backend, { options, skip }] of Object.entries(BACKENDS)) {
+  describe(`${backend} store`, { skip }, () => {
+    let store;
+    // Fresh collection per run so emulator data from earlier runs doesn't leak in
+    const collection = `test_${crypto.randomUUID().slice(0, 8)}`;
+
+    before(async () => {
+      store = createStore(backend, options);
+      const rows = [
+        { n: 1, language: 'hi', rating: 5, helpful: true, timestamp: new Date(START.getTime()) },
+        { n: 2, language: 'ta', rating: 3, helpful: false, timestamp: new Date(START.getTime() + DAY) },
+        { n: 3, language: 'hi', rating: 4, helpful: true, timestamp: new Date(START.getTime() + 2 * DAY) },
+        { n: 4, language: 'bn', helpful: false, timestamp: new Date(START.getTime() + 3 * DAY) }
+      ];
+      for (const row of rows) {
+        await store.insert(collection, row);
+      }
+    });
+
+    test('insert returns the new id and get reads the document back with Dates', async () => {
+      const inserted = await store.insert(`${collection}_single`, { question: 'क्या?', askedAt: START, tags: ['a', 'b'] });
+      assert.equal(typeof inserted.id, 'string');
+
+      const doc = await store.get(`${collection}_single`, inserted.id);
+      assert.equal(doc.id, inserted.id);
+      assert.equal(doc.question, 'क्या?');
+      assert.deepEqual(doc.tags, ['a', 'b']);
+      assert.ok(doc.askedAt instanceof Date);
+      assert.equal(doc.askedAt.getTime(), START.getTime());
+    });
+
+    test('get returns null for a missing document', async () => {
+      assert.equal(await store.get(collection, 'missing'), null);
+    });
+
+    test('set replaces a document unless merging', async () => {
+      const name = `${collection}_set`;
+      await store.set(name, 'doc', { a: 1, b: 2 });
+      await store.set(name, 'doc', { b: 3 }, { merge: true });
+      assert.deepEqual(await store.get(name, 'doc'), { id: 'doc', a: 1, b: 3 });
+
+      await store.set(name, 'doc', { c: 4 });
+      assert.deepEqual(await store.get(name, 'doc'), { id: 'doc', c: 4 });
+    });
+
+    test('find filters with == and in', async () => {
+      const hindi = await store.find(collection, { where: [['language', '==', 'hi']] });
+      assert.deepEqual(hindi.map(doc => doc.n).sort(), [1, 3]);
+
+      const some = await store.find(collection, { where: [['language', 'in', ['ta', 'bn']]] });
+      assert.deepEqual(some.map(doc => doc.n).sort(), [2, 4]);
+
+      const helpful = await store.find(collection, { where: [['helpful', '==', true]] });
+      assert.deepEqual(helpful.map(doc => doc.n).sort(), [1, 3]);
+    });
+
+    test('range filters compare Dates and skip documents without the field', async () => {
+      const recent = await store.find(collection, { where: [['timestamp', '>=', new Date(START.getTime() + DAY)]] });
+      assert.deepEqual(recent.map(doc => doc.n).sort(), [2, 3, 4]);
+
+      const rated = await store.find(collection, { where: [['rating', '<', 5]] });
+      assert.deepEqual(rated.map(doc => doc.n).sort(), [2, 3]);
+
+      const notHindi = await store.find(collection, { where: [['rating', '!=', 5]] });
+      assert.deepEqual(notHindi.map(doc => doc.n).sort(), [2, 3]);
+    });
+
+    test('find combines filters, orderBy and limit', async () => {
+      const latest = await store.find(collection, {
+        where: [['timestamp', '>', START]],
+        orderBy: ['timestamp', 'desc'],
+        limit: 2
+      });
+      assert.deepEqual(latest.map(doc => doc.n), [4, 3]);
+
+      const oldest = await store.find(collection, { orderBy: ['timestamp'], limit: 1 });
+      assert.deepEqual(oldest.map(doc => doc.n), [1]);
+    });
+
+    test('update merges changes atomically, so concurrent updates all land', async () => {
+      const name = `${collection}_update`;
+      await store.set(name, 'doc', { count: 0, events: [], createdAt: START });
+
+      await Promise.all([1, 2, 3, 4, 5].map(n => store.update(name, 'doc', (doc) => ({
+        count: doc.count + 1,
+        events: [...doc.events, n]
+      }))));
+
+      const doc = await store.get(name, 'doc');
+      assert.equal(doc.count, 5);
+      assert.deepEqual([...doc.events].sort(), [1, 2, 3, 4, 5]);
+      assert.equal(doc.createdAt.getTime(), START.getTime());
+
+      const updated = await store.update(name, 'doc', () => ({ count: 6 }));
+      assert.equal(updated.id, 'doc');
+      assert.equal(updated.count, 6);
+      assert.equal(await store.update(name, 'missing', () => ({ count: 1 })), null);
+    });
+
+    test('remove deletes a document', async () => {
+      const { id } = await store.insert(`${collection}_remove`, { n: 1 });
+      await store.remove(`${collection}_remove`, id);
+      assert.equal(await store.get(`${collection}_remove`, id), null);
+    });
+  });
+}
+
+test('unknown storage backends are rejected', () => {
+  assert.throws(() => createStore('mongodb'), /Unknown storage backend "mongodb"/);
+});
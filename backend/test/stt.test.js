@@ -0,0 +1,67 @@
+// Speech-to-text engine selection and the fixture-based mock engine
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createSTTEngine } = require('../services/stt');
+
+// Sets env vars for one test (undefined unsets) and restores them when it ends
+function withEnv(t, vars) {
+  const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+  const apply = (values) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+  apply(vars);
+  t.after(() => apply(saved));
+}
+
+test('STT_ENGINE picks the engine', (t) => {
+  withEnv(t, { STT_ENGINE: 'mock' });
+  assert.equal(createSTTEngine().name, 'mock');
+});
+
+test('an explicit engine name wins over STT_ENGINE', (t) => {
+  withEnv(t, { STT_ENGINE: 'whisper-api', WHISPER_CPP_MODEL: '/models/ggml-small.bin' });
+  assert.equal(createSTTEngine('whisper-cpp').name, 'whisper-cpp');
+});
+
+test('whisper-api is the default and needs an API key', (t) => {
+  withEnv(t, { STT_ENGINE: undefined, OPENAI_API_KEY: undefined });
+  assert.throws(() => createSTTEngine(), /OPENAI_API_KEY/);
+
+  process.env.OPENAI_API_KEY = 'sk-test';
+  assert.equal(createSTTEngine().name, 'whisper-api');
+});
+
+test('whisper-cpp needs a model file', (t) => {
+  withEnv(t, { WHISPER_CPP_MODEL: undefined });
+  assert.throws(() => createSTTEngine('whisper-cpp'), /WHISPER_CPP_MODEL/);
+});
+
+test('unknown engines are rejected', () => {
+  assert.throws(() => createSTTEngine('vosk'), /Unknown STT engine "vosk"/);
+});
+
+test('the mock engine reads fixtures by audio hash, then by language', async (t) => {
+  const fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tara-stt-'));
+  t.after(() => fs.rm(fixtureDir, { recursive: true, force: true }));
+
+  const known = path.join(fixtureDir, 'known.webm');
+  const other = path.join(fixtureDir, 'other.webm');
+  await fs.writeFile(known, 'known recording');
+  await fs.writeFile(other, 'another recording');
+  const hash = crypto.createHash('sha256').update('known recording').digest('hex');
+  await fs.writeFile(path.join(fixtureDir, `${hash}.txt`), 'प्रकाश संश्लेषण क्या है?\n');
+  await fs.writeFile(path.join(fixtureDir, 'ta.txt'), 'ஒளிச்சேர்க்கை என்றால் என்ன?');
+
+  const engine = createSTTEngine('mock', { fixtureDir, defaultText: 'fallback' });
+  assert.equal(await engine.transcribe({ audioFilePath: known, language: 'ta' }), 'प्रकाश संश्लेषण क्या है?');
+  assert.equal(await engine.transcribe({ audioFilePath: other, language: 'ta' }), 'ஒளிச்சேர்க்கை என்றால் என்ன?');
+  // Auto-detect has no language to look up
+  assert.equal(await engine.transcribe({ audioFilePath: other, language: null }), 'fallback');
+});
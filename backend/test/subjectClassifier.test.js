@@ -0,0 +1,65 @@
+// Subject classification from the registry lexicons, without the LLM fallback, and the subject tutors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { SubjectClassifier } = require('../services/subjectClassifier');
+
+const registry = new ConfigRegistry().load();
+const classifier = new SubjectClassifier({ getSubjects: () => registry.subjects, llmFallback: false });
+
+test('common Hindi science questions are classified confidently from keywords', () => {
+  const questions = {
+    'न्यूटन का दूसरा नियम क्या है': 'physics',
+    'घर्षण बल क्यों लगता है?': 'physics',
+    'दर्पण में प्रकाश का परावर्तन कैसे होता है?': 'physics',
+    'इलेक्ट्रॉन और प्रोटॉन में क्या अंतर है?': 'chemistry',
+    'रासायनिक समीकरण को संतुलित कैसे करें?': 'chemistry',
+    'धातु और अधातु के गुण बताइए': 'chemistry',
+    'गुणसूत्र क्या होते हैं?': 'biology',
+    'मस्तिष्क और तंत्रिका तंत्र कैसे काम करते हैं?': 'biology',
+    'विटामिन की कमी से कौन से रोग होते हैं?': 'biology'
+  };
+
+  for (const [question, subject] of Object.entries(questions)) {
+    const result = classifier.classifyByKeywords(question);
+    assert.equal(result.subject, subject, question);
+    assert.ok(result.confidence >= classifier.llmThreshold, `${question}: confidence ${result.confidence}`);
+  }
+});
+
+test('a longer keyword keeps a shorter one from another subject from counting', () => {
+  // बीजगणित (algebra) starts with biology's बीज (seed)
+  assert.equal(classifier.classifyByKeywords('बीजगणित के सूत्र').subject, 'math');
+});
+
+test('questions without subject words stay general', async () => {
+  const result = await classifier.classify('आज का दिन कैसा है?', { language: 'hi' });
+  assert.equal(result.subject, 'general');
+  assert.equal(result.confidence, 0);
+});
+
+test('the biology, history, geography, civics and computer science tutors are recognized', () => {
+  const questions = {
+    'How does photosynthesis work in a plant cell?': 'biology',
+    'Why did the Mughal empire decline?': 'history',
+    'मौर्य साम्राज्य की स्थापना किसने की?': 'history',
+    'Which river flows through the Himalaya plateau region?': 'geography',
+    'भारत की सबसे लंबी नदी कौन सी है?': 'geography',
+    'What are the fundamental rights in the constitution?': 'civics',
+    'संसद में लोकसभा का क्या काम है?': 'civics',
+    'How do I write a program with an algorithm for sorting?': 'computer-science',
+    'கணினி நிரல் என்றால் என்ன?': 'computer-science'
+  };
+
+  for (const [question, subject] of Object.entries(questions)) {
+    assert.equal(classifier.classifyByKeywords(question).subject, subject, question);
+  }
+});
+
+test('every tutor has a prompt, an answer structure and guidance for each grade level', () => {
+  for (const code of ['biology', 'history', 'geography', 'civics', 'computer-science']) {
+    const tutor = registry.subjects[code];
+    assert.ok(tutor.prompt && tutor.answerStructure, code);
+    assert.deepEqual(Object.keys(tutor.gradeGuidance).sort(), ['advanced', 'basic', 'expert', 'intermediate'], code);
+  }
+});
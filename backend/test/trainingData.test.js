@@ -0,0 +1,85 @@
+// Fine-tuning dataset preparation: PII scrubbing, near-duplicate removal and the split
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scrubPII, dedupeQuestions, stratifiedSplit } = require('../services/trainingData');
+
+function example(question, metadata = {}) {
+  return {
+    messages: [
+      { role: 'system', content: 'You are Tara.' },
+      { role: 'user', content: question },
+      { role: 'assistant', content: `Answer to ${question}` }
+    ],
+    metadata: { language: 'hi', subject: 'physics', grade: '8', ...metadata }
+  };
+}
+
+function splitSizes({ splits }) {
+  return Object.fromEntries(Object.entries(splits).map(([split, items]) => [split, items.length]));
+}
+
+test('contact details and ID numbers are replaced with placeholders', () => {
+  const { text, count } = scrubPII(
+    'Mail me at riya.k@example.com or call +91 98765 43210, notes at https://example.com/n?id=4. ' +
+    'Aadhaar 2345 6789 0123, PAN ABCDE1234F'
+  );
+  assert.equal(text, 'Mail me at [EMAIL] or call [PHONE], notes at [URL] Aadhaar [AADHAAR], PAN [PAN]');
+  assert.equal(count, 5);
+});
+
+test('numbers that are part of the question are left alone', () => {
+  const question = 'What is 12345 × 678 and how far is 384400 km?';
+  assert.deepEqual(scrubPII(question), { text: question, count: 0 });
+  assert.deepEqual(scrubPII(undefined), { text: '', count: 0 });
+});
+
+test('near-identical questions keep the best-rated answer', () => {
+  const examples = [
+    example('What is photosynthesis?', { rating: 3 }),
+    example('what is photosynthesis', { rating: 5 }),
+    example('What is gravity?', { rating: 4 })
+  ];
+  const { unique, duplicates } = dedupeQuestions(examples);
+
+  assert.deepEqual(unique.map(item => item.messages[1].content), ['what is photosynthesis', 'What is gravity?']);
+  assert.deepEqual(duplicates.map(item => item.metadata.rating), [3]);
+});
+
+test('the same question in another language or subject is not a duplicate', () => {
+  const examples = [
+    example('What is energy?'),
+    example('What is energy?', { language: 'en' }),
+    example('What is energy?', { subject: 'biology' })
+  ];
+  assert.equal(dedupeQuestions(examples).unique.length, 3);
+});
+
+test('each stratum is split by the ratios', () => {
+  const examples = Array.from({ length: 20 }, (_, index) => example(`Question ${index}`, { grade: index % 2 ? '8' : '9' }));
+  const result = stratifiedSplit(examples);
+
+  assert.deepEqual(splitSizes(result), { train: 16, validation: 2, test: 2 });
+  assert.deepEqual(result.byStratum['hi|physics|8'], { train: 8, validation: 1, test: 1 });
+  assert.deepEqual(result.byStratum['hi|physics|9'], { train: 8, validation: 1, test: 1 });
+});
+
+test('many small strata still fill validation and test', () => {
+  const subjects = ['physics', 'chemistry', 'biology', 'math', 'general'];
+  const examples = subjects.flatMap(subject => ['6', '7', '8', '9'].flatMap(grade =>
+    [1, 2].map(n => example(`${subject} ${grade} question ${n}`, { subject, grade }))
+  ));
+  const result = stratifiedSplit(examples);
+
+  assert.deepEqual(splitSizes(result), { train: 32, validation: 4, test: 4 });
+  for (const counts of Object.values(result.byStratum)) {
+    assert.equal(counts.train + counts.validation + counts.test, 2);
+  }
+});
+
+test('the same seed gives the same split', () => {
+  const examples = Array.from({ length: 30 }, (_, index) => example(`Question ${index}`, { grade: String(6 + (index % 4)) }));
+  const questions = (result) => Object.values(result.splits).map(items => items.map(item => item.messages[1].content));
+
+  assert.deepEqual(questions(stratifiedSplit(examples, { seed: 7 })), questions(stratifiedSplit(examples, { seed: 7 })));
+  assert.notDeepEqual(questions(stratifiedSplit(examples, { seed: 7 })), questions(stratifiedSplit(examples, { seed: 8 })));
+});
@@ -0,0 +1,46 @@
+// Romanized → native script transliteration of typed text and romanized questions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { Transliterator } = require('../services/transliteration');
+const { LanguageDetector } = require('../services/languageDetector');
+
+const registry = new ConfigRegistry().load();
+const transliterator = new Transliterator({
+  getLanguages: () => registry.languages,
+  getKeepWords: () => Object.values(registry.subjects).flatMap(subject => subject.keywords || []),
+  normalizeQuestions: true
+});
+const detector = new LanguageDetector({ getLanguages: () => registry.languages });
+
+function normalize(question) {
+  return transliterator.normalizeQuestion(question, detector.detect(question));
+}
+
+test('formulas, variables and digits are left alone', () => {
+  assert.equal(normalize('x^2 + 3x = 10 ka hal kya hai?'), 'x^2 + 3x = 10 का hal क्या है?');
+  assert.equal(normalize('a ki value kya hai agar a+b=5'), 'a की value क्या है agar a+b=5');
+  assert.equal(transliterator.transliterate('H2O aur CO2 kya hai', 'hi').text, 'H2O और CO2 क्या है');
+});
+
+test('questions only rewrite lexicon and marker words, keeping English terms', () => {
+  assert.equal(normalize('newton ka second law kya hai'), 'newton का second law क्या है');
+  assert.equal(normalize('samikaran kya hota hai'), 'समीकरण क्या होता है');
+  assert.equal(normalize('photosynthesis kya hai'), 'photosynthesis क्या है');
+});
+
+test('questions already in native script or English are not rewritten', () => {
+  assert.equal(normalize('समीकरण क्या होता है'), null);
+  assert.equal(normalize('What is Newton\'s second law?'), null);
+});
+
+test('the endpoint form converts unknown words too', () => {
+  const { text, words } = transliterator.transliterate('samikaran ka hal', 'hi');
+  assert.equal(text, 'समीकरण का हल');
+  assert.deepEqual(words.map(word => word.input), ['samikaran', 'ka', 'hal']);
+});
+
+test('Tamil has no transliteration rules', () => {
+  assert.equal(transliterator.supports('ta'), false);
+  assert.deepEqual(transliterator.transliterate('enna', 'ta'), { text: 'enna', words: [] });
+});
@@ -0,0 +1,72 @@
+// Text-to-speech engine selection, per-language engines and the fallback chain
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigRegistry } = require('../config/registry');
+const { TTSService } = require('../services/tts');
+const LocalEngine = require('../services/tts/localEngine');
+
+const registry = new ConfigRegistry().load();
+const hindi = registry.languages.hi;
+
+// Records what each engine was asked to read
+function fakeEngine(name, calls, { fail = false } = {}) {
+  return {
+    name,
+    async synthesize({ text, ssml }) {
+      calls.push({ engine: name, text, ssml });
+      if (fail) throw new Error(`${name} is down`);
+      return { audioContent: Buffer.from(name), extension: 'mp3' };
+    }
+  };
+}
+
+test('the default engine comes first, then the fallback chain', () => {
+  const service = new TTSService({ defaultEngine: 'silent', fallback: ['local'] });
+  assert.equal(service.defaultEngine, 'silent');
+  assert.deepEqual(service.enginesFor(hindi), ['silent', 'local']);
+});
+
+test('unknown engines are rejected up front', () => {
+  assert.throws(() => new TTSService({ defaultEngine: 'polly' }), /Unknown TTS engine "polly"/);
+  assert.throws(() => new TTSService({ defaultEngine: 'silent', fallback: ['silent', 'festival'] }), /Unknown TTS engine "festival"/);
+});
+
+test('a language can pin its own engine, still falling back to the chain', () => {
+  const service = new TTSService({ defaultEngine: 'google', fallback: ['local', 'silent'] });
+  assert.deepEqual(service.enginesFor({ ...hindi, ttsEngine: 'local' }), ['local', 'silent']);
+  assert.deepEqual(service.enginesFor({ ...hindi, ttsEngine: undefined }), ['google', 'local', 'silent']);
+});
+
+test('the next engine answers when one fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const calls = [];
+  const service = new TTSService({ defaultEngine: 'google', fallback: ['local'] });
+  service.engines.google = fakeEngine('google', calls, { fail: true });
+  service.engines.local = fakeEngine('local', calls);
+
+  const result = await service.synthesize('नमस्ते', hindi, { ssml: '<speak>नमस्ते</speak>' });
+  assert.equal(result.engine, 'local');
+  assert.equal(result.audioContent.toString(), 'local');
+  assert.deepEqual(calls.map(call => call.engine), ['google', 'local']);
+  assert.equal(calls[1].ssml, '<speak>नमस्ते</speak>');
+});
+
+test('a missing local TTS binary falls back to silence', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const service = new TTSService({ defaultEngine: 'local', fallback: ['silent'] });
+  service.engines.local = new LocalEngine({ command: 'tara-missing-tts-binary' });
+
+  const result = await service.synthesize('नमस्ते', hindi);
+  assert.equal(result.engine, 'silent');
+  assert.equal(result.extension, 'wav');
+  assert.equal(result.audioContent.toString('ascii', 0, 4), 'RIFF');
+});
+
+test('the last error is thrown when every engine fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const service = new TTSService({ defaultEngine: 'google', fallback: ['local'] });
+  service.engines.google = fakeEngine('google', [], { fail: true });
+  service.engines.local = fakeEngine('local', [], { fail: true });
+
+  await assert.rejects(service.synthesize('नमस्ते', hindi), /local is down/);
+});
@@ -0,0 +1,63 @@
+// Spoken math for text-to-speech: powers, roots, fractions, formulas and units in each language's words
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SpeechVerbalizer, VOCABULARY } = require('../services/tts/verbalizer');
+
+const verbalizer = new SpeechVerbalizer({ enabled: true });
+const say = (text, language = 'en') => verbalizer.verbalize(text, language);
+
+test('powers, roots and fractions follow each language\'s word order', () => {
+  assert.equal(say('x^2 + 3x = 10', 'hi'), 'x का वर्ग प्लस 3x बराबर 10');
+  assert.equal(say('x^2', 'ta'), 'x இன் வர்க்கம்');
+  assert.equal(say('3/4', 'ta'), '4 இல் 3'); // Denominator first
+  assert.equal(say('5/3 of the cake'), '5 over 3 of the cake');
+  assert.equal(say('√(b^2 - 4ac)', 'hi'), 'b का वर्ग माइनस 4ac का वर्गमूल');
+});
+
+test('a minus after a spoken power, root, unit or formula is still subtraction', () => {
+  assert.equal(say('x^2 - 4 = 0', 'hi'), 'x का वर्ग माइनस 4 बराबर 0');
+  assert.equal(say('x² − 4 = 0', 'ta'), 'x இன் வர்க்கம் கழித்தல் 4 சமம் 0');
+  assert.equal(say('√2 - 1', 'hi'), '2 का वर्गमूल माइनस 1');
+  assert.equal(say('9.8 m - 2 m'), '9 point 8 metres minus 2 metres');
+  assert.equal(say('H2O - H2'), 'H 2 O minus H 2');
+  assert.equal(say('a well-known result'), 'a well-known result');
+});
+
+test('superscripts, subscripts and the unicode minus are read like typed notation', () => {
+  assert.equal(say('x²', 'hi'), say('x^2', 'hi'));
+  assert.equal(say('H₂O'), say('H2O'));
+  assert.equal(say('-5 < 3', 'hi'), 'ऋण 5 लघुतर 3');
+});
+
+test('chemical formulas are spelled element by element', () => {
+  assert.equal(say('H2SO4 + 2H2 → products', 'hi'), 'H 2 S O 4 प्लस 2 H 2 से बनता है products');
+  assert.equal(say('Mg3N2'), 'Mg 3 N 2'); // Not "3 newtons"
+  assert.equal(say('NaCl is salt'), 'NaCl is salt'); // No counts, read as written
+});
+
+test('units are named after numbers, with per and square/cube forms', () => {
+  assert.equal(say('g = 9.8 m/s^2', 'hi'), 'g बराबर 9 दशमलव 8 मीटर प्रति वर्ग सेकंड');
+  assert.equal(say('area 20 m²', 'mr'), 'area 20 चौरस मीटर');
+  assert.equal(say('The 1990s and 5 s', 'hi'), 'The 1990s and 5 सेकंड');
+});
+
+test('dates, grouped numbers and and/or are left for the voice', () => {
+  assert.equal(say('15/08/1947 को', 'hi'), '15/08/1947 को');
+  assert.equal(say('1,00,000 रुपये', 'hi'), '100000 रुपये');
+  assert.equal(say('and/or', 'hi'), 'and/or');
+});
+
+test('unsupported languages and a disabled verbalizer leave the text alone', () => {
+  assert.equal(say('x^2', 'xx'), 'x^2');
+  assert.equal(new SpeechVerbalizer({ enabled: false }).verbalize('x^2', 'hi'), 'x^2');
+  assert.equal(say('', 'hi'), '');
+});
+
+test('every language has the same words, templates and units', () => {
+  const [reference, ...others] = Object.values(VOCABULARY);
+  for (const vocabulary of others) {
+    for (const part of ['words', 'templates', 'units']) {
+      assert.deepEqual(Object.keys(vocabulary[part]).sort(), Object.keys(reference[part]).sort());
+    }
+  }
+});
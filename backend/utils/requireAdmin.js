@@ -0,0 +1,23 @@
+// Express middleware for admin endpoints: expects `Authorization: Bearer <ADMIN_API_TOKEN>`.
+// Without ADMIN_API_TOKEN configured the admin API is switched off.
+const crypto = require('crypto');
+
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API disabled', message: 'Set ADMIN_API_TOKEN to enable it' });
+  }
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  // Compare hashes so the check takes the same time whatever the token length
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  if (!token || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = requireAdmin;
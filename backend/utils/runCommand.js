@@ -0,0 +1,20 @@
+// Run a local CLI tool (TTS/STT binaries) and resolve with its stdout
+const { execFile } = require('child_process');
+
+function runCommand(command, args, { input, timeout = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${stderr || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+module.exports = runCommand;
@@ -0,0 +1,45 @@
+// Session IDs issued by the server: a random UUID plus an HMAC of it under SESSION_SECRET,
+// so a client can't make up or guess another student's session. Without SESSION_SECRET a
+// random secret is used, and sessions don't survive a restart.
+const crypto = require('crypto');
+
+const SESSION_ID = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/;
+
+let fallbackSecret = null;
+
+function secret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ SESSION_SECRET is not set - session IDs stop working when the server restarts');
+  }
+  return fallbackSecret;
+}
+
+function sign(id) {
+  return crypto.createHmac('sha256', secret()).update(id).digest('base64url');
+}
+
+function issueSessionId() {
+  const id = crypto.randomUUID();
+  return `${id}.${sign(id)}`;
+}
+
+function isValidSessionId(sessionId) {
+  const match = typeof sessionId === 'string' && sessionId.match(SESSION_ID);
+  if (!match) return false;
+
+  const expected = Buffer.from(sign(match[1]));
+  const actual = Buffer.from(match[2]);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Express middleware for the /api/sessions/:sessionId routes
+function requireSession(req, res, next) {
+  if (!isValidSessionId(req.params.sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  next();
+}
+
+module.exports = { issueSessionId, isValidSessionId, requireSession };
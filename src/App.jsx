@@ -1,49 +1,35 @@
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import axios from 'axios'
-import { Mic, Volume2, Languages, MessageCircle, Loader2, Home, User, Settings, HelpCircle, BookOpen, GraduationCap } from 'lucide-react'
+import { Mic, Volume2, Languages, MessageCircle, Loader2, Home, User, Settings, HelpCircle, BookOpen, GraduationCap, RotateCcw } from 'lucide-react'
 import './App.css'
 import FeedbackComponent from './components/FeedbackComponent'
+import AnswerContent from './components/AnswerContent'
+import { askStream } from './utils/askStream'
+import { AudioPlaylistPlayer } from './utils/audioPlaylist'
 
 // Use environment variable for API base URL, fallback to localhost for development
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api'
 
 console.log('API Base URL:', API_BASE_URL)
 
-// Language options for Indian regional languages
-const LANGUAGES = [
-  { code: 'hi', name: 'हिंदी (Hindi)', flag: '🇮🇳' },
-  { code: 'ta', name: 'தமிழ் (Tamil)', flag: '🇮🇳' },
-  { code: 'bn', name: 'বাংলা (Bengali)', flag: '🇮🇳' },
-  { code: 'te', name: 'తెలుగు (Telugu)', flag: '🇮🇳' },
-  { code: 'mr', name: 'मराठी (Marathi)', flag: '🇮🇳' },
-  { code: 'gu', name: 'ગુજરાતી (Gujarati)', flag: '🇮🇳' },
-  { code: 'kn', name: 'ಕನ್ನಡ (Kannada)', flag: '🇮🇳' },
-  { code: 'ml', name: 'മലയാളം (Malayalam)', flag: '🇮🇳' },
-  { code: 'en', name: 'English', flag: '🇬🇧' },
-]
+// The conversation session survives page reloads so follow-up questions keep their context
+const SESSION_STORAGE_KEY = 'tara_session_id'
 
-// Subject options for specialized tutoring
-const SUBJECTS = [
-  { code: 'general', name: 'General Studies', icon: '📚' },
-  { code: 'math', name: 'Mathematics', icon: '🔢' },
-  { code: 'physics', name: 'Physics', icon: '⚗️' },
-  { code: 'chemistry', name: 'Chemistry', icon: '🧪' },
+// "Explain it differently" options for re-asking an answer
+const REASK_VARIANTS = [
+  { code: 'simpler', name: 'Simpler' },
+  { code: 'examples', name: 'More examples' },
+  { code: 'shorter', name: 'Shorter' },
+  { code: 'step-by-step', name: 'Step by step' },
 ]
 
-// Grade level options
-const GRADES = [
-  { code: 6, name: 'Class 6' },
-  { code: 7, name: 'Class 7' },
-  { code: 8, name: 'Class 8' },
-  { code: 9, name: 'Class 9' },
-  { code: 10, name: 'Class 10' },
-  { code: 11, name: 'Class 11' },
-  { code: 12, name: 'Class 12' },
-]
+// Show languages as "हिंदी (Hindi)" when the native name differs
+const languageLabel = ({ name, nativeName }) =>
+  nativeName && nativeName !== name ? `${nativeName} (${name})` : name
 
 function App() {
   const [question, setQuestion] = useState('')
-  const [selectedLanguage, setSelectedLanguage] = useState('hi')
+  const [selectedLanguage, setSelectedLanguage] = useState('auto') // 'auto' lets the server detect it
   const [selectedSubject, setSelectedSubject] = useState('general')
   const [selectedGrade, setSelectedGrade] = useState(null)
   const [response, setResponse] = useState(null)
@@ -55,6 +41,114 @@ function App() {
   const [currentAudio, setCurrentAudio] = useState(null) // Track current playing audio
   const [isPlaying, setIsPlaying] = useState(false) // Track if audio is playing
   const [recordingTimeout, setRecordingTimeout] = useState(null)
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY))
+  const [reaskingVariant, setReaskingVariant] = useState(null)
+  // Languages, subjects and grades come from the backend registries
+  const [languages, setLanguages] = useState([])
+  const [subjects, setSubjects] = useState([])
+  const [grades, setGrades] = useState([])
+  // Inline transliteration: native spellings for the Latin word being typed
+  const [typeRomanized, setTypeRomanized] = useState(false)
+  const [wordSuggestions, setWordSuggestions] = useState({ word: '', options: [] })
+  const suggestionTimer = useRef(null)
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [languageResult, subjectResult, gradeResult] = await Promise.all([
+          axios.get(`${API_BASE_URL}/languages`),
+          axios.get(`${API_BASE_URL}/subjects`),
+          axios.get(`${API_BASE_URL}/grades`),
+        ])
+        setLanguages(languageResult.data.languages.map(lang => ({ ...lang, name: languageLabel(lang) })))
+        setSubjects(subjectResult.data.subjects)
+        setGrades(gradeResult.data.grades)
+      } catch (err) {
+        console.error('Error loading options:', err)
+        setError('Could not load languages and subjects. Please check that the server is running.')
+      }
+    }
+
+    loadOptions()
+  }, [])
+
+  // Stream the answer into the response panel as Tara writes it.
+  // With autoPlay, each sentence is played as soon as its audio is ready.
+  // language defaults to the selected one ('auto' included)
+  const askTara = async (questionText, { autoPlay = false, language = selectedLanguage } = {}) => {
+    let player = null
+
+    setResponse({
+      question: questionText,
+      answer: '',
+      languageName: languages.find(lang => lang.code === language)?.name || 'your language',
+      streaming: true,
+    })
+
+    try {
+      const finalResponse = await askStream(`${API_BASE_URL}/ask/stream`, {
+        question: questionText,
+        language,
+        subject: selectedSubject !== 'general' ? selectedSubject : null,
+        grade: selectedGrade
+      }, {
+        sessionId,
+        onToken: (text) => setResponse(prev => ({ ...prev, answer: prev.answer + text })),
+        onAudioChunk: ({ audioUrl }) => {
+          if (!autoPlay) return
+          if (!player) player = startPlayer()
+          player.enqueue(audioUrl)
+        },
+        onMetadata: (metadata) => setResponse(prev => ({ ...prev, ...metadata })),
+        onAudio: ({ audioUrl, audioPlaylist }) => setResponse(prev => ({ ...prev, audioUrl, audioPlaylist })),
+      })
+
+      player?.done()
+      setResponse({ ...finalResponse, streaming: false })
+      if (finalResponse.sessionId !== sessionId) {
+        localStorage.setItem(SESSION_STORAGE_KEY, finalResponse.sessionId)
+        setSessionId(finalResponse.sessionId)
+      }
+      return finalResponse
+    } catch (err) {
+      player?.stop()
+      throw err
+    }
+  }
+
+  // Ask Tara to explain the current answer again in a different style
+  const handleReask = async (variant) => {
+    if (!response?.interactionId) return
+
+    stopCurrentAudio()
+    setReaskingVariant(variant)
+    setError('')
+
+    try {
+      const result = await axios.post(`${API_BASE_URL}/ask/${response.interactionId}/reask`, { variant }, {
+        timeout: 70000 // 70 second timeout to match backend
+      })
+      setResponse(result.data)
+    } catch (err) {
+      console.error('Error re-asking:', err)
+      setError(err.response?.data?.message || 'Failed to explain differently. Please try again.')
+    } finally {
+      setReaskingVariant(null)
+    }
+  }
+
+  // Forget the conversation so the next question starts fresh
+  const startNewConversation = () => {
+    if (sessionId) {
+      axios.delete(`${API_BASE_URL}/sessions/${sessionId}`).catch(err => {
+        console.error('Failed to clear conversation:', err)
+      })
+    }
+    localStorage.removeItem(SESSION_STORAGE_KEY)
+    setSessionId(null)
+    setResponse(null)
+    setError('')
+  }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -65,57 +159,51 @@ function App() {
     setResponse(null)
 
     try {
-      const result = await axios.post(`${API_BASE_URL}/ask`, {
-        question: question.trim(),
-        language: selectedLanguage,
-        subject: selectedSubject !== 'general' ? selectedSubject : null,
-        grade: selectedGrade
-      })
-
-      setResponse(result.data)
+      await askTara(question.trim())
       setQuestion('')
     } catch (err) {
       console.error('Error:', err)
-      setError(err.response?.data?.message || 'Failed to get answer. Please try again.')
+      setResponse(null)
+      setError(err.message || 'Failed to get answer. Please try again.')
     } finally {
       setLoading(false)
     }
   }
 
-  const playAudio = (audioUrl) => {
-    // Stop current audio if playing
+  // Start a fresh player for Tara's voice, stopping anything already playing
+  const startPlayer = () => {
     if (currentAudio) {
-      currentAudio.pause()
-      currentAudio.currentTime = 0
-    }
-    
-    const audio = new Audio(audioUrl)
-    setCurrentAudio(audio)
-    setIsPlaying(true)
-    
-    audio.onended = () => {
-      setIsPlaying(false)
-      setCurrentAudio(null)
-    }
-    
-    audio.onerror = () => {
-      setIsPlaying(false)
-      setCurrentAudio(null)
-      setError('Could not play audio. Please try again.')
+      currentAudio.stop()
     }
-    
-    audio.play().catch(err => {
-      console.error('Error playing audio:', err)
-      setIsPlaying(false)
-      setCurrentAudio(null)
-      setError('Could not play audio. Please try again.')
+
+    const player = new AudioPlaylistPlayer({
+      onEnded: () => {
+        setIsPlaying(false)
+        setCurrentAudio(null)
+      },
+      onError: (err) => {
+        console.error('Error playing audio:', err)
+        setIsPlaying(false)
+        setCurrentAudio(null)
+        setError('Could not play audio. Please try again.')
+      },
     })
+    setCurrentAudio(player)
+    setIsPlaying(true)
+    return player
+  }
+
+  // Play one URL or an ordered playlist of sentence chunks without gaps
+  const playAudio = (audioUrls) => {
+    const urls = Array.isArray(audioUrls) ? audioUrls : [audioUrls]
+    const player = startPlayer()
+    urls.forEach(url => player.enqueue(url))
+    player.done()
   }
 
   const stopCurrentAudio = () => {
     if (currentAudio) {
-      currentAudio.pause()
-      currentAudio.currentTime = 0
+      currentAudio.stop()
       setCurrentAudio(null)
       setIsPlaying(false)
     }
@@ -206,28 +294,14 @@ function App() {
       const transcribedQuestion = transcribeResult.data.transcription
       setQuestion(transcribedQuestion)
 
-      // Step 2: Get AI answer
-      const answerResult = await axios.post(`${API_BASE_URL}/ask`, {
-        question: transcribedQuestion,
-        language: selectedLanguage,
-        subject: selectedSubject !== 'general' ? selectedSubject : null,
-        grade: selectedGrade
-      }, {
-        timeout: 70000 // 70 second timeout to match backend
-      })
-
-      setResponse(answerResult.data)
-      
-      // Step 3: Auto-play the audio response
-      if (answerResult.data.audioUrl) {
-        setTimeout(() => {
-          playAudio(answerResult.data.audioUrl)
-        }, 500) // Small delay for better UX
-      }
+      // Step 2: Get AI answer, streamed into the response panel and
+      // auto-played sentence by sentence as the audio becomes ready.
+      // The transcription tells us the spoken language when it was auto-detected.
+      await askTara(transcribedQuestion, { autoPlay: true, language: transcribeResult.data.language })
 
     } catch (err) {
       console.error('Error processing voice:', err)
-      setError(err.response?.data?.message || 'Failed to process voice input. Please try again.')
+      setError(err.response?.data?.message || err.message || 'Failed to process voice input. Please try again.')
     } finally {
       setIsProcessingVoice(false)
     }
@@ -254,9 +328,50 @@ function App() {
     }
   }
 
-  const selectedLangData = LANGUAGES.find(lang => lang.code === selectedLanguage)
-  const selectedSubjectData = SUBJECTS.find(subj => subj.code === selectedSubject)
-  const selectedGradeData = GRADES.find(grade => grade.code === selectedGrade)
+  const selectedLangData = languages.find(lang => lang.code === selectedLanguage)
+  const selectedSubjectData = subjects.find(subj => subj.code === selectedSubject)
+  const transliterating = typeRomanized && Boolean(selectedLangData?.transliteration)
+
+  // While transliterating, suggest spellings for the word being typed; typing a space
+  // converts the finished word to the first suggestion
+  const handleQuestionChange = (value) => {
+    clearTimeout(suggestionTimer.current)
+    if (!transliterating) {
+      setQuestion(value)
+      return
+    }
+
+    const finishedWord = value.match(/([A-Za-z]+) $/)?.[1]
+    if (finishedWord && finishedWord === wordSuggestions.word && wordSuggestions.options.length) {
+      setQuestion(`${value.slice(0, -finishedWord.length - 1)}${wordSuggestions.options[0]} `)
+      setWordSuggestions({ word: '', options: [] })
+      return
+    }
+    setQuestion(value)
+
+    const currentWord = value.match(/[A-Za-z]+$/)?.[0]
+    if (!currentWord) {
+      setWordSuggestions({ word: '', options: [] })
+      return
+    }
+    suggestionTimer.current = setTimeout(async () => {
+      try {
+        const result = await axios.post(`${API_BASE_URL}/transliterate`, {
+          text: currentWord,
+          language: selectedLanguage,
+          suggestions: 4
+        })
+        setWordSuggestions({ word: currentWord, options: result.data.words[0]?.suggestions || [] })
+      } catch (err) {
+        console.error('Transliteration failed:', err)
+      }
+    }, 200)
+  }
+
+  const pickSuggestion = (option) => {
+    setQuestion(prev => prev.replace(/[A-Za-z]+$/, `${option} `))
+    setWordSuggestions({ word: '', options: [] })
+  }
 
   return (
     <div className="app">
@@ -332,9 +447,9 @@ function App() {
                 onChange={(e) => setSelectedSubject(e.target.value)}
                 className="academic-dropdown"
               >
-                {SUBJECTS.map(subject => (
+                {subjects.map(subject => (
                   <option key={subject.code} value={subject.code}>
-                    {subject.icon} {subject.name}
+                    {subject.icon} {subject.name}{subject.code === 'general' ? ' (auto-detect)' : ''}
                   </option>
                 ))}
               </select>
@@ -352,7 +467,7 @@ function App() {
                 className="academic-dropdown"
               >
                 <option value="">Auto-detect</option>
-                {GRADES.map(grade => (
+                {grades.map(grade => (
                   <option key={grade.code} value={grade.code}>
                     {grade.name}
                   </option>
@@ -371,7 +486,8 @@ function App() {
                 onChange={(e) => setSelectedLanguage(e.target.value)}
                 className="academic-dropdown"
               >
-                {LANGUAGES.map(lang => (
+                <option value="auto">🌐 Auto-detect</option>
+                {languages.map(lang => (
                   <option key={lang.code} value={lang.code}>
                     {lang.flag} {lang.name}
                   </option>
@@ -385,12 +501,36 @@ function App() {
             <div className="input-group">
               <textarea
                 value={question}
-                onChange={(e) => setQuestion(e.target.value)}
-                placeholder={`Ask your ${selectedSubjectData?.name} question in ${selectedLangData?.name}...`}
+                onChange={(e) => handleQuestionChange(e.target.value)}
+                placeholder={selectedSubjectData
+                  ? `Ask your ${selectedSubjectData.name} question in ${selectedLangData ? selectedLangData.name : 'any language'}...`
+                  : 'Ask your question...'}
                 className="question-input"
                 rows="3"
                 disabled={loading}
               />
+              {selectedLangData?.transliteration && (
+                <label className="transliteration-toggle">
+                  <input
+                    type="checkbox"
+                    checked={typeRomanized}
+                    onChange={(e) => {
+                      setTypeRomanized(e.target.checked)
+                      setWordSuggestions({ word: '', options: [] })
+                    }}
+                  />
+                  Type in English letters → {selectedLangData.nativeName}
+                </label>
+              )}
+              {transliterating && wordSuggestions.options.length > 0 && (
+                <div className="transliteration-suggestions">
+                  {wordSuggestions.options.map(option => (
+                    <button key={option} type="button" onClick={() => pickSuggestion(option)} className="suggestion-chip">
+                      {option}
+                    </button>
+                  ))}
+                </div>
+              )}
               {question.trim() && (
                 <button 
                   onClick={handleSubmit}
@@ -404,6 +544,17 @@ function App() {
                   )}
                 </button>
               )}
+              {sessionId && (
+                <button
+                  onClick={startNewConversation}
+                  disabled={loading}
+                  className="new-conversation-button"
+                  title="Start a new conversation"
+                >
+                  <RotateCcw size={14} />
+                  New conversation
+                </button>
+              )}
             </div>
           </div>
 
@@ -419,19 +570,37 @@ function App() {
             <div className="response-container">
               <div className="response-header">
                 <div className="subject-info">
-                  <span className="subject-badge">
-                    {SUBJECTS.find(s => s.code === response.subject)?.icon} {response.subjectName}
-                  </span>
+                  {response.subject && (
+                    <span
+                      className="subject-badge"
+                      title={response.subjectAlternatives?.length
+                        ? `Also possible: ${response.subjectAlternatives.map(alt => `${alt.subjectName} ${Math.round(alt.confidence * 100)}%`).join(', ')}`
+                        : undefined}
+                    >
+                      {subjects.find(s => s.code === response.subject)?.icon} {response.subjectName}
+                      {response.subjectDetection !== 'selected' && response.subjectConfidence != null && (
+                        <span className="detection-note"> · auto-detected {Math.round(response.subjectConfidence * 100)}%</span>
+                      )}
+                    </span>
+                  )}
                   {response.grade && (
                     <span className="grade-badge">
                       🎓 {response.grade}
                     </span>
                   )}
                 </div>
-                <h3>Answer in {response.languageName}</h3>
+                <h3>
+                  Answer in {response.languageName}
+                  {response.languageDetection?.requested === 'auto' && (
+                    <span className="detection-note">
+                      {' '}· detected{response.languageDetection.romanized ? ' from English letters' : ''}
+                      {response.languageDetection.codeMixed ? ' (code-mixed)' : ''}
+                    </span>
+                  )}
+                </h3>
                 {response.audioUrl && (
                   <button 
-                    onClick={() => playAudio(response.audioUrl)}
+                    onClick={() => playAudio(response.audioPlaylist?.length ? response.audioPlaylist : response.audioUrl)}
                     className="play-button"
                     title="Play audio"
                   >
@@ -449,14 +618,56 @@ function App() {
                 
                 <div className="answer-display">
                   <strong>Answer:</strong>
-                  <div className="answer-text">{response.answer}</div>
+                  <div className="answer-text">
+                    <AnswerContent text={response.answer} />
+                    {response.streaming && <span className="streaming-cursor" />}
+                  </div>
                 </div>
+
+                {/* Textbook passages the answer was based on */}
+                {response.citations?.length > 0 && (
+                  <div className="citations">
+                    <strong>From your textbook:</strong>
+                    <ul>
+                      {response.citations.map(citation => (
+                        <li key={citation.index}>
+                          Class {citation.grade} {subjects.find(s => s.code === citation.subject)?.name || citation.subject}
+                          {' · '}Ch. {citation.chapterNumber ? `${citation.chapterNumber} ` : ''}{citation.chapter}
+                          {citation.page && ` · p. ${citation.page}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Explain it differently */}
+                {response.interactionId && !response.streaming && (
+                  <div className="reask-options">
+                    <span className="reask-label">
+                      {response.variantName ? `Explained again: ${response.variantName}. ` : ''}Explain it differently:
+                    </span>
+                    {REASK_VARIANTS.map(variant => (
+                      <button
+                        key={variant.code}
+                        onClick={() => handleReask(variant.code)}
+                        disabled={reaskingVariant !== null}
+                        className="reask-button"
+                      >
+                        {reaskingVariant === variant.code && <Loader2 className="spinner" size={12} />}
+                        {variant.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
-              {/* Feedback Component */}
-              {response.sessionId && (
+              {/* Feedback Component - attached to the answer's interaction */}
+              {response.interactionId && !response.streaming && (
                 <FeedbackComponent 
+                  key={`${response.interactionId}-${response.variant || 'original'}`}
                   sessionId={response.sessionId}
+                  interactionId={response.interactionId}
+                  variant={response.variant}
                   onFeedbackSubmit={(feedbackData) => {
                     console.log('Feedback submitted:', feedbackData);
                   }}
@@ -0,0 +1,22 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+
+// Answers come as Markdown with LaTeX math in $...$ (inline) and $$...$$ (display).
+// While an answer streams in, a half-written formula shows as plain text until it closes.
+const AnswerContent = ({ text }) => {
+  return (
+    <div className="answer-markdown">
+      <ReactMarkdown
+        remarkPlugins={[remarkMath]}
+        rehypePlugins={[[rehypeKatex, { throwOnError: false, strict: false }]]}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default AnswerContent;
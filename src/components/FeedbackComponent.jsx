@@ -4,7 +4,7 @@ import { Star, ThumbsUp, ThumbsDown, Send } from 'lucide-react';
 // Use environment variable for API base URL, fallback to localhost for development
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001/api'
 
-const FeedbackComponent = ({ sessionId, onFeedbackSubmit }) => {
+const FeedbackComponent = ({ sessionId, interactionId, variant, onFeedbackSubmit }) => {
   const [rating, setRating] = useState(0);
   const [feedback, setFeedback] = useState('');
   const [wasHelpful, setWasHelpful] = useState(null);
@@ -13,7 +13,7 @@ const FeedbackComponent = ({ sessionId, onFeedbackSubmit }) => {
   const [startTime] = useState(Date.now()); // Track when component mounted
 
   const submitFeedback = async () => {
-    if (!sessionId) return;
+    if (!interactionId) return;
 
     try {
       const response = await fetch(`${API_BASE_URL}/feedback`, {
@@ -23,6 +23,8 @@ const FeedbackComponent = ({ sessionId, onFeedbackSubmit }) => {
         },
         body: JSON.stringify({
           sessionId,
+          interactionId,
+          variant, // Which "explain it differently" answer is being rated, if any
           userRating: rating,
           userFeedback: feedback.trim() || null,
           wasHelpful,
@@ -0,0 +1,74 @@
+// Reads the Server-Sent Events stream from POST /api/ask/stream.
+// Calls the handlers as events arrive and resolves with the final `done` payload.
+export async function askStream(url, body, { sessionId, onToken, onAudioChunk, onMetadata, onAudio, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      // Same session across questions so Tara remembers the conversation
+      ...(sessionId && { 'X-Session-Id': sessionId }),
+    },
+    body: JSON.stringify(body),
+    signal,
+  })
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.message || data.error || 'Failed to get answer. Please try again.')
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let finalResponse = null
+
+  const handleEvent = (rawEvent) => {
+    let event = 'message'
+    const dataLines = []
+
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim())
+    }
+    if (dataLines.length === 0) return
+
+    const data = JSON.parse(dataLines.join('\n'))
+    switch (event) {
+      case 'token':
+        onToken?.(data.text)
+        break
+      case 'audio-chunk':
+        onAudioChunk?.(data)
+        break
+      case 'metadata':
+        onMetadata?.(data)
+        break
+      case 'audio':
+        onAudio?.(data)
+        break
+      case 'done':
+        finalResponse = data
+        break
+      case 'error':
+        throw new Error(data.message || data.error)
+    }
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      handleEvent(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+    }
+  }
+
+  if (!finalResponse) {
+    throw new Error('The answer stream ended unexpectedly. Please try again.')
+  }
+  return finalResponse
+}
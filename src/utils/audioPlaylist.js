@@ -0,0 +1,74 @@
+// Plays sentence audio chunks back to back through Web Audio, so there is no gap
+// between sentences. Chunks can be enqueued while earlier ones are still playing.
+export class AudioPlaylistPlayer {
+  constructor({ onEnded, onError } = {}) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext
+    this.context = new AudioContext()
+    this.onEnded = onEnded
+    this.onError = onError
+    this.nextStartTime = 0
+    this.pending = Promise.resolve()
+    this.sources = []
+    this.finished = false
+    this.stopped = false
+  }
+
+  // Chunks are decoded in arrival order and each starts exactly when the previous one ends
+  enqueue(url) {
+    this.pending = this.pending.then(async () => {
+      if (this.stopped) return
+
+      try {
+        await this.context.resume()
+        const response = await fetch(url)
+        const buffer = await this.context.decodeAudioData(await response.arrayBuffer())
+        if (this.stopped) return
+
+        const source = this.context.createBufferSource()
+        source.buffer = buffer
+        source.connect(this.context.destination)
+        source.onended = () => {
+          this.sources = this.sources.filter(playing => playing !== source)
+          this.checkEnded()
+        }
+
+        const startAt = Math.max(this.nextStartTime, this.context.currentTime + 0.05)
+        source.start(startAt)
+        this.nextStartTime = startAt + buffer.duration
+        this.sources.push(source)
+      } catch (error) {
+        this.stop()
+        this.onError?.(error)
+      }
+    })
+  }
+
+  // Call once every chunk has been enqueued, so onEnded fires after the last one
+  done() {
+    this.pending.then(() => {
+      this.finished = true
+      this.checkEnded()
+    })
+  }
+
+  checkEnded() {
+    if (this.finished && !this.stopped && this.sources.length === 0) {
+      this.stopped = true
+      this.context.close()
+      this.onEnded?.()
+    }
+  }
+
+  stop() {
+    if (this.stopped) return
+    this.stopped = true
+    this.sources.forEach(source => {
+      try {
+        source.stop()
+      } catch {
+        // Not started yet
+      }
+    })
+    this.context.close()
+  }
+}